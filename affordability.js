@@ -0,0 +1,72 @@
+// Lender affordability: interest cover ratio (ICR) stress test and maximum loan
+
+// Typical BTL lender rules: rent must cover interest at a stressed rate by this margin
+const DEFAULT_STRESS_RATE = 5.5;
+const DEFAULT_ICR_BASIC_RATE = 125;
+const DEFAULT_ICR_HIGHER_RATE = 145;
+// Limited companies are assessed like basic-rate taxpayers
+const DEFAULT_ICR_LIMITED_COMPANY = 125;
+
+function defaultIcr(ownershipStructure, taxBand) {
+    if (ownershipStructure === 'limited-company') return DEFAULT_ICR_LIMITED_COMPANY;
+    return taxBand === 'higher' || taxBand === 'additional' ? DEFAULT_ICR_HIGHER_RATE : DEFAULT_ICR_BASIC_RATE;
+}
+
+// Check a requested loan against the ICR limit (and an optional LTV cap)
+function checkAffordability({ annualRent, requestedLoan, propertyValue, icrPercent, stressRate, maxLtv }) {
+    const icr = icrPercent;
+    const stress = stressRate;
+    const rent = Math.max(0, annualRent || 0);
+    const requested = Math.max(0, requestedLoan || 0);
+
+    const icrMaxLoan = icr > 0 && stress > 0 ? rent / (icr / 100) / (stress / 100) : Infinity;
+    const ltvMaxLoan = maxLtv > 0 && propertyValue > 0 ? propertyValue * (maxLtv / 100) : Infinity;
+    const maxLoan = Math.min(icrMaxLoan, ltvMaxLoan);
+    const shortfall = Math.max(0, requested - maxLoan);
+
+    return {
+        icrPercent: icr,
+        stressRate: stress,
+        maxLtv: maxLtv > 0 ? maxLtv : null,
+        annualRent: rent,
+        requestedLoan: requested,
+        icrMaxLoan,
+        ltvMaxLoan: isFinite(ltvMaxLoan) ? ltvMaxLoan : null,
+        maxLoan,
+        // Cover the requested loan actually achieves at the stressed rate
+        coverage: requested > 0 && stress > 0 ? (rent / (requested * (stress / 100))) * 100 : null,
+        limitedBy: ltvMaxLoan < icrMaxLoan ? 'ltv' : 'icr',
+        passes: shortfall <= 0.5,
+        shortfall,
+        // Any shortfall has to come from the buyer's own cash
+        extraDepositNeeded: shortfall
+    };
+}
+
+// Affordability for a calculator's results; null when the deal has no mortgage
+function calculateAffordability(calculatorType, results, data, tax) {
+    const requestedLoan = calculatorType === 'brr' ? results.refinanceLoan : results.mortgageAmount;
+    if (!requestedLoan || requestedLoan <= 0) return null;
+
+    const icrPercent = parseFloat(data.icr_percent) || defaultIcr(tax && tax.ownershipStructure, tax && tax.taxBand);
+    const stressRate = parseFloat(data.icr_stress_rate) || DEFAULT_STRESS_RATE;
+    // Lenders assess the contractual rent, not the rent after voids
+    const annualRent = calculatorType === 'holiday-let'
+        ? results.annualRent
+        : (results.monthlyRent || 0) * 12;
+
+    return checkAffordability({
+        annualRent,
+        requestedLoan,
+        propertyValue: calculatorType === 'brr' ? results.afterRefurbValue : results.purchasePrice,
+        icrPercent,
+        stressRate,
+        maxLtv: parseFloat(data.max_ltv) || 0
+    });
+}
+
+module.exports = {
+    calculateAffordability,
+    checkAffordability,
+    DEFAULT_STRESS_RATE
+};
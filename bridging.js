@@ -0,0 +1,76 @@
+// Bridging finance for refurbishment projects (BRR and flips)
+
+const { roundMoney, addMoney, parseAmount } = require('./money');
+const { parseReportFormat } = require('./report-format');
+
+// Typical short-term lender terms
+const DEFAULT_BRIDGING_LTV = 75;
+const DEFAULT_MONTHLY_RATE = 0.85;
+const DEFAULT_ARRANGEMENT_FEE_PERCENT = 2;
+const DEFAULT_EXIT_FEE_PERCENT = 1;
+// Most bridges charge for at least this many months
+const MINIMUM_TERM_MONTHS = 3;
+
+// 'bridging', 'mortgage' or 'cash'; anything unrecognised uses fallback
+function normaliseFinanceType(value, fallback) {
+    const type = String(value || '').trim().toLowerCase();
+    if (type.includes('bridg')) return 'bridging';
+    if (type.includes('cash')) return 'cash';
+    if (type.includes('mortgage')) return 'mortgage';
+    return fallback;
+}
+
+// Retained interest is deducted from the advance up front; serviced interest is paid monthly in cash
+function normaliseInterestType(value) {
+    return String(value || '').trim().toLowerCase().startsWith('serv') ? 'serviced' : 'retained';
+}
+
+// Lender terms from the report fields, typed in the report locale ('0,85' is 0.85 in es-ES)
+function parseBridgingOptions(data) {
+    const { locale } = parseReportFormat(data);
+    const numberOr = (value, fallback) => {
+        const number = parseAmount(value, locale);
+        return number === null ? fallback : number;
+    };
+    return {
+        ltv: numberOr(data.bridging_ltv, DEFAULT_BRIDGING_LTV),
+        monthlyRate: numberOr(data.bridging_rate, DEFAULT_MONTHLY_RATE),
+        arrangementFeePercent: numberOr(data.bridging_arrangement_fee, DEFAULT_ARRANGEMENT_FEE_PERCENT),
+        exitFeePercent: numberOr(data.bridging_exit_fee, DEFAULT_EXIT_FEE_PERCENT),
+        interestType: normaliseInterestType(data.bridging_interest)
+    };
+}
+
+// Cost and cash flow of a bridge secured on the purchase price and repaid after months
+function calculateBridgingLoan(purchasePrice, months, options) {
+    const loanAmount = roundMoney(Math.max(0, purchasePrice * (options.ltv / 100)));
+    const termMonths = Math.max(months, MINIMUM_TERM_MONTHS);
+    const interest = roundMoney(loanAmount * (options.monthlyRate / 100) * termMonths);
+    const arrangementFee = roundMoney(loanAmount * (options.arrangementFeePercent / 100));
+    const exitFee = roundMoney(loanAmount * (options.exitFeePercent / 100));
+    const retainedInterest = options.interestType === 'retained' ? interest : 0;
+
+    return {
+        ...options,
+        loanAmount,
+        termMonths,
+        interest,
+        arrangementFee,
+        exitFee,
+        totalCost: addMoney(interest, arrangementFee, exitFee),
+        // What actually reaches the solicitor: the arrangement fee (and retained interest) come off the top
+        netAdvance: addMoney(loanAmount, -arrangementFee, -retainedInterest),
+        retainedInterest,
+        servicedInterest: addMoney(interest, -retainedInterest)
+    };
+}
+
+module.exports = {
+    calculateBridgingLoan,
+    parseBridgingOptions,
+    normaliseFinanceType,
+    DEFAULT_BRIDGING_LTV,
+    DEFAULT_MONTHLY_RATE,
+    DEFAULT_ARRANGEMENT_FEE_PERCENT,
+    DEFAULT_EXIT_FEE_PERCENT
+};
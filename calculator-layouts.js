@@ -0,0 +1,426 @@
+// Investment Opportunity page layouts: what each calculator type shows in its
+// headline boxes, its two tables and its profit boxes.
+// Values stay as raw numbers tagged with a format - pdf-generator does the formatting.
+// Labels come from the report language's catalogue through t (see i18n.js).
+
+const { createTranslator } = require('./i18n');
+
+// format: 'currency' | 'pcm' | 'percent' | 'number' | 'text'
+function item(label, value, format = 'currency') {
+    return { label, value, format };
+}
+
+function stampDutyLabel(values, t) {
+    const regime = values.stampDutyRegime && values.stampDutyRegime !== 'manual' ? values.stampDutyRegime : t('label.stampDutyAsSupplied');
+    return t('label.stampDuty', { regime });
+}
+
+function mortgageRow(values, t) {
+    return values.mortgageType === 'repayment'
+        ? item(t('label.mortgageRepayment', { rate: values.mortgageRate }), values.annualMortgagePayment)
+        : item(t('label.mortgageInterestOnly', { rate: values.mortgageRate }), values.annualMortgageInterest);
+}
+
+// Finance row label for refurbishment projects: what funded the purchase and for how long
+function financeLabel(values, t) {
+    if (values.bridging) {
+        return t('label.bridging', {
+            months: values.bridging.termMonths,
+            interest: t(`label.bridgingInterest.${values.bridging.interestType}`)
+        });
+    }
+    if (values.purchaseFinance === 'mortgage') return t('label.mortgageInterestMonths', { months: values.refinanceMonths });
+    return t('label.financeCost');
+}
+
+// A lender fee paid in cash is part of the money put in; one added to the loan shows in the mortgage instead
+function mortgageFeeRow(values, t) {
+    return values.mortgageFeePaid > 0 ? [item(t('label.mortgageFee'), values.mortgageFeePaid)] : [];
+}
+
+// Pre-tax and post-tax side by side, then ROI (and equity for repayment mortgages)
+function rentalProfitBoxes(values, t) {
+    const boxes = values.tax
+        ? [
+            item(t('label.monthlyPreTax'), values.monthlyProfit),
+            item(t('label.monthlyPostTax'), values.postTaxMonthlyProfit),
+            item(t('label.annualPreTax'), values.annualProfit),
+            item(t('label.annualPostTax'), values.postTaxAnnualProfit),
+            item(t('label.roi'), values.roi, 'percent')
+        ]
+        : [
+            item(t('label.monthlyProfit'), values.monthlyProfit),
+            item(t('label.annualProfit'), values.annualProfit),
+            item(t('label.roi'), values.roi, 'percent')
+        ];
+    if (values.mortgageType === 'repayment') {
+        boxes.push(item(t('label.equityBuilt'), values.equityBuilt));
+    }
+    return boxes;
+}
+
+// 12-month revenue bars for the short-let calculators
+function monthlyRevenueChart(values, t) {
+    return {
+        title: t('chart.monthlyRevenue'),
+        bars: (values.monthlyBreakdown || []).map(month => ({ label: t(`month.${month.month.toLowerCase()}`), value: month.revenue }))
+    };
+}
+
+function standardBTLLayout(values, t) {
+    return {
+        headline: [
+            item(t('label.purchasePrice'), values.purchasePrice),
+            item(t('label.estimatedMonthlyRent'), values.monthlyRent, 'pcm'),
+            item(t('label.rentalYield'), values.rentalYield, 'percent')
+        ],
+        costs: {
+            title: t('table.totalPurchaseCosts'),
+            rows: [
+                item(t('label.deposit', { percent: values.depositPercent }), values.depositAmount),
+                item(stampDutyLabel(values, t), values.stampDuty),
+                item(t('label.survey'), values.surveyCost),
+                item(t('label.legalFees'), values.legalFees),
+                item(t('label.loanSetup'), values.loanSetup),
+                ...mortgageFeeRow(values, t)
+            ],
+            total: item(t('label.totalInvestmentRequired'), values.totalInvestment)
+        },
+        expenses: {
+            title: t('table.totalAnnualExpenses'),
+            rows: [
+                mortgageRow(values, t),
+                item(t('label.councilTax'), values.councilTax),
+                item(t('label.repairs'), values.repairs),
+                item(t('label.utilities'), values.utilities),
+                item(t('label.water'), values.water),
+                item(t('label.broadband'), values.broadband),
+                item(t('label.insurance'), values.insurance)
+            ],
+            total: item(t('label.total'), values.totalAnnualExpenses)
+        },
+        profit: rentalProfitBoxes(values, t)
+    };
+}
+
+function brrLayout(values, t) {
+    return {
+        headline: [
+            item(t('label.afterRefurbValue'), values.afterRefurbValue),
+            item(t('label.estimatedMonthlyRent'), values.monthlyRent, 'pcm'),
+            item(t('label.moneyLeftIn'), values.netInvestment)
+        ],
+        costs: {
+            title: t('table.refurbishRefinance'),
+            rows: [
+                item(t('label.purchasePrice'), values.purchasePrice),
+                item(stampDutyLabel(values, t), values.stampDuty),
+                item(t('label.surveyLegalFees'), values.surveyCost + values.legalFees),
+                item(t('label.refurbishment'), values.refurbCost),
+                item(t('label.holdingCosts', { months: values.refurbMonths }), values.holdingCosts),
+                item(financeLabel(values, t), values.financeCost),
+                item(t('label.lessRefinance', { ltv: values.refinanceLTV }), -values.refinanceAmount),
+                ...mortgageFeeRow(values, t)
+            ],
+            total: item(t('label.moneyLeftIn'), values.netInvestment)
+        },
+        expenses: {
+            title: t('table.totalAnnualExpenses'),
+            rows: [
+                mortgageRow(values, t),
+                item(t('label.councilTax'), values.councilTax),
+                item(t('label.repairs'), values.repairs),
+                item(t('label.insurance'), values.insurance)
+            ],
+            total: item(t('label.total'), values.totalAnnualExpenses)
+        },
+        // Peak cash needed before the refinance pays some of it back
+        profit: [...rentalProfitBoxes(values, t), item(t('label.cashTiedUp'), values.cashTiedUp)]
+    };
+}
+
+function flipLayout(values, t) {
+    const profit = values.tax
+        ? [
+            item(t('label.netProfitPreTax'), values.netProfit),
+            item(t('label.netProfitPostTax'), values.postTaxAnnualProfit)
+        ]
+        : [item(t('label.netProfit'), values.netProfit)];
+    profit.push(
+        item(t('label.roi'), values.roi, 'percent'),
+        item(t('label.holdingPeriod'), t('label.holdingPeriodMonths', { months: values.holdingPeriod }), 'text'),
+        item(t('label.cashTiedUp'), values.cashTiedUp)
+    );
+
+    return {
+        headline: [
+            item(t('label.purchasePrice'), values.purchasePrice),
+            item(t('label.salePrice'), values.salePrice),
+            item(t('label.netProfit'), values.netProfit)
+        ],
+        costs: {
+            title: t('table.totalInvestment'),
+            rows: [
+                item(t('label.purchasePrice'), values.purchasePrice),
+                item(t('label.refurbishment'), values.refurbCost),
+                item(stampDutyLabel(values, t), values.stampDuty),
+                item(t('label.survey'), values.surveyCost),
+                item(t('label.legalFees'), values.legalFeesPurchase),
+                item(financeLabel(values, t), values.financeCost),
+                item(t('label.holdingCosts', { months: values.holdingPeriod }), values.holdingCosts)
+            ],
+            total: item(t('label.totalInvestment'), values.totalInvestment)
+        },
+        expenses: {
+            title: t('table.saleProfit'),
+            rows: [
+                item(t('label.salePrice'), values.salePrice),
+                item(t('label.lessTotalInvestment'), -values.totalInvestment),
+                item(t('label.lessLegalFeesSale'), -values.legalFeesSale),
+                item(t('label.lessEstateAgentFees'), -values.estateAgentFees)
+            ],
+            total: item(t('label.netProfit'), values.netProfit)
+        },
+        profit
+    };
+}
+
+function developmentLayout(values, t) {
+    const profit = values.tax
+        ? [
+            item(t('label.profitPreTax'), values.netProfit),
+            item(t('label.profitPostTax'), values.postTaxAnnualProfit)
+        ]
+        : [item(t('label.developerProfit'), values.netProfit)];
+    profit.push(
+        item(t('label.profitOnCost'), values.profitOnCost, 'percent'),
+        item(t('label.profitOnGdv'), values.profitOnGdv, 'percent'),
+        item(t('label.targetMargin'), values.targetMargin, 'percent'),
+        item(t('label.cashTiedUp'), values.cashTiedUp)
+    );
+
+    return {
+        headline: [
+            item(t('label.gdv'), values.gdv),
+            item(t('label.profitOnCost'), values.profitOnCost, 'percent'),
+            item(t('label.residualLandValue'), values.residualLandValue)
+        ],
+        costs: {
+            title: t('table.developmentCosts'),
+            rows: [
+                item(t('label.landPrice'), values.purchasePrice),
+                item(stampDutyLabel(values, t), values.stampDuty),
+                item(t('label.surveyLegalFees'), values.acquisitionFees),
+                item(t('label.buildCost', { area: values.grossInternalArea }), values.buildCost),
+                item(t('label.professionalFees', { percent: values.professionalFeesPercent }), values.professionalFees),
+                item(t('label.contingency', { percent: values.contingencyPercent }), values.contingency),
+                item(t('label.financeMonths', { months: values.holdingPeriod }), values.financeCost),
+                item(t('label.salesCosts', { percent: values.salesCostsPercent }), values.salesCosts)
+            ],
+            total: item(t('label.totalDevelopmentCost'), values.totalDevelopmentCost)
+        },
+        expenses: {
+            title: t('table.appraisal'),
+            rows: [
+                item(t('label.gdvUnits', { units: values.numberOfUnits }), values.gdv),
+                item(t('label.lessTotalDevelopmentCost'), -values.totalDevelopmentCost)
+            ],
+            total: item(t('label.developerProfit'), values.netProfit)
+        },
+        profit
+    };
+}
+
+function leaseOptionLayout(values, t) {
+    return {
+        headline: [
+            item(t('label.optionFee'), values.optionFee),
+            item(t('label.monthlyCashFlow'), values.monthlyProfit),
+            item(t('label.projectedEquityYears', { years: values.optionTerm }), values.projectedEquity)
+        ],
+        costs: {
+            title: t('table.optionTerms'),
+            rows: [
+                item(t('label.valueInYears', { years: values.optionTerm, growth: values.capitalGrowth }), values.projectedValue),
+                item(t('label.lessAgreedPurchasePrice'), -values.optionPrice),
+                // Credited payments come off the price, so they add to the equity
+                ...(values.paymentsCredited ? [item(t('label.addPaymentsCredited'), values.paymentCredits)] : [])
+            ],
+            total: item(t('label.projectedEquityAtExercise'), values.projectedEquity)
+        },
+        expenses: {
+            title: t('table.totalAnnualExpenses'),
+            rows: [
+                item(t('label.paymentsToOwner'), values.annualPayments),
+                item(t('label.managementPercent', { percent: values.managementFeePercent }), values.managementFee),
+                item(t('label.repairs'), values.repairs),
+                item(t('label.insurance'), values.insurance)
+            ],
+            total: item(t('label.total'), values.totalAnnualExpenses)
+        },
+        profit: [
+            ...rentalProfitBoxes(values, t),
+            item(t('label.optionFeeLegal'), values.totalInvestment),
+            item(t('label.returnOnOptionFee'), values.returnOnOptionFee, 'percent')
+        ]
+    };
+}
+
+function holidayLetLayout(values, t) {
+    return {
+        headline: [
+            item(t('label.purchasePrice'), values.purchasePrice),
+            values.seasonal
+                ? item(t('label.averageWeeklyRent'), values.averageWeeklyRent)
+                : item(t('label.weeklyRent'), values.weeklyRent),
+            item(t('label.occupancy'), values.occupancyRate, 'percent')
+        ],
+        costs: {
+            title: t('table.totalPurchaseCosts'),
+            rows: [
+                item(t('label.deposit', { percent: values.depositPercent }), values.depositAmount),
+                ...mortgageFeeRow(values, t)
+            ],
+            total: item(t('label.totalInvestmentRequired'), values.totalInvestment)
+        },
+        expenses: {
+            title: t('table.totalAnnualExpenses'),
+            rows: [
+                mortgageRow(values, t),
+                item(t('label.managementPercent', { percent: values.managementFeePercent }), values.managementFee),
+                item(t('label.platformCommission', { percent: values.otaCommissionPercent }), values.otaCommission),
+                item(t('label.cleaning'), values.totalCleaningFees),
+                item(t('label.councilTax'), values.councilTax),
+                item(t('label.utilities'), values.utilities),
+                item(t('label.insurance'), values.insurance)
+            ],
+            total: item(t('label.total'), values.totalAnnualExpenses)
+        },
+        chart: monthlyRevenueChart(values, t),
+        profit: rentalProfitBoxes(values, t)
+    };
+}
+
+// Room-by-room table; each row's cells line up with the columns
+function roomScheduleTable(values, t) {
+    return {
+        title: t('table.roomSchedule'),
+        columns: [
+            { title: t('table.room'), width: 0.36, align: 'left' },
+            { title: t('table.roomSize'), width: 0.12, align: 'right' },
+            { title: t('table.enSuite'), width: 0.2, align: 'center' },
+            { title: t('table.voids'), width: 0.14, align: 'right' },
+            { title: t('table.rent'), width: 0.18, align: 'right' }
+        ],
+        rows: values.roomSchedule.map(room => ({
+            cells: [
+                item('', room.name, 'text'),
+                item('', room.size === null ? '-' : String(room.size), 'text'),
+                item('', room.enSuite ? t('value.yes') : '-', 'text'),
+                item('', t('table.voidWeeks', { weeks: Math.round(room.voidWeeks * 10) / 10 }), 'text'),
+                item('', room.rent)
+            ]
+        })),
+        total: item(t('label.annualIncome'), values.annualIncome)
+    };
+}
+
+function rentToHMOLayout(values, t) {
+    const hasSchedule = Array.isArray(values.roomSchedule) && values.roomSchedule.length > 0;
+    return {
+        headline: hasSchedule
+            ? [
+                item(t('label.rooms'), values.numberOfRooms, 'number'),
+                item(t('label.averageRoomRent'), values.rentPerRoom, 'pcm'),
+                item(t('label.monthlyIncome'), values.monthlyIncome, 'pcm')
+            ]
+            : [
+                item(t('label.roomsLet'), t('label.roomsLetValue', { let: values.occupiedRooms, total: values.numberOfRooms }), 'text'),
+                item(t('label.rentPerRoom'), values.rentPerRoom, 'pcm'),
+                item(t('label.monthlyIncome'), values.monthlyIncome, 'pcm')
+            ],
+        costs: hasSchedule
+            ? roomScheduleTable(values, t)
+            : {
+                title: t('table.annualIncome'),
+                rows: [
+                    item(t('label.roomRent', { rooms: values.occupiedRooms }), values.annualIncome)
+                ],
+                total: item(t('label.totalAnnualIncome'), values.annualIncome)
+            },
+        expenses: {
+            title: t('table.totalAnnualExpenses'),
+            rows: [
+                item(t('label.rentPaidToLandlord'), values.annualRentPaid),
+                item(t('label.councilTax'), values.councilTax),
+                item(t('label.utilities'), values.utilities),
+                item(t('label.water'), values.water),
+                item(t('label.broadband'), values.broadband),
+                item(t('label.insurance'), values.insurance),
+                item(t('label.management'), values.managementFee),
+                item(t('label.hmoLicence', { years: values.licenceYears }), values.annualLicenceCost),
+                item(t('label.compliance'), values.annualComplianceCost)
+            ],
+            total: item(t('label.total'), values.totalAnnualExpenses)
+        },
+        profit: rentalProfitBoxes(values, t)
+    };
+}
+
+function rentToServicedLayout(values, t) {
+    return {
+        headline: [
+            values.seasonal
+                ? item(t('label.averageNightlyRate'), values.averageDailyRate)
+                : item(t('label.nightlyRate'), values.dailyRate),
+            item(t('label.occupancy'), values.occupancyRate, 'percent'),
+            item(t('label.monthlyIncome'), values.annualIncome / 12, 'pcm')
+        ],
+        costs: {
+            title: t('table.annualIncome'),
+            rows: [
+                item(t('label.nightsLet', { nights: Math.round(values.occupiedDays) }), values.annualIncome)
+            ],
+            total: item(t('label.totalAnnualIncome'), values.annualIncome)
+        },
+        expenses: {
+            title: t('table.totalAnnualExpenses'),
+            rows: [
+                item(t('label.rentPaidToLandlord'), values.annualRentPaid),
+                item(t('label.managementPercent', { percent: values.managementFeePercent }), values.managementFee),
+                item(t('label.platformCommission', { percent: values.otaCommissionPercent }), values.otaCommission),
+                item(t('label.cleaning'), values.totalCleaningFees),
+                item(t('label.councilTax'), values.councilTax),
+                item(t('label.utilities'), values.utilities),
+                item(t('label.insurance'), values.insurance)
+            ],
+            total: item(t('label.total'), values.totalAnnualExpenses)
+        },
+        chart: monthlyRevenueChart(values, t),
+        profit: rentalProfitBoxes(values, t)
+    };
+}
+
+const calculatorLayouts = {
+    'standard-btl': standardBTLLayout,
+    'purchase': standardBTLLayout,
+    'brr': brrLayout,
+    'flip': flipLayout,
+    'holiday-let': holidayLetLayout,
+    'rent-to-hmo': rentToHMOLayout,
+    'rent-to-serviced': rentToServicedLayout,
+    'development': developmentLayout,
+    'lease-option': leaseOptionLayout
+};
+
+// Layout for a calculator type (unknown types fall back to Standard Buy to Let)
+function getCalculatorLayout(calculatorType, values, t = createTranslator('en')) {
+    const layout = calculatorLayouts[calculatorType] || standardBTLLayout;
+    return layout(values, t);
+}
+
+module.exports = {
+    getCalculatorLayout,
+    calculatorLayouts,
+    item
+};
@@ -1,36 +1,162 @@
 // Calculator logic for different investment types
 
+const { calculateStampDuty } = require('./stamp-duty');
+const { calculateMortgage } = require('./mortgage');
+const { buildProjection } = require('./projection');
+const { calculateReturnMetrics, isTradingCalculator } = require('./returns');
+const { calculateLandlordTax } = require('./landlord-tax');
+const { calculateAffordability } = require('./affordability');
+const { parseRooms, buildRoomSchedule, calculateHMOCosts, WEEKS_PER_YEAR } = require('./hmo');
+const { buildMonthlyIncome, summariseMonthlyIncome, parseSeasonalRates } = require('./seasonal');
+const { calculateBridgingLoan, parseBridgingOptions, normaliseFinanceType } = require('./bridging');
+const { parseMoney, parseAmount, roundMoney, addMoney, formatMoney } = require('./money');
+const { parseFlag } = require('./flags');
+const { parseReportFormat } = require('./report-format');
+const { applyDefaults, NUMERIC_FIELDS } = require('./input-schema');
+
+// Every field read as a number, including the optional rates and assumptions
+const LOCALISED_FIELDS = [
+    ...NUMERIC_FIELDS, 'rent_growth', 'cost_inflation', 'discount_rate', 'exit_costs_percent',
+    'icr_percent', 'icr_stress_rate', 'projection_years', 'holding_years'
+];
+
+// Calculators that rent or hold an option on a property rather than own it
+const UNOWNED_CALCULATORS = ['rent-to-hmo', 'rent-to-serviced', 'lease-option'];
+
+// Form values are read to the penny; see money.js for the rounding rule
 function parseCurrency(value) {
-    if (!value) return 0;
-    const cleaned = String(value).replace(/[£,\s]/g, '');
-    return parseFloat(cleaned) || 0;
+    return parseMoney(value);
+}
+
+// Numbers typed in the report locale ('€250.000,00', '5,5%') rewritten as plain numbers, so every
+// calculator can keep reading them with parseCurrency or parseFloat. A trailing % is kept because
+// some fields (mortgage_fee) read it as a percentage.
+function readLocalisedNumbers(data) {
+    const { locale } = parseReportFormat(data);
+    const input = { ...data };
+    LOCALISED_FIELDS.forEach(field => {
+        const value = data[field];
+        if (typeof value !== 'string') return;
+        const number = parseAmount(value, locale);
+        if (number !== null) {
+            input[field] = value.trim().endsWith('%') ? `${number}%` : String(number);
+        }
+    });
+    return input;
+}
+
+// A calculator input ready to run: numbers read in the report locale and blank fields given the
+// calculator's defaults. Returns { data, defaults } so callers can report what was assumed.
+function prepareCalculatorInput(rawData) {
+    const input = readLocalisedNumbers(rawData);
+    return applyDefaults(input.calculator_type || 'standard-btl', input);
+}
+
+// Stamp duty for a purchase - a manually supplied stamp_duty always wins over the computed figure
+function resolveStampDuty(data, purchasePrice) {
+    if (data.stamp_duty !== undefined && data.stamp_duty !== null && String(data.stamp_duty).trim() !== '') {
+        return { stampDuty: parseCurrency(data.stamp_duty), stampDutyRegime: 'manual', stampDutyDetails: null };
+    }
+    
+    const firstTimeBuyer = parseFlag(data.first_time_buyer);
+    const details = calculateStampDuty(purchasePrice, {
+        region: data.tax_region,
+        // Investment purchases are additional dwellings unless told otherwise; a first-time buyer
+        // owns no other home, so is buying a main residence
+        additionalProperty: parseFlag(data.additional_property, !firstTimeBuyer),
+        firstTimeBuyer,
+        nonResident: parseFlag(data.non_resident)
+    });
+    return { stampDuty: roundMoney(details.amount), stampDutyRegime: details.regime, stampDutyDetails: details };
+}
+
+// Months a year the property earns, after any void_months allowance
+function lettableMonths(data) {
+    const voidMonths = parseFloat(data.void_months) || 0;
+    return 12 - Math.min(Math.max(voidMonths, 0), 12);
+}
+
+// Council tax, insurance and utilities (all annual) for the months a property stands empty
+function emptyHoldingCosts(data, months) {
+    const annual = addMoney(parseCurrency(data.council_tax), parseCurrency(data.insurance), parseCurrency(data.utilities));
+    return roundMoney(annual * (months / 12));
+}
+
+// Short-let income month by month: seasonal_rates where given, the flat rate and occupancy elsewhere
+function shortLetIncome(data, rate, occupancyRate, unitsPerYear) {
+    const monthlyBreakdown = buildMonthlyIncome({
+        seasonalRates: data.seasonal_rates,
+        rate,
+        occupancy: occupancyRate,
+        unitsPerYear,
+        lettableFraction: lettableMonths(data) / 12,
+        locale: parseReportFormat(data).locale
+    });
+    const summary = summariseMonthlyIncome(monthlyBreakdown);
+    const seasonal = parseSeasonalRates(data.seasonal_rates).length > 0;
+    return {
+        monthlyBreakdown,
+        seasonal,
+        occupiedUnits: summary.occupiedUnits,
+        revenue: roundMoney(summary.revenue),
+        occupancyRate: seasonal ? summary.averageOccupancy : occupancyRate,
+        averageRate: summary.averageRate,
+        // Airbnb / Booking.com style commission, charged on the gross booking value
+        otaCommissionPercent: parseFloat(data.ota_commission) || 0
+    };
+}
+
+// Mortgage fields shared by every calculator that borrows against the property
+function mortgageResults(mortgage, mortgageRate) {
+    return {
+        mortgageType: mortgage.mortgageType,
+        mortgageTerm: mortgage.termYears,
+        mortgageRate,
+        monthlyMortgagePayment: roundMoney(mortgage.monthlyPayment),
+        annualMortgagePayment: roundMoney(mortgage.annualPayment),
+        annualMortgageInterest: roundMoney(mortgage.annualInterest),
+        amortisationSchedule: mortgage.schedule
+    };
 }
 
-function formatCurrency(value) {
-    return `£${value.toLocaleString('en-GB', { minimumFractionDigits: 0, maximumFractionDigits: 0 })}`;
+// Lender arrangement fee: pounds, or a percentage of the loan when mortgage_fee ends in %.
+// mortgage_fee_added puts it on the loan; otherwise it is paid in cash up front.
+function mortgageFee(data, loanAmount) {
+    const value = String(data.mortgage_fee || '').trim();
+    const fee = value.endsWith('%') ? roundMoney(loanAmount * ((parseFloat(value) || 0) / 100)) : parseCurrency(value);
+    const added = parseFlag(data.mortgage_fee_added);
+    return {
+        mortgageFee: fee,
+        mortgageFeeAdded: added,
+        mortgageFeePaid: added ? 0 : fee,
+        loanAmount: addMoney(loanAmount, added ? fee : 0)
+    };
 }
 
 // Standard Buy to Let Calculator
 function calculateStandardBTL(data) {
     const purchasePrice = parseCurrency(data.purchase_price);
-    const depositPercent = parseFloat(data.deposit_percent) || 20;
+    const depositPercent = parseFloat(data.deposit_percent) || 0;
     const monthlyRent = parseCurrency(data.monthly_rent);
-    const mortgageRate = parseFloat(data.mortgage_rate) || 5.8;
+    const mortgageRate = parseFloat(data.mortgage_rate) || 0;
     
-    const depositAmount = purchasePrice * (depositPercent / 100);
-    const annualRent = monthlyRent * 12;
+    const depositAmount = roundMoney(purchasePrice * (depositPercent / 100));
+    const annualRent = roundMoney(monthlyRent * lettableMonths(data));
     const rentalYield = purchasePrice > 0 ? (annualRent / purchasePrice) * 100 : 0;
     
-    const stampDuty = parseCurrency(data.stamp_duty);
+    const { stampDuty, stampDutyRegime, stampDutyDetails } = resolveStampDuty(data, purchasePrice);
     const surveyCost = parseCurrency(data.survey_cost);
     const legalFees = parseCurrency(data.legal_fees);
     const loanSetup = parseCurrency(data.loan_setup);
     
-    const totalPurchaseCosts = stampDuty + surveyCost + legalFees + loanSetup;
-    const totalInvestment = depositAmount + totalPurchaseCosts;
+    const fee = mortgageFee(data, addMoney(purchasePrice, -depositAmount));
+    
+    const totalPurchaseCosts = addMoney(stampDuty, surveyCost, legalFees, loanSetup, fee.mortgageFeePaid);
+    const totalInvestment = addMoney(depositAmount, totalPurchaseCosts);
     
-    const mortgageAmount = purchasePrice - depositAmount;
-    const annualMortgageInterest = mortgageAmount * (mortgageRate / 100);
+    const mortgageAmount = fee.loanAmount;
+    const mortgage = calculateMortgage(mortgageAmount, mortgageRate, data.mortgage_type, data.mortgage_term);
+    const { annualMortgagePayment } = mortgageResults(mortgage, mortgageRate);
     
     const councilTax = parseCurrency(data.council_tax);
     const repairs = parseCurrency(data.repairs_maintenance);
@@ -39,16 +165,37 @@ function calculateStandardBTL(data) {
     const broadband = parseCurrency(data.broadband_tv);
     const insurance = parseCurrency(data.insurance);
     
-    const totalAnnualExpenses = annualMortgageInterest + councilTax + repairs + utilities + water + broadband + insurance;
-    const annualProfit = annualRent - totalAnnualExpenses;
-    const monthlyProfit = annualProfit / 12;
+    // Expenses are cash out, so a repayment mortgage counts its full payment here
+    const totalAnnualExpenses = addMoney(annualMortgagePayment, councilTax, repairs, utilities, water, broadband, insurance);
+    const annualProfit = addMoney(annualRent, -totalAnnualExpenses);
+    const monthlyProfit = roundMoney(annualProfit / 12);
+    const equityBuilt = roundMoney(mortgage.annualCapital);
     const roi = totalInvestment > 0 ? (annualProfit / totalInvestment) * 100 : 0;
     
     return {
         purchasePrice,
+        depositPercent,
         depositAmount,
         mortgageAmount,
+        ...mortgageResults(mortgage, mortgageRate),
+        equityBuilt,
         totalInvestment,
+        stampDuty,
+        stampDutyRegime,
+        stampDutyDetails,
+        surveyCost,
+        legalFees,
+        loanSetup,
+        mortgageFee: fee.mortgageFee,
+        mortgageFeeAdded: fee.mortgageFeeAdded,
+        mortgageFeePaid: fee.mortgageFeePaid,
+        totalPurchaseCosts,
+        councilTax,
+        repairs,
+        utilities,
+        water,
+        broadband,
+        insurance,
         annualRent,
         monthlyRent,
         rentalYield,
@@ -60,45 +207,110 @@ function calculateStandardBTL(data) {
 }
 
 // Buy Refurbish Refinance Calculator
+// The purchase is funded by a mortgage (the default), a bridging loan or cash until the refinance
+// at refinance_months repays it; the property stands empty for refurb_months.
 function calculateBRR(data) {
     const purchasePrice = parseCurrency(data.purchase_price);
     const refurbCost = parseCurrency(data.refurb_cost);
     const afterRefurbValue = parseCurrency(data.after_refurb_value);
-    const depositPercent = parseFloat(data.deposit_percent) || 20;
-    const mortgageRate = parseFloat(data.mortgage_rate) || 5.8;
-    const refinanceLTV = parseFloat(data.refinance_ltv) || 75;
+    const depositPercent = parseFloat(data.deposit_percent) || 0;
+    const mortgageRate = parseFloat(data.mortgage_rate) || 0;
+    const refinanceLTV = parseFloat(data.refinance_ltv) || 0;
     const monthlyRent = parseCurrency(data.monthly_rent);
+    const purchaseFinance = normaliseFinanceType(data.purchase_finance, 'mortgage');
+    
+    const refurbMonths = parseFloat(data.refurb_months) || 0;
+    const refinanceMonths = Math.max(parseFloat(data.refinance_months) || 0, refurbMonths);
+    
+    const { stampDuty, stampDutyRegime, stampDutyDetails } = resolveStampDuty(data, purchasePrice);
+    const surveyCost = parseCurrency(data.survey_cost);
+    const legalFees = parseCurrency(data.legal_fees);
+    const totalPurchaseCosts = addMoney(stampDuty, surveyCost, legalFees);
+    const holdingCosts = emptyHoldingCosts(data, refurbMonths);
+    
+    // depositAmount is the buyer's cash at completion, loanRepaid what the refinance has to clear
+    let depositAmount, initialMortgage, financeCost, loanRepaid, bridging = null;
+    if (purchaseFinance === 'bridging') {
+        bridging = calculateBridgingLoan(purchasePrice, refinanceMonths, parseBridgingOptions(data));
+        depositAmount = addMoney(purchasePrice, -bridging.netAdvance);
+        initialMortgage = bridging.loanAmount;
+        financeCost = bridging.totalCost;
+        loanRepaid = addMoney(bridging.loanAmount, bridging.exitFee);
+    } else if (purchaseFinance === 'cash') {
+        depositAmount = purchasePrice;
+        initialMortgage = 0;
+        financeCost = 0;
+        loanRepaid = 0;
+    } else {
+        depositAmount = roundMoney(purchasePrice * (depositPercent / 100));
+        initialMortgage = addMoney(purchasePrice, -depositAmount);
+        // Interest on the purchase mortgage until the refinance replaces it
+        financeCost = roundMoney(initialMortgage * (mortgageRate / 100) * (refinanceMonths / 12));
+        loanRepaid = initialMortgage;
+    }
     
-    const depositAmount = purchasePrice * (depositPercent / 100);
-    const initialMortgage = purchasePrice - depositAmount;
-    const totalInitialInvestment = depositAmount + refurbCost;
+    // Peak cash in the deal, just before the refinance (bridge exit fees come out of the refinance)
+    const cashTiedUp = addMoney(depositAmount, totalPurchaseCosts, refurbCost, holdingCosts,
+        bridging ? bridging.servicedInterest : financeCost);
+    const totalInitialInvestment = cashTiedUp;
     
-    const refinanceAmount = afterRefurbValue * (refinanceLTV / 100);
-    const moneyBack = refinanceAmount - initialMortgage;
-    const netInvestment = totalInitialInvestment - moneyBack;
+    const refinanceAmount = roundMoney(afterRefurbValue * (refinanceLTV / 100));
+    const moneyBack = addMoney(refinanceAmount, -loanRepaid);
+    // The refinance lender's fee is either paid from the released cash or added to the new loan
+    const fee = mortgageFee(data, refinanceAmount);
+    const refinanceLoan = fee.loanAmount;
+    const netInvestment = addMoney(cashTiedUp, fee.mortgageFeePaid, -moneyBack);
     
-    const annualRent = monthlyRent * 12;
+    const annualRent = roundMoney(monthlyRent * lettableMonths(data));
     const rentalYield = afterRefurbValue > 0 ? (annualRent / afterRefurbValue) * 100 : 0;
     
-    const annualMortgageInterest = refinanceAmount * (mortgageRate / 100);
+    const mortgage = calculateMortgage(refinanceLoan, mortgageRate, data.mortgage_type, data.mortgage_term);
+    const { annualMortgagePayment } = mortgageResults(mortgage, mortgageRate);
     const councilTax = parseCurrency(data.council_tax);
     const repairs = parseCurrency(data.repairs_maintenance);
     const insurance = parseCurrency(data.insurance);
     
-    const totalAnnualExpenses = annualMortgageInterest + councilTax + repairs + insurance;
-    const annualProfit = annualRent - totalAnnualExpenses;
-    const monthlyProfit = annualProfit / 12;
+    const totalAnnualExpenses = addMoney(annualMortgagePayment, councilTax, repairs, insurance);
+    const annualProfit = addMoney(annualRent, -totalAnnualExpenses);
+    const monthlyProfit = roundMoney(annualProfit / 12);
+    const equityBuilt = roundMoney(mortgage.annualCapital);
     const roi = netInvestment > 0 ? (annualProfit / netInvestment) * 100 : 0;
     
     return {
         purchasePrice,
         refurbCost,
         afterRefurbValue,
+        depositPercent,
         depositAmount,
+        purchaseFinance,
+        initialMortgage,
+        bridging,
+        refurbMonths,
+        refinanceMonths,
+        stampDuty,
+        stampDutyRegime,
+        stampDutyDetails,
+        surveyCost,
+        legalFees,
+        totalPurchaseCosts,
+        holdingCosts,
+        financeCost,
+        cashTiedUp,
         totalInitialInvestment,
+        refinanceLTV,
         refinanceAmount,
+        refinanceLoan,
+        mortgageFee: fee.mortgageFee,
+        mortgageFeeAdded: fee.mortgageFeeAdded,
+        mortgageFeePaid: fee.mortgageFeePaid,
+        ...mortgageResults(mortgage, mortgageRate),
+        equityBuilt,
+        loanRepaid,
         moneyBack,
         netInvestment,
+        councilTax,
+        repairs,
+        insurance,
         annualRent,
         monthlyRent,
         rentalYield,
@@ -110,26 +322,40 @@ function calculateBRR(data) {
 }
 
 // Flip Calculator
+// finance_cost, when given, is the whole finance bill; otherwise purchase_finance picks a bridging loan or cash.
+// The property stands empty for the whole holding_period.
 function calculateFlip(data) {
     const purchasePrice = parseCurrency(data.purchase_price);
     const refurbCost = parseCurrency(data.refurb_cost);
     const salePrice = parseCurrency(data.sale_price);
-    const holdingPeriod = parseFloat(data.holding_period) || 6;
+    const holdingPeriod = parseFloat(data.holding_period) || 0;
+    const manualFinance = data.finance_cost !== undefined && data.finance_cost !== null && String(data.finance_cost).trim() !== '';
+    const purchaseFinance = manualFinance ? 'manual' : normaliseFinanceType(data.purchase_finance, 'cash');
     
-    const stampDuty = parseCurrency(data.stamp_duty);
+    const { stampDuty, stampDutyRegime, stampDutyDetails } = resolveStampDuty(data, purchasePrice);
     const surveyCost = parseCurrency(data.survey_cost);
     const legalFeesPurchase = parseCurrency(data.legal_fees);
     const legalFeesSale = parseCurrency(data.legal_fees_sale);
     const estateAgentFees = parseCurrency(data.estate_agent_fees);
-    const financeCost = parseCurrency(data.finance_cost);
-    
-    const totalPurchaseCosts = stampDuty + surveyCost + legalFeesPurchase;
-    const totalSaleCosts = legalFeesSale + estateAgentFees;
-    const totalInvestment = purchasePrice + refurbCost + totalPurchaseCosts + financeCost;
-    
-    const grossProfit = salePrice - totalInvestment - totalSaleCosts;
+    const holdingCosts = emptyHoldingCosts(data, holdingPeriod);
+    
+    const bridging = purchaseFinance === 'bridging'
+        ? calculateBridgingLoan(purchasePrice, holdingPeriod, parseBridgingOptions(data))
+        : null;
+    const financeCost = bridging ? bridging.totalCost : parseCurrency(data.finance_cost);
+    
+    const totalPurchaseCosts = addMoney(stampDuty, surveyCost, legalFeesPurchase);
+    const totalSaleCosts = addMoney(legalFeesSale, estateAgentFees);
+    // Total project cost; a bridge is repaid (with its exit fee) from the sale
+    const totalInvestment = addMoney(purchasePrice, refurbCost, totalPurchaseCosts, financeCost, holdingCosts);
+    const cashTiedUp = bridging
+        ? addMoney(purchasePrice, -bridging.netAdvance, refurbCost, totalPurchaseCosts, holdingCosts, bridging.servicedInterest)
+        : totalInvestment;
+    
+    const grossProfit = addMoney(salePrice, -totalInvestment, -totalSaleCosts);
     const netProfit = grossProfit;
-    const roi = totalInvestment > 0 ? (netProfit / totalInvestment) * 100 : 0;
+    // Return on the buyer's own cash
+    const roi = cashTiedUp > 0 ? (netProfit / cashTiedUp) * 100 : 0;
     const monthlyROI = holdingPeriod > 0 ? roi / holdingPeriod : 0;
     
     return {
@@ -137,6 +363,20 @@ function calculateFlip(data) {
         refurbCost,
         salePrice,
         totalInvestment,
+        cashTiedUp,
+        purchaseFinance,
+        bridging,
+        stampDuty,
+        stampDutyRegime,
+        stampDutyDetails,
+        surveyCost,
+        legalFeesPurchase,
+        financeCost,
+        holdingCosts,
+        totalPurchaseCosts,
+        legalFeesSale,
+        estateAgentFees,
+        totalSaleCosts,
         grossProfit,
         netProfit,
         roi,
@@ -148,43 +388,66 @@ function calculateFlip(data) {
 // Holiday Let Calculator
 function calculateHolidayLet(data) {
     const purchasePrice = parseCurrency(data.purchase_price);
-    const depositPercent = parseFloat(data.deposit_percent) || 20;
-    const mortgageRate = parseFloat(data.mortgage_rate) || 5.8;
+    const depositPercent = parseFloat(data.deposit_percent) || 0;
+    const mortgageRate = parseFloat(data.mortgage_rate) || 0;
     const weeklyRent = parseCurrency(data.weekly_rent);
-    const occupancyRate = parseFloat(data.occupancy_rate) || 50;
-    const managementFeePercent = parseFloat(data.management_fee) || 20;
+    const occupancyRate = parseFloat(data.occupancy_rate) || 0;
+    const managementFeePercent = parseFloat(data.management_fee) || 0;
     const cleaningFee = parseCurrency(data.cleaning_fee);
     
-    const depositAmount = purchasePrice * (depositPercent / 100);
-    const mortgageAmount = purchasePrice - depositAmount;
+    const depositAmount = roundMoney(purchasePrice * (depositPercent / 100));
+    const fee = mortgageFee(data, addMoney(purchasePrice, -depositAmount));
+    const mortgageAmount = fee.loanAmount;
     
-    const weeksPerYear = 52;
-    const occupiedWeeks = weeksPerYear * (occupancyRate / 100);
-    const annualRent = weeklyRent * occupiedWeeks;
-    const managementFee = annualRent * (managementFeePercent / 100);
-    const totalCleaningFees = cleaningFee * occupiedWeeks;
+    const income = shortLetIncome(data, weeklyRent, occupancyRate, 52);
+    const occupiedWeeks = income.occupiedUnits;
+    const annualRent = income.revenue;
+    const managementFee = roundMoney(annualRent * (managementFeePercent / 100));
+    const otaCommission = roundMoney(annualRent * (income.otaCommissionPercent / 100));
+    const totalCleaningFees = roundMoney(cleaningFee * occupiedWeeks);
     
-    const annualMortgageInterest = mortgageAmount * (mortgageRate / 100);
+    const mortgage = calculateMortgage(mortgageAmount, mortgageRate, data.mortgage_type, data.mortgage_term);
+    const { annualMortgagePayment } = mortgageResults(mortgage, mortgageRate);
     const councilTax = parseCurrency(data.council_tax);
     const utilities = parseCurrency(data.utilities);
     const insurance = parseCurrency(data.insurance);
     
-    const totalAnnualExpenses = annualMortgageInterest + managementFee + totalCleaningFees + councilTax + utilities + insurance;
-    const annualProfit = annualRent - totalAnnualExpenses;
-    const monthlyProfit = annualProfit / 12;
+    const totalAnnualExpenses = addMoney(annualMortgagePayment, managementFee, otaCommission, totalCleaningFees, councilTax, utilities, insurance);
+    const annualProfit = addMoney(annualRent, -totalAnnualExpenses);
+    const monthlyProfit = roundMoney(annualProfit / 12);
+    const equityBuilt = roundMoney(mortgage.annualCapital);
     const rentalYield = purchasePrice > 0 ? (annualRent / purchasePrice) * 100 : 0;
     
-    const totalInvestment = depositAmount;
+    const totalInvestment = addMoney(depositAmount, fee.mortgageFeePaid);
     const roi = totalInvestment > 0 ? (annualProfit / totalInvestment) * 100 : 0;
     
     return {
         purchasePrice,
         depositAmount,
         mortgageAmount,
+        mortgageFee: fee.mortgageFee,
+        mortgageFeeAdded: fee.mortgageFeeAdded,
+        mortgageFeePaid: fee.mortgageFeePaid,
+        ...mortgageResults(mortgage, mortgageRate),
+        equityBuilt,
+        depositPercent,
+        totalInvestment,
         annualRent,
         weeklyRent,
-        occupancyRate,
+        averageWeeklyRent: income.averageRate,
+        occupancyRate: income.occupancyRate,
         occupiedWeeks,
+        seasonal: income.seasonal,
+        monthlyBreakdown: income.monthlyBreakdown,
+        managementFeePercent,
+        managementFee,
+        otaCommissionPercent: income.otaCommissionPercent,
+        otaCommission,
+        cleaningFee,
+        totalCleaningFees,
+        councilTax,
+        utilities,
+        insurance,
         totalAnnualExpenses,
         annualProfit,
         monthlyProfit,
@@ -194,25 +457,46 @@ function calculateHolidayLet(data) {
 }
 
 // Rent to HMO Calculator
+// With a rooms schedule each room earns its own rent less its own void allowance;
+// without one every room earns rent_per_room and occupancy_rate decides how many are let.
 function calculateRentToHMO(data) {
     const monthlyRentPaid = parseCurrency(data.monthly_rent_paid);
-    const numberOfRooms = parseFloat(data.number_of_rooms) || 1;
-    const rentPerRoom = parseCurrency(data.rent_per_room);
-    const occupancyRate = parseFloat(data.occupancy_rate) || 80;
-    
-    const annualRentPaid = monthlyRentPaid * 12;
-    const occupiedRooms = Math.floor(numberOfRooms * (occupancyRate / 100));
-    const monthlyIncome = rentPerRoom * occupiedRooms;
-    const annualIncome = monthlyIncome * 12;
+    const occupancyRate = parseFloat(data.occupancy_rate) || 0;
+    const annualRentPaid = roundMoney(monthlyRentPaid * 12);
+    
+    const rooms = parseRooms(data.rooms, data.room_void_weeks !== undefined && data.room_void_weeks !== ''
+        ? parseFloat(data.room_void_weeks) || 0
+        : WEEKS_PER_YEAR * (1 - occupancyRate / 100), parseReportFormat(data).locale);
+    let numberOfRooms, rentPerRoom, occupiedRooms, monthlyIncome, annualIncome, roomSchedule;
+    if (rooms.length > 0) {
+        roomSchedule = buildRoomSchedule(rooms, lettableMonths(data));
+        numberOfRooms = rooms.length;
+        rentPerRoom = rooms.reduce((sum, room) => sum + room.rent, 0) / numberOfRooms;
+        // Expected rooms let on average across the year
+        occupiedRooms = roomSchedule.reduce((sum, room) => sum + room.occupancy / 100, 0);
+        monthlyIncome = roundMoney(roomSchedule.reduce((sum, room) => sum + room.rent * (room.occupancy / 100), 0));
+        annualIncome = addMoney(...roomSchedule.map(room => room.annualIncome));
+    } else {
+        roomSchedule = null;
+        numberOfRooms = parseFloat(data.number_of_rooms) || 0;
+        rentPerRoom = parseCurrency(data.rent_per_room);
+        occupiedRooms = Math.floor(numberOfRooms * (occupancyRate / 100));
+        monthlyIncome = roundMoney(rentPerRoom * occupiedRooms);
+        annualIncome = roundMoney(monthlyIncome * lettableMonths(data));
+    }
     
     const councilTax = parseCurrency(data.council_tax);
     const utilities = parseCurrency(data.utilities);
+    const water = parseCurrency(data.water);
+    const broadband = parseCurrency(data.broadband_tv);
     const insurance = parseCurrency(data.insurance);
     const managementFee = parseCurrency(data.management_fee);
+    const { licenceYears, licenceFee, annualLicenceCost, annualComplianceCost } = calculateHMOCosts(data);
     
-    const totalAnnualExpenses = annualRentPaid + councilTax + utilities + insurance + managementFee;
-    const annualProfit = annualIncome - totalAnnualExpenses;
-    const monthlyProfit = annualProfit / 12;
+    const totalAnnualExpenses = addMoney(annualRentPaid, councilTax, utilities, water, broadband, insurance, managementFee,
+        annualLicenceCost, annualComplianceCost);
+    const annualProfit = addMoney(annualIncome, -totalAnnualExpenses);
+    const monthlyProfit = roundMoney(annualProfit / 12);
     const roi = annualRentPaid > 0 ? (annualProfit / annualRentPaid) * 100 : 0;
     
     return {
@@ -221,8 +505,20 @@ function calculateRentToHMO(data) {
         numberOfRooms,
         rentPerRoom,
         occupiedRooms,
+        occupancyRate: rooms.length > 0 ? (occupiedRooms / numberOfRooms) * 100 : occupancyRate,
+        roomSchedule,
         monthlyIncome,
         annualIncome,
+        councilTax,
+        utilities,
+        water,
+        broadband,
+        insurance,
+        managementFee,
+        licenceYears,
+        licenceFee,
+        annualLicenceCost,
+        annualComplianceCost,
         totalAnnualExpenses,
         annualProfit,
         monthlyProfit,
@@ -234,33 +530,46 @@ function calculateRentToHMO(data) {
 function calculateRentToServiced(data) {
     const monthlyRentPaid = parseCurrency(data.monthly_rent_paid);
     const dailyRate = parseCurrency(data.daily_rate);
-    const occupancyRate = parseFloat(data.occupancy_rate) || 60;
+    const occupancyRate = parseFloat(data.occupancy_rate) || 0;
     const cleaningFee = parseCurrency(data.cleaning_fee);
-    const managementFeePercent = parseFloat(data.management_fee) || 20;
+    const managementFeePercent = parseFloat(data.management_fee) || 0;
     
-    const annualRentPaid = monthlyRentPaid * 12;
-    const daysPerYear = 365;
-    const occupiedDays = daysPerYear * (occupancyRate / 100);
-    const annualIncome = dailyRate * occupiedDays;
-    const managementFee = annualIncome * (managementFeePercent / 100);
-    const totalCleaningFees = cleaningFee * occupiedDays;
+    const annualRentPaid = roundMoney(monthlyRentPaid * 12);
+    const income = shortLetIncome(data, dailyRate, occupancyRate, 365);
+    const occupiedDays = income.occupiedUnits;
+    const annualIncome = income.revenue;
+    const managementFee = roundMoney(annualIncome * (managementFeePercent / 100));
+    const otaCommission = roundMoney(annualIncome * (income.otaCommissionPercent / 100));
+    const totalCleaningFees = roundMoney(cleaningFee * occupiedDays);
     
     const councilTax = parseCurrency(data.council_tax);
     const utilities = parseCurrency(data.utilities);
     const insurance = parseCurrency(data.insurance);
     
-    const totalAnnualExpenses = annualRentPaid + managementFee + totalCleaningFees + councilTax + utilities + insurance;
-    const annualProfit = annualIncome - totalAnnualExpenses;
-    const monthlyProfit = annualProfit / 12;
+    const totalAnnualExpenses = addMoney(annualRentPaid, managementFee, otaCommission, totalCleaningFees, councilTax, utilities, insurance);
+    const annualProfit = addMoney(annualIncome, -totalAnnualExpenses);
+    const monthlyProfit = roundMoney(annualProfit / 12);
     const roi = annualRentPaid > 0 ? (annualProfit / annualRentPaid) * 100 : 0;
     
     return {
         monthlyRentPaid,
         annualRentPaid,
         dailyRate,
-        occupancyRate,
+        averageDailyRate: income.averageRate,
+        occupancyRate: income.occupancyRate,
         occupiedDays,
+        seasonal: income.seasonal,
+        monthlyBreakdown: income.monthlyBreakdown,
         annualIncome,
+        managementFeePercent,
+        managementFee,
+        otaCommissionPercent: income.otaCommissionPercent,
+        otaCommission,
+        cleaningFee,
+        totalCleaningFees,
+        councilTax,
+        utilities,
+        insurance,
         totalAnnualExpenses,
         annualProfit,
         monthlyProfit,
@@ -268,10 +577,209 @@ function calculateRentToServiced(data) {
     };
 }
 
-// Main calculator function
-function calculateInvestment(data) {
-    const calculatorType = data.calculator_type || 'standard-btl';
+// Costs of a development for a given land price (everything except the land scales with the scheme, not the site)
+function developmentCosts(data, landPrice, scheme) {
+    const { stampDuty, stampDutyRegime, stampDutyDetails } = resolveStampDuty(data, landPrice);
+    const acquisitionFees = addMoney(parseCurrency(data.legal_fees), parseCurrency(data.survey_cost));
+    
+    // Development finance: a share of every cost is borrowed. Land is drawn on day one and
+    // held for the whole project; build costs are drawn steadily, so on average half is out during the build.
+    const debtShare = scheme.financeLtc / 100;
+    const landDebt = roundMoney(addMoney(landPrice, stampDuty, acquisitionFees) * debtShare);
+    const buildDebt = roundMoney(scheme.constructionCosts * debtShare);
+    const loanAmount = addMoney(landDebt, buildDebt);
+    const monthlyRate = scheme.financeRate / 100 / 12;
+    const financeInterest = roundMoney(landDebt * monthlyRate * scheme.projectMonths +
+        buildDebt * monthlyRate * (scheme.buildMonths / 2 + scheme.salesMonths));
+    const financeFees = roundMoney(loanAmount * (scheme.arrangementFeePercent / 100));
+    const financeCost = addMoney(financeInterest, financeFees);
+    
+    const totalCost = addMoney(landPrice, stampDuty, acquisitionFees, scheme.constructionCosts, financeCost, scheme.salesCosts);
+    return {
+        stampDuty,
+        stampDutyRegime,
+        stampDutyDetails,
+        acquisitionFees,
+        loanAmount,
+        financeInterest,
+        financeFees,
+        financeCost,
+        totalCost
+    };
+}
+
+// Development Appraisal Calculator
+// purchase_price is the land (or building to convert); profit is GDV less every cost including finance and sales.
+function calculateDevelopment(data) {
+    const landPrice = parseCurrency(data.purchase_price);
+    const numberOfUnits = parseFloat(data.number_of_units) || 0;
+    const gdvPerUnit = parseCurrency(data.gdv_per_unit);
+    const unitSize = parseFloat(data.unit_size) || 0;
+    const buildCostPerSqm = parseCurrency(data.build_cost_per_sqm);
+    const professionalFeesPercent = parseFloat(data.professional_fees) || 0;
+    const contingencyPercent = parseFloat(data.contingency) || 0;
+    const salesCostsPercent = parseFloat(data.sales_costs) || 0;
+    const targetMargin = parseFloat(data.target_margin) || 0;
+    const buildMonths = parseFloat(data.build_months) || 0;
+    const salesMonths = parseFloat(data.sales_months) || 0;
+    
+    const gdv = roundMoney(gdvPerUnit * numberOfUnits);
+    const grossInternalArea = unitSize * numberOfUnits;
+    const buildCost = roundMoney(grossInternalArea * buildCostPerSqm);
+    const professionalFees = roundMoney(buildCost * (professionalFeesPercent / 100));
+    const contingency = roundMoney(buildCost * (contingencyPercent / 100));
+    const salesCosts = roundMoney(gdv * (salesCostsPercent / 100));
+    const scheme = {
+        constructionCosts: addMoney(buildCost, professionalFees, contingency),
+        salesCosts,
+        buildMonths,
+        salesMonths,
+        projectMonths: buildMonths + salesMonths,
+        financeRate: parseFloat(data.finance_rate) || 0,
+        financeLtc: parseFloat(data.finance_ltc) || 0,
+        arrangementFeePercent: parseFloat(data.finance_arrangement_fee) || 0
+    };
     
+    const costs = developmentCosts(data, landPrice, scheme);
+    const netProfit = addMoney(gdv, -costs.totalCost);
+    const profitOnCost = costs.totalCost > 0 ? (netProfit / costs.totalCost) * 100 : 0;
+    const profitOnGdv = gdv > 0 ? (netProfit / gdv) * 100 : 0;
+    // Equity is every cost the loan does not cover; sales costs come out of the sale proceeds
+    const cashTiedUp = addMoney(costs.totalCost, -salesCosts, -costs.loanAmount);
+    const roi = cashTiedUp > 0 ? (netProfit / cashTiedUp) * 100 : 0;
+    
+    // Residual land value: the most the site can cost and still leave the target margin on GDV.
+    // Stamp duty and finance both depend on the land price, so solve by bisection.
+    const targetProfit = roundMoney(gdv * (targetMargin / 100));
+    const residualProfit = price => addMoney(gdv, -developmentCosts(data, price, scheme).totalCost, -targetProfit);
+    let residualLandValue = 0;
+    if (residualProfit(0) > 0) {
+        let low = 0;
+        let high = Math.max(gdv, 1);
+        for (let i = 0; i < 60 && high - low > 0.5; i++) {
+            const mid = (low + high) / 2;
+            if (residualProfit(mid) >= 0) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+        residualLandValue = Math.floor(low);
+    }
+    
+    return {
+        purchasePrice: landPrice,
+        numberOfUnits,
+        gdvPerUnit,
+        gdv,
+        unitSize,
+        grossInternalArea,
+        buildCostPerSqm,
+        buildCost,
+        professionalFeesPercent,
+        professionalFees,
+        contingencyPercent,
+        contingency,
+        stampDuty: costs.stampDuty,
+        stampDutyRegime: costs.stampDutyRegime,
+        stampDutyDetails: costs.stampDutyDetails,
+        acquisitionFees: costs.acquisitionFees,
+        financeRate: scheme.financeRate,
+        financeLtc: scheme.financeLtc,
+        loanAmount: costs.loanAmount,
+        financeInterest: costs.financeInterest,
+        financeFees: costs.financeFees,
+        financeCost: costs.financeCost,
+        salesCostsPercent,
+        salesCosts,
+        buildMonths,
+        salesMonths,
+        holdingPeriod: scheme.projectMonths,
+        totalInvestment: costs.totalCost,
+        totalDevelopmentCost: costs.totalCost,
+        cashTiedUp,
+        netProfit,
+        profitOnCost,
+        profitOnGdv,
+        targetMargin,
+        meetsTargetMargin: profitOnGdv >= targetMargin,
+        residualLandValue,
+        roi
+    };
+}
+
+// Lease Option Calculator
+// A lease with an option to buy: an upfront option fee, a monthly payment to the owner, a tenant's rent,
+// and an agreed price to buy at any time in the option term. Nothing is owned until the option is exercised.
+function calculateLeaseOption(data) {
+    const optionFee = parseCurrency(data.option_fee);
+    const monthlyPayment = parseCurrency(data.monthly_payment);
+    const monthlyRent = parseCurrency(data.monthly_rent);
+    const optionTerm = parseFloat(data.option_term) || 0;
+    const optionPrice = parseCurrency(data.option_price);
+    const currentValue = parseCurrency(data.current_value);
+    const capitalGrowth = parseFloat(data.capital_growth) || 0;
+    const managementFeePercent = parseFloat(data.management_fee) || 0;
+    
+    const annualRent = roundMoney(monthlyRent * lettableMonths(data));
+    // The owner is paid every month whether or not the property is let
+    const annualPayments = roundMoney(monthlyPayment * 12);
+    const managementFee = roundMoney(annualRent * (managementFeePercent / 100));
+    const repairs = parseCurrency(data.repairs_maintenance);
+    const insurance = parseCurrency(data.insurance);
+    
+    const totalAnnualExpenses = addMoney(annualPayments, managementFee, repairs, insurance);
+    const annualProfit = addMoney(annualRent, -totalAnnualExpenses);
+    const monthlyProfit = roundMoney(annualProfit / 12);
+    
+    const legalFees = parseCurrency(data.legal_fees);
+    const totalInvestment = addMoney(optionFee, legalFees);
+    const roi = totalInvestment > 0 ? (annualProfit / totalInvestment) * 100 : 0;
+    
+    // Exercise at the end of the term; payments_credited means every monthly payment comes off the agreed price
+    const paymentsCredited = parseFlag(data.payments_credited);
+    const paymentCredits = paymentsCredited ? roundMoney(annualPayments * optionTerm) : 0;
+    const exercisePrice = Math.max(0, addMoney(optionPrice, -paymentCredits));
+    const projectedValue = roundMoney(currentValue * Math.pow(1 + capitalGrowth / 100, optionTerm));
+    const projectedEquity = addMoney(projectedValue, -exercisePrice);
+    const termCashFlow = roundMoney(annualProfit * optionTerm);
+    // An option is only exercised when it is in the money
+    const totalReturn = addMoney(termCashFlow, Math.max(0, projectedEquity), -totalInvestment);
+    const returnOnOptionFee = totalInvestment > 0 ? (totalReturn / totalInvestment) * 100 : 0;
+    
+    return {
+        optionFee,
+        legalFees,
+        totalInvestment,
+        monthlyPayment,
+        annualPayments,
+        optionTerm,
+        optionPrice,
+        currentValue,
+        capitalGrowth,
+        paymentsCredited,
+        paymentCredits,
+        exercisePrice,
+        projectedValue,
+        projectedEquity,
+        monthlyRent,
+        annualRent,
+        managementFeePercent,
+        managementFee,
+        repairs,
+        insurance,
+        totalAnnualExpenses,
+        annualProfit,
+        monthlyProfit,
+        roi,
+        termCashFlow,
+        totalReturn,
+        returnOnOptionFee
+    };
+}
+
+// Pick the calculator for a type
+function runCalculator(calculatorType, data) {
     switch (calculatorType) {
         case 'standard-btl':
         case 'purchase':
@@ -286,23 +794,97 @@ function calculateInvestment(data) {
             return calculateRentToHMO(data);
         case 'rent-to-serviced':
             return calculateRentToServiced(data);
+        case 'development':
+            return calculateDevelopment(data);
+        case 'lease-option':
+            return calculateLeaseOption(data);
         default:
             return calculateStandardBTL(data);
     }
 }
 
+// Tax on a calculator's profit and the post-tax profit that leaves
+function calculatePostTaxProfit(calculatorType, results, data) {
+    const options = { ownership: data.ownership_structure, taxBand: data.tax_band };
+    let tax;
+    if (isTradingCalculator(calculatorType)) {
+        // A flip or development is a trade: the net profit is already after every cost, finance included
+        tax = calculateLandlordTax({ ...options, income: results.netProfit, runningCosts: 0, financeCosts: 0, residentialLet: false });
+    } else {
+        const income = results.annualRent || results.annualIncome || 0;
+        const runningCosts = (results.totalAnnualExpenses || 0) - (results.annualMortgagePayment || 0);
+        tax = calculateLandlordTax({ ...options, income, runningCosts, financeCosts: results.annualMortgageInterest || 0 });
+    }
+    
+    const preTaxProfit = isTradingCalculator(calculatorType) ? results.netProfit : results.annualProfit;
+    const annualTax = roundMoney(tax.annualTax);
+    const postTaxAnnualProfit = addMoney(preTaxProfit, -annualTax);
+    return {
+        tax,
+        annualTax,
+        postTaxAnnualProfit,
+        // A trade's profit is made once, on the sale, so it has no monthly share
+        postTaxMonthlyProfit: isTradingCalculator(calculatorType) ? null : roundMoney(postTaxAnnualProfit / 12)
+    };
+}
+
+// Main calculator function
+function calculateInvestment(rawData) {
+    const { data } = prepareCalculatorInput(rawData);
+    const calculatorType = data.calculator_type || 'standard-btl';
+    const results = runCalculator(calculatorType, data);
+    Object.assign(results, calculatePostTaxProfit(calculatorType, results, data));
+    results.affordability = calculateAffordability(calculatorType, results, data, results.tax);
+    
+    // Flips and developments are sold within the holding period, and a lease option or rent-to-rent
+    // deal owns no property whose value, loan and equity could be projected
+    if (!isTradingCalculator(calculatorType) && !UNOWNED_CALCULATORS.includes(calculatorType)) {
+        results.projection = buildProjection(results, data);
+    }
+    results.returnMetrics = calculateReturnMetrics(calculatorType, results, data);
+    
+    return results;
+}
+
+// Normalise selected_calculators (array, comma-separated string or single calculator_type)
+function getSelectedCalculators(data) {
+    let selectedCalculators = data.selected_calculators || (data.calculator_type ? [data.calculator_type] : ['standard-btl']);
+    if (typeof selectedCalculators === 'string') {
+        selectedCalculators = selectedCalculators.split(',').map(s => s.trim()).filter(s => s);
+    }
+    if (!Array.isArray(selectedCalculators)) {
+        selectedCalculators = [selectedCalculators];
+    }
+    return selectedCalculators.length > 0 ? selectedCalculators : ['standard-btl'];
+}
+
+// Report-wide fields overlaid with the calculator_<type> block for that calculator
+function buildCalculatorInput(data, calculatorType) {
+    const calcData = data[`calculator_${calculatorType}`] || {};
+    return { ...data, ...calcData, calculator_type: calculatorType };
+}
+
 // Export for use in other files
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         calculateInvestment,
+        readLocalisedNumbers,
+        prepareCalculatorInput,
+        getSelectedCalculators,
+        buildCalculatorInput,
         calculateStandardBTL,
         calculateBRR,
         calculateFlip,
         calculateHolidayLet,
         calculateRentToHMO,
         calculateRentToServiced,
+        calculateDevelopment,
+        calculateLeaseOption,
+        isTradingCalculator,
+        resolveStampDuty,
         parseCurrency,
-        formatCurrency
+        parseFlag,
+        formatCurrency: formatMoney
     };
 }
 
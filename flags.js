@@ -0,0 +1,13 @@
+// Yes/no form fields, shared by the calculators and the modules they load (which cannot require
+// calculator-logic.js without a circular import)
+
+// Accepts true/false, 'yes'/'no', 'on', '1'/'0' as sent by form fields
+function parseFlag(value, defaultValue = false) {
+    if (value === undefined || value === null || value === '') return defaultValue;
+    if (typeof value === 'boolean') return value;
+    return ['true', 'yes', 'y', 'on', '1'].includes(String(value).trim().toLowerCase());
+}
+
+module.exports = {
+    parseFlag
+};
@@ -0,0 +1,248 @@
+// Goal-seek: works backwards from a target return to the most you can pay or the least rent you need
+
+const { calculateInvestment, buildCalculatorInput, readLocalisedNumbers, parseCurrency, isTradingCalculator } = require('./calculator-logic');
+const { parseRooms, scaleRoomRents } = require('./hmo');
+const { parseSeasonalRates, scaleSeasonalRates } = require('./seasonal');
+const { formatMoney } = require('./money');
+const { parseReportFormat } = require('./report-format');
+
+// Used when no goal_seek targets are supplied
+const DEFAULT_TARGETS = { roi: 10 };
+
+// Solved values are whole pounds; the search stops once the bracket is narrower than this
+const TOLERANCE = 0.5;
+// Give up looking for an upper bound past this (the target is met at any realistic value)
+const SEARCH_LIMIT = 1e9;
+
+// A flip or development has no monthly income, so its monthly figure is the net profit spread over the hold
+function flipMonthly(results) {
+    return (results.netProfit || 0) / (results.holdingPeriod || 1);
+}
+
+const METRICS = {
+    roi: {
+        label: 'ROI',
+        formatTarget: value => `${value}%`,
+        // The calculators report 0% when no cash is left in the deal; a profit on nothing beats any target
+        get: results => (results.roi === 0 && (results.annualProfit || results.netProfit) > 0 ? Infinity : results.roi)
+    },
+    monthly_profit: {
+        label: 'Monthly Profit',
+        formatTarget: (value, format) => formatMoney(value, format),
+        get: (results, calculatorType) => (isTradingCalculator(calculatorType) ? flipMonthly(results) : results.monthlyProfit)
+    },
+    annual_profit: {
+        label: 'Annual Profit',
+        formatTarget: (value, format) => formatMoney(value, format),
+        get: (results, calculatorType) => (isTradingCalculator(calculatorType) ? results.netProfit : results.annualProfit)
+    },
+    irr: {
+        label: 'IRR',
+        formatTarget: value => `${value}%`,
+        get: results => (results.returnMetrics ? results.returnMetrics.irr : null)
+    }
+};
+
+// The rent field each calculator earns from
+const RENT_FIELDS = {
+    'standard-btl': 'monthly_rent',
+    'purchase': 'monthly_rent',
+    'brr': 'monthly_rent',
+    'holiday-let': 'weekly_rent',
+    'rent-to-hmo': 'rent_per_room',
+    'rent-to-serviced': 'daily_rate',
+    'lease-option': 'monthly_rent'
+};
+
+const RENT_LABELS = {
+    monthly_rent: 'Minimum Monthly Rent',
+    weekly_rent: 'Minimum Weekly Rent',
+    rent_per_room: 'Minimum Rent per Room',
+    daily_rate: 'Minimum Nightly Rate'
+};
+
+// An HMO room schedule has no single rent field: solve for the average room rent and scale every room to it
+function roomRentVariable(data) {
+    const { locale } = parseReportFormat(data);
+    const rooms = parseRooms(data.rooms, 0, locale);
+    const averageRent = rooms.reduce((sum, room) => sum + room.rent, 0) / rooms.length;
+    return {
+        field: 'rooms',
+        label: 'Minimum Average Room Rent',
+        direction: 'min',
+        current: averageRent,
+        apply: (input, value) => ({ ...input, rooms: scaleRoomRents(data.rooms, averageRent > 0 ? value / averageRent : 0, locale) })
+    };
+}
+
+// Seasonal pricing has a rate per season: solve for the average achieved rate and scale every season (and the flat rate) to it
+function seasonalRateVariable(data, rentField) {
+    const results = calculateInvestment(data);
+    const averageRate = rentField === 'weekly_rent' ? results.averageWeeklyRent : results.averageDailyRate;
+    const flatRate = parseCurrency(data[rentField]);
+    const { locale } = parseReportFormat(data);
+    return {
+        field: 'seasonal_rates',
+        label: rentField === 'weekly_rent' ? 'Minimum Average Weekly Rent' : 'Minimum Average Nightly Rate',
+        direction: 'min',
+        current: averageRate,
+        apply: (input, value) => {
+            const factor = averageRate > 0 ? value / averageRate : 0;
+            return { ...input, [rentField]: flatRate * factor, seasonal_rates: scaleSeasonalRates(data.seasonal_rates, factor, locale) };
+        }
+    };
+}
+
+// What can be solved for each calculator: 'max' fields get worse as they rise, 'min' fields get better
+function solvableVariables(calculatorType, data) {
+    const rentField = RENT_FIELDS[calculatorType];
+    let rent = rentField ? [{ field: rentField, label: RENT_LABELS[rentField], direction: 'min' }] : [];
+    if (calculatorType === 'rent-to-hmo' && parseRooms(data.rooms).length > 0) {
+        rent = [roomRentVariable(data)];
+    } else if ((calculatorType === 'holiday-let' || calculatorType === 'rent-to-serviced') && parseSeasonalRates(data.seasonal_rates).length > 0) {
+        rent = [seasonalRateVariable(data, rentField)];
+    }
+    const offer = { field: 'purchase_price', label: 'Maximum Offer Price', direction: 'max' };
+    const refurb = { field: 'refurb_cost', label: 'Maximum Refurb Budget', direction: 'max' };
+
+    switch (calculatorType) {
+        case 'brr':
+            return [offer, refurb, ...rent];
+        case 'flip':
+            return [offer, refurb];
+        case 'development':
+            return [
+                { field: 'purchase_price', label: 'Maximum Land Price', direction: 'max' },
+                { field: 'build_cost_per_sqm', label: 'Maximum Build Cost per sqm', direction: 'max' },
+                { field: 'gdv_per_unit', label: 'Minimum GDV per Unit', direction: 'min' }
+            ];
+        case 'rent-to-hmo':
+        case 'rent-to-serviced':
+            // Rent-to-rent deals buy nothing: the "offer" is the rent paid to the landlord
+            return [{ field: 'monthly_rent_paid', label: 'Maximum Rent to Landlord', direction: 'max' }, ...rent];
+        case 'lease-option':
+            return [
+                { field: 'option_fee', label: 'Maximum Option Fee', direction: 'max' },
+                { field: 'monthly_payment', label: 'Maximum Payment to Owner', direction: 'max' },
+                ...rent
+            ];
+        case 'holiday-let':
+        case 'standard-btl':
+        case 'purchase':
+            return [offer, ...rent];
+        default:
+            return [offer, { field: 'monthly_rent', label: RENT_LABELS.monthly_rent, direction: 'min' }];
+    }
+}
+
+// goal_seek may arrive as an object or a JSON string: { "roi": 10, "monthly_profit": 300 }
+function parseGoalSeekConfig(value) {
+    let config = value;
+    if (typeof config === 'string') {
+        try {
+            config = JSON.parse(config);
+        } catch (e) {
+            config = null;
+        }
+    }
+    const targets = Object.keys(METRICS)
+        .filter(metric => config && typeof config === 'object' && config[metric] !== undefined && config[metric] !== '')
+        .map(metric => ({ metric, value: parseFloat(config[metric]) }))
+        .filter(target => !isNaN(target.value));
+    if (targets.length > 0) return targets;
+    return Object.keys(DEFAULT_TARGETS).map(metric => ({ metric, value: DEFAULT_TARGETS[metric] }));
+}
+
+function meetsTargets(data, targets) {
+    const results = calculateInvestment(data);
+    return targets.every(target => {
+        const actual = METRICS[target.metric].get(results, data.calculator_type);
+        return actual !== null && actual !== undefined && !isNaN(actual) && actual >= target.value;
+    });
+}
+
+// Bisection on one field, assuming the targets are met on one side of a single boundary.
+// The bracket grows out from the current value, since 0 is rarely meaningful (no price means no ROI).
+function solveVariable(data, variable, targets) {
+    const { apply, ...description } = variable;
+    const meets = value => meetsTargets(apply ? apply(data, value) : { ...data, [variable.field]: value }, targets);
+    const current = variable.current !== undefined ? variable.current : parseCurrency(data[variable.field]);
+    const result = { ...description, current, value: null, headroom: null, unlimited: false };
+    const isMax = variable.direction === 'max';
+
+    // good is the bracket end where the targets are met, bad the end where they are not
+    const start = current > 0 ? current : 1000;
+    let good;
+    let bad;
+    if (meets(start)) {
+        good = start;
+        bad = isMax ? start * 2 : start / 2;
+        while (meets(bad)) {
+            good = bad;
+            if (isMax && bad * 2 > SEARCH_LIMIT) {
+                // The targets are met however high the price goes
+                return { ...result, unlimited: true };
+            }
+            if (!isMax && bad < TOLERANCE) {
+                return { ...result, value: 0, headroom: current };
+            }
+            bad = isMax ? bad * 2 : bad / 2;
+        }
+    } else {
+        bad = start;
+        good = isMax ? start / 2 : start * 2;
+        while (!meets(good)) {
+            bad = good;
+            // Not even a free property (or an impossibly high rent) meets the targets
+            if (isMax ? good < TOLERANCE : good * 2 > SEARCH_LIMIT) return result;
+            good = isMax ? good / 2 : good * 2;
+        }
+    }
+
+    while (Math.abs(good - bad) > TOLERANCE) {
+        const mid = (good + bad) / 2;
+        if (meets(mid)) {
+            good = mid;
+        } else {
+            bad = mid;
+        }
+    }
+
+    const value = isMax ? Math.floor(good) : Math.ceil(good);
+    return {
+        ...result,
+        value,
+        // Positive headroom means the current figure already beats the target by that much
+        headroom: isMax ? value - current : current - value
+    };
+}
+
+// Offer guidance for one calculator input (report fields already merged with its calculator_<type> block)
+function buildOfferGuidance(data, configValue) {
+    const calculatorType = data.calculator_type || 'standard-btl';
+    const targets = parseGoalSeekConfig(configValue !== undefined ? configValue : data.goal_seek);
+    const input = readLocalisedNumbers({ ...data, calculator_type: calculatorType });
+    const format = parseReportFormat(data);
+
+    return {
+        calculatorType,
+        targets: targets.map(target => ({
+            ...target,
+            label: METRICS[target.metric].label,
+            description: `${METRICS[target.metric].label} of at least ${METRICS[target.metric].formatTarget(target.value, format)}`
+        })),
+        currentlyMeetsTargets: meetsTargets(input, targets),
+        solutions: solvableVariables(calculatorType, input).map(variable => solveVariable(input, variable, targets))
+    };
+}
+
+// Offer guidance for every selected calculator in a report payload
+function buildOfferGuidanceForReport(data, calculatorTypes) {
+    return calculatorTypes.map(calculatorType => buildOfferGuidance(buildCalculatorInput(data, calculatorType)));
+}
+
+module.exports = {
+    buildOfferGuidance,
+    buildOfferGuidanceForReport,
+    METRICS
+};
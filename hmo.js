@@ -0,0 +1,89 @@
+// HMO room schedule, licensing and compliance costs for the Rent-to-HMO calculator
+
+const { parseMoney, parseAmount, roundMoney, addMoney, DEFAULT_LOCALE } = require('./money');
+const { parseFlag } = require('./flags');
+const { parseReportFormat } = require('./report-format');
+
+const WEEKS_PER_YEAR = 52;
+// Licences typically run five years; an EICR is needed every five years
+const DEFAULT_LICENCE_YEARS = 5;
+const EICR_YEARS = 5;
+// Smallest bedroom an HMO licence allows for one adult
+const MIN_ROOM_SIZE_SQM = 6.51;
+
+// rooms arrive as an array or a JSON string: [{ name, rent, size, en_suite, void_weeks }]
+function roomArray(value) {
+    let rooms = value;
+    if (typeof rooms === 'string') {
+        try {
+            rooms = JSON.parse(rooms);
+        } catch (e) {
+            return [];
+        }
+    }
+    return Array.isArray(rooms) ? rooms.filter(room => room && typeof room === 'object') : [];
+}
+
+// A room without its own void_weeks uses defaultVoidWeeks. Numbers typed as text are read in locale.
+function parseRooms(value, defaultVoidWeeks = 0, locale = DEFAULT_LOCALE) {
+    return roomArray(value).map((room, index) => {
+        const ownVoidWeeks = parseAmount(room.void_weeks, locale);
+        const voidWeeks = ownVoidWeeks === null ? defaultVoidWeeks : ownVoidWeeks;
+        return {
+            name: room.name ? String(room.name) : `Room ${index + 1}`,
+            rent: parseMoney(room.rent, locale),
+            size: parseAmount(room.size, locale),
+            enSuite: parseFlag(room.en_suite !== undefined ? room.en_suite : room.ensuite),
+            voidWeeks: Math.min(Math.max(voidWeeks, 0), WEEKS_PER_YEAR)
+        };
+    });
+}
+
+// Expected income per room after its void allowance
+function buildRoomSchedule(rooms, lettableMonths) {
+    return rooms.map(room => {
+        const occupancy = (WEEKS_PER_YEAR - room.voidWeeks) / WEEKS_PER_YEAR;
+        return {
+            ...room,
+            occupancy: occupancy * 100,
+            annualIncome: roundMoney(room.rent * occupancy * lettableMonths)
+        };
+    });
+}
+
+// Every room's rent multiplied by factor (used by the sensitivity and goal-seek engines)
+function scaleRoomRents(value, factor, locale = DEFAULT_LOCALE) {
+    return roomArray(value).map(room => ({ ...room, rent: parseMoney(room.rent, locale) * factor }));
+}
+
+// Licence fee and one-off compliance works spread over the licence term, plus annual certificates
+function calculateHMOCosts(data) {
+    const { locale } = parseReportFormat(data);
+    // A blank, zero or negative term would spread the costs over no time, or make them negative
+    const typedLicenceYears = parseAmount(data.hmo_licence_years, locale);
+    const licenceYears = typedLicenceYears > 0 ? typedLicenceYears : DEFAULT_LICENCE_YEARS;
+    const licenceFee = parseMoney(data.hmo_licence_fee, locale);
+    const complianceSetup = parseMoney(data.compliance_setup_cost, locale);
+    const fireSafety = parseMoney(data.fire_safety, locale);
+    const gasSafety = parseMoney(data.gas_safety_certificate, locale);
+    const eicr = parseMoney(data.eicr_cost, locale);
+
+    const annualLicenceCost = roundMoney(licenceFee / licenceYears);
+    const annualComplianceCost = addMoney(roundMoney(complianceSetup / licenceYears), fireSafety, gasSafety, roundMoney(eicr / EICR_YEARS));
+    return {
+        licenceYears,
+        licenceFee,
+        annualLicenceCost,
+        annualComplianceCost
+    };
+}
+
+module.exports = {
+    parseRooms,
+    buildRoomSchedule,
+    scaleRoomRents,
+    calculateHMOCosts,
+    MIN_ROOM_SIZE_SQM,
+    WEEKS_PER_YEAR,
+    DEFAULT_LICENCE_YEARS
+};
@@ -0,0 +1,111 @@
+// Report language: the message catalogue the PDF text comes from and the fonts it is drawn with.
+//
+// Catalogues live in locales/<language>.js as flat objects of dotted keys; {name} marks a value
+// filled in at draw time. A key a catalogue does not have falls back to English.
+//
+// Helvetica only covers Latin text, so Chinese and Arabic draw in their own fonts: Noto Sans HK and
+// IBM Plex Sans Arabic ship in ./fonts (SIL Open Font License), and .ttf or .otf files of the same
+// name in FONTS_DIR replace them. A report asked for in a language whose fonts are missing is
+// drawn in English rather than as missing glyphs.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LANGUAGE = 'en';
+const SHIPPED_FONTS_DIR = path.join(__dirname, 'fonts');
+const FONTS_DIR = process.env.FONTS_DIR || SHIPPED_FONTS_DIR;
+const FONT_EXTENSIONS = ['.otf', '.ttf'];
+
+// Both font families cover Latin as well, so addresses and amounts still draw in them
+const LANGUAGES = {
+    en: { direction: 'ltr', fonts: null },
+    'zh-HK': { direction: 'ltr', fonts: { regular: 'NotoSansHK-Regular', bold: 'NotoSansHK-Bold' } },
+    ar: { direction: 'rtl', fonts: { regular: 'IBMPlexSansArabic-Regular', bold: 'IBMPlexSansArabic-Bold' } }
+};
+
+const catalogues = {
+    en: require('./locales/en'),
+    'zh-HK': require('./locales/zh-HK'),
+    ar: require('./locales/ar')
+};
+
+// A requested language tag to a catalogue: an exact match first, then the same base language
+// ('zh-TW' and 'zh' read Traditional Chinese, 'ar-AE' reads Arabic); anything else is English
+function resolveLanguage(value) {
+    const tag = String(value || '').trim().replace('_', '-').toLowerCase();
+    const languages = Object.keys(LANGUAGES);
+    return languages.find(language => language.toLowerCase() === tag)
+        || languages.find(language => language.split('-')[0].toLowerCase() === tag.split('-')[0])
+        || DEFAULT_LANGUAGE;
+}
+
+function interpolate(message, params) {
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] !== undefined ? String(params[name]) : placeholder));
+}
+
+// t(key, params) for one language: its own message, else the English one, else the key itself
+function createTranslator(language) {
+    const messages = catalogues[language] || catalogues[DEFAULT_LANGUAGE];
+    const fallback = catalogues[DEFAULT_LANGUAGE];
+    return (key, params = {}) => {
+        const message = messages[key] !== undefined ? messages[key] : fallback[key];
+        return message === undefined ? key : interpolate(message, params);
+    };
+}
+
+// Path of a font file by name without its extension, FONTS_DIR first, or null
+function findFontFile(name) {
+    const candidates = [...new Set([FONTS_DIR, SHIPPED_FONTS_DIR])]
+        .flatMap(dir => FONT_EXTENSIONS.map(extension => path.join(dir, name + extension)));
+    return candidates.find(file => fs.existsSync(file)) || null;
+}
+
+// Regular and bold font files for a language, or null when it draws in Helvetica or its files are
+// missing. A missing bold face is drawn with the regular one.
+function installedFonts(language) {
+    const fonts = LANGUAGES[language].fonts;
+    if (!fonts) return null;
+    const regular = findFontFile(fonts.regular);
+    if (!regular) return null;
+    return { regular, bold: findFontFile(fonts.bold) || regular };
+}
+
+// Validation warnings ({ field, message }) for a language the report will not be drawn in
+function languageWarnings(data) {
+    if (data.language === undefined || data.language === null || String(data.language).trim() === '') return [];
+    const requested = resolveLanguage(data.language);
+    if (requested === DEFAULT_LANGUAGE && String(data.language).trim().split(/[-_]/)[0].toLowerCase() !== DEFAULT_LANGUAGE) {
+        return [{ field: 'language', message: `Language "${data.language}" is not supported; the report is drawn in English` }];
+    }
+    if (LANGUAGES[requested].fonts && !installedFonts(requested)) {
+        return [{ field: 'language', message: `Fonts for language "${requested}" are not installed; the report is drawn in English` }];
+    }
+    return [];
+}
+
+// Everything the PDF needs to draw a report in data.language
+function resolveReportLanguage(data) {
+    const requested = resolveLanguage(data.language);
+    const fonts = installedFonts(requested);
+    const language = LANGUAGES[requested].fonts && !fonts ? DEFAULT_LANGUAGE : requested;
+    if (language !== requested) {
+        console.warn(`Fonts for language "${requested}" not found in ${FONTS_DIR}; drawing the report in English`);
+    }
+    return {
+        language,
+        direction: LANGUAGES[language].direction,
+        fonts: language === requested ? fonts : null,
+        t: createTranslator(language)
+    };
+}
+
+module.exports = {
+    createTranslator,
+    resolveLanguage,
+    installedFonts,
+    languageWarnings,
+    resolveReportLanguage,
+    DEFAULT_LANGUAGE,
+    FONTS_DIR,
+    SHIPPED_FONTS_DIR
+};
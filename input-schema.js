@@ -0,0 +1,290 @@
+// Input schemas: what each calculator and the report pages read, and the defaults they fall back on.
+// Defaults live here rather than as `|| 20` in the calculators, so an explicit 0 is honoured and
+// applyDefaults can report which assumptions a report was built on.
+
+const { DEFAULT_TERM_YEARS } = require('./mortgage');
+const { DEFAULT_BRIDGING_LTV, DEFAULT_MONTHLY_RATE, DEFAULT_ARRANGEMENT_FEE_PERCENT, DEFAULT_EXIT_FEE_PERCENT, normaliseFinanceType } = require('./bridging');
+const { DEFAULT_LICENCE_YEARS, parseRooms } = require('./hmo');
+const { parseSeasonalRates } = require('./seasonal');
+const { parseAmount } = require('./money');
+
+// Field types: money and number are any number, percent 0-100, integer a whole number,
+// fee pounds or a percentage ('2%'), text anything. Options:
+//   required   the field must be given (true, or a function of the input)
+//   default    used when the field is blank (a value, or a function of the input)
+//   min / max  outside these the input is rejected
+//   warnAbove  above this the input is accepted but flagged as suspicious
+//   applies    a function of the input; the field is ignored when it returns false
+function field(type, options = {}) {
+    return { type, min: 0, ...options };
+}
+
+const money = options => field('money', options);
+const percent = options => field('percent', { max: 100, ...options });
+const number = options => field('number', options);
+const integer = options => field('integer', options);
+const fee = options => field('fee', options);
+const text = options => field('text', options);
+
+function isBlank(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+const usesBridging = fallback => input => isBlank(input.finance_cost) && normaliseFinanceType(input.purchase_finance, fallback) === 'bridging';
+const hasSeasonalRates = input => parseSeasonalRates(input.seasonal_rates).length > 0;
+const hasRooms = input => parseRooms(input.rooms).length > 0;
+
+const PURCHASE = {
+    purchase_price: money({ required: true }),
+    stamp_duty: money(),
+    survey_cost: money(),
+    legal_fees: money()
+};
+
+const MORTGAGE = {
+    deposit_percent: percent({ default: 20 }),
+    mortgage_rate: percent({ default: 5.8, warnAbove: 15 }),
+    mortgage_term: integer({ default: DEFAULT_TERM_YEARS, min: 1, warnAbove: 40 }),
+    mortgage_fee: fee()
+};
+
+const RUNNING_COSTS = {
+    council_tax: money(),
+    insurance: money(),
+    utilities: money(),
+    water: money(),
+    broadband_tv: money(),
+    repairs_maintenance: money(),
+    void_months: number({ max: 12 })
+};
+
+function bridging(fallback) {
+    const applies = usesBridging(fallback);
+    return {
+        bridging_ltv: percent({ default: DEFAULT_BRIDGING_LTV, applies }),
+        bridging_rate: percent({ default: DEFAULT_MONTHLY_RATE, warnAbove: 3, applies }),
+        bridging_arrangement_fee: percent({ default: DEFAULT_ARRANGEMENT_FEE_PERCENT, applies }),
+        bridging_exit_fee: percent({ default: DEFAULT_EXIT_FEE_PERCENT, applies })
+    };
+}
+
+const BUY_TO_LET = {
+    ...PURCHASE,
+    ...MORTGAGE,
+    monthly_rent: money({ required: true }),
+    loan_setup: money(),
+    ...RUNNING_COSTS
+};
+
+const CALCULATOR_SCHEMAS = {
+    'standard-btl': BUY_TO_LET,
+    'purchase': BUY_TO_LET,
+    'brr': {
+        ...PURCHASE,
+        ...MORTGAGE,
+        after_refurb_value: money({ required: true }),
+        refurb_cost: money(),
+        monthly_rent: money({ required: true }),
+        refinance_ltv: percent({ default: 75 }),
+        refurb_months: number({ default: 3, warnAbove: 24 }),
+        refinance_months: number({ default: input => (parseFloat(input.refurb_months) || 0) + 3 }),
+        ...RUNNING_COSTS,
+        ...bridging('mortgage')
+    },
+    'flip': {
+        ...PURCHASE,
+        sale_price: money({ required: true }),
+        refurb_cost: money(),
+        holding_period: number({ default: 6, warnAbove: 36 }),
+        finance_cost: money(),
+        estate_agent_fees: money(),
+        legal_fees_sale: money(),
+        // Paid while the property stands empty
+        council_tax: money(),
+        insurance: money(),
+        utilities: money(),
+        ...bridging('cash')
+    },
+    'holiday-let': {
+        ...PURCHASE,
+        ...MORTGAGE,
+        weekly_rent: money({ required: input => !hasSeasonalRates(input) }),
+        occupancy_rate: percent({ default: 50 }),
+        management_fee: percent({ default: 20 }),
+        cleaning_fee: money(),
+        ota_commission: percent(),
+        ...RUNNING_COSTS
+    },
+    'rent-to-hmo': {
+        monthly_rent_paid: money({ required: true }),
+        number_of_rooms: integer({ default: 1, min: 1, warnAbove: 20, applies: input => !hasRooms(input) }),
+        rent_per_room: money({ required: true, applies: input => !hasRooms(input) }),
+        occupancy_rate: percent({ default: 80 }),
+        room_void_weeks: number({ max: 52 }),
+        management_fee: money(),
+        hmo_licence_fee: money(),
+        hmo_licence_years: integer({ default: DEFAULT_LICENCE_YEARS, min: 1 }),
+        compliance_setup_cost: money(),
+        fire_safety: money(),
+        gas_safety_certificate: money(),
+        eicr_cost: money(),
+        ...RUNNING_COSTS
+    },
+    'rent-to-serviced': {
+        monthly_rent_paid: money({ required: true }),
+        daily_rate: money({ required: input => !hasSeasonalRates(input) }),
+        occupancy_rate: percent({ default: 60 }),
+        management_fee: percent({ default: 20 }),
+        cleaning_fee: money(),
+        ota_commission: percent(),
+        ...RUNNING_COSTS
+    },
+    'development': {
+        purchase_price: money(),
+        survey_cost: money(),
+        legal_fees: money(),
+        number_of_units: integer({ required: true, min: 1 }),
+        gdv_per_unit: money({ required: true }),
+        unit_size: number({ required: true }),
+        build_cost_per_sqm: money({ required: true }),
+        professional_fees: percent({ default: 10 }),
+        contingency: percent({ default: 5 }),
+        sales_costs: percent({ default: 2.5 }),
+        target_margin: percent({ default: 20 }),
+        build_months: number({ default: 12, min: 1 }),
+        sales_months: number({ default: 3 }),
+        finance_rate: percent({ default: 8, warnAbove: 20 }),
+        finance_ltc: percent({ default: 65 }),
+        finance_arrangement_fee: percent({ default: 2 })
+    },
+    'lease-option': {
+        option_fee: money({ required: true }),
+        monthly_payment: money({ required: true }),
+        monthly_rent: money({ required: true }),
+        purchase_price: money(),
+        // The agreed price defaults to the asking price, and today's value to the agreed price
+        option_price: money({ default: input => input.purchase_price }),
+        current_value: money({ default: input => input.option_price }),
+        option_term: number({ default: 5, min: 1, warnAbove: 25 }),
+        capital_growth: percent({ default: 3, min: -100, warnAbove: 15 }),
+        management_fee: percent(),
+        legal_fees: money(),
+        insurance: money(),
+        repairs_maintenance: money(),
+        void_months: number({ max: 12 })
+    }
+};
+
+// Report fields printed on the cover, Key Information and EPC pages
+const DEFAULT_EPC_CURRENT = 84;
+const DEFAULT_EPC_POTENTIAL = 72;
+
+// The fields each optional page prints; a page none of them is given for is left out
+const REPORT_PAGE_FIELDS = {
+    key_information: ['asking_price', 'bedrooms', 'size_sqm', 'days_on_market', 'key_features'],
+    other_key_information: ['current_rating', 'epc_rating', 'potential_rating', 'inspection_date', 'window_glazing', 'building_age', 'broadband_available', 'download_speed', 'upload_speed'],
+    city_map: ['city', 'about_city', 'population']
+};
+
+function hasAnyField(input, fields) {
+    return fields.some(name => !isBlank(input[name]));
+}
+
+// The EPC scores only default when the EPC page is drawn at all
+const epcPageDrawn = input => hasAnyField(input, REPORT_PAGE_FIELDS.other_key_information);
+
+const REPORT_SCHEMA = {
+    address: text({ required: true }),
+    postal_code: text(),
+    asking_price: money(),
+    bedrooms: integer({ warnAbove: 20 }),
+    size_sqm: number({ warnAbove: 1000 }),
+    days_on_market: integer(),
+    key_features: text(),
+    current_rating: integer({ default: input => isBlank(input.epc_rating) && epcPageDrawn(input) ? DEFAULT_EPC_CURRENT : undefined, min: 1, warnAbove: 100 }),
+    epc_rating: integer({ min: 1, warnAbove: 100 }),
+    potential_rating: integer({ default: input => epcPageDrawn(input) ? DEFAULT_EPC_POTENTIAL : undefined, min: 1, warnAbove: 100 }),
+    inspection_date: text(),
+    window_glazing: text(),
+    building_age: text(),
+    broadband_available: text(),
+    download_speed: number(),
+    upload_speed: number(),
+    city: text(),
+    about_city: text(),
+    population: text()
+};
+
+// Every field some calculator reads as a number
+const NUMERIC_FIELDS = [...new Set(Object.values(CALCULATOR_SCHEMAS)
+    .flatMap(schema => Object.entries(schema))
+    .filter(([, spec]) => spec.type !== 'text')
+    .map(([name]) => name))];
+
+// Unknown types are calculated as Standard Buy to Let
+function calculatorSchema(calculatorType) {
+    return CALCULATOR_SCHEMAS[calculatorType] || CALCULATOR_SCHEMAS['standard-btl'];
+}
+
+// The fields of a schema that apply to this input, as [name, spec] pairs
+function schemaFields(schema, input) {
+    return Object.entries(schema).filter(([, spec]) => !spec.applies || spec.applies(input));
+}
+
+function isRequired(spec, input) {
+    return typeof spec.required === 'function' ? spec.required(input) : !!spec.required;
+}
+
+// The problem with one field's value, if any: { error } or { warning }
+function checkFieldValue(name, spec, value, locale) {
+    if (spec.type === 'text') return {};
+    const isPercent = spec.type === 'percent' || (spec.type === 'fee' && String(value).trim().endsWith('%'));
+    const number = parseAmount(value, locale);
+    if (number === null) return { error: `${name} "${value}" is not a number` };
+    if (spec.type === 'integer' && !Number.isInteger(number)) return { error: `${name} must be a whole number` };
+    if (number < spec.min) return { error: spec.min === 0 ? `${name} cannot be negative` : `${name} must be at least ${spec.min}` };
+    const max = isPercent ? 100 : spec.max;
+    if (max !== undefined && number > max) return { error: isPercent ? `${name} cannot be over 100%` : `${name} cannot be over ${max}` };
+    if (spec.warnAbove !== undefined && number > spec.warnAbove) return { warning: `${name} of ${number} is unusually high (over ${spec.warnAbove})` };
+    return {};
+}
+
+// Blank fields filled with their defaults, and a list of what was filled in: { data, defaults: [{ field, value }] }.
+// Defaults are applied in schema order, so one can build on another (refinance_months on refurb_months).
+function applySchemaDefaults(schema, input) {
+    const data = { ...input };
+    const defaults = [];
+    schemaFields(schema, data).forEach(([name, spec]) => {
+        if (!isBlank(data[name]) || spec.default === undefined) return;
+        const value = typeof spec.default === 'function' ? spec.default(data) : spec.default;
+        if (isBlank(value)) return;
+        data[name] = value;
+        defaults.push({ field: name, value });
+    });
+    return { data, defaults };
+}
+
+function applyDefaults(calculatorType, input) {
+    return applySchemaDefaults(calculatorSchema(calculatorType), input);
+}
+
+function applyReportDefaults(input) {
+    return applySchemaDefaults(REPORT_SCHEMA, input);
+}
+
+module.exports = {
+    CALCULATOR_SCHEMAS,
+    REPORT_SCHEMA,
+    REPORT_PAGE_FIELDS,
+    NUMERIC_FIELDS,
+    DEFAULT_EPC_CURRENT,
+    DEFAULT_EPC_POTENTIAL,
+    calculatorSchema,
+    schemaFields,
+    isRequired,
+    checkFieldValue,
+    isBlank,
+    hasAnyField,
+    applyDefaults,
+    applyReportDefaults
+};
@@ -0,0 +1,47 @@
+// Input warnings: things in a calculator payload that will quietly skew the numbers.
+// /calculate never rejects input (a blank field with no default counts as 0), so these are advisory
+// only; /generate rejects the same problems as errors (see validation.js).
+
+const { parseRooms, MIN_ROOM_SIZE_SQM } = require('./hmo');
+const { CALCULATOR_SCHEMAS, calculatorSchema, schemaFields, isRequired, checkFieldValue, isBlank } = require('./input-schema');
+const { parseReportFormat } = require('./report-format');
+
+const KNOWN_CALCULATORS = Object.keys(CALCULATOR_SCHEMAS);
+
+// Warnings for one calculator input (report fields already merged with its calculator_<type> block).
+// The field rules are the calculator's schema in input-schema.js, the same ones /generate enforces.
+function collectInputWarnings(calculatorType, data) {
+    const warnings = [];
+    const { locale } = parseReportFormat(data);
+
+    if (!KNOWN_CALCULATORS.includes(calculatorType)) {
+        warnings.push({ field: 'calculator_type', message: `Unknown calculator "${calculatorType}", calculated as Standard Buy to Let` });
+    }
+
+    const rooms = calculatorType === 'rent-to-hmo' ? parseRooms(data.rooms, 0, locale) : [];
+    rooms.forEach(room => {
+        if (room.rent <= 0) {
+            warnings.push({ field: 'rooms', message: `${room.name} has no rent` });
+        }
+        if (room.size !== null && room.size < MIN_ROOM_SIZE_SQM) {
+            warnings.push({ field: 'rooms', message: `${room.name} is under the ${MIN_ROOM_SIZE_SQM} m² HMO minimum bedroom size` });
+        }
+    });
+
+    // Blank fields with a default are reported as defaults, not warnings
+    schemaFields(calculatorSchema(calculatorType), data).forEach(([field, spec]) => {
+        if (isBlank(data[field])) {
+            if (isRequired(spec, data)) warnings.push({ field, message: `${field} is missing and has been treated as 0` });
+            return;
+        }
+        const { error, warning } = checkFieldValue(field, spec, data[field], locale);
+        if (error || warning) warnings.push({ field, message: error || warning });
+    });
+
+    return warnings;
+}
+
+module.exports = {
+    collectInputWarnings,
+    KNOWN_CALCULATORS
+};
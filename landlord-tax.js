@@ -0,0 +1,82 @@
+// Landlord tax: income tax for individuals (Section 24) or corporation tax for limited companies.
+// Rental profit is taxed at a single marginal rate - the band the landlord's other income puts them in.
+
+const INCOME_TAX_RATES = {
+    basic: 20,
+    higher: 40,
+    additional: 45
+};
+const DEFAULT_TAX_BAND = 'basic';
+
+// Section 24: finance costs are not deductible, individuals get a basic-rate credit instead
+const FINANCE_COST_CREDIT_RATE = 20;
+
+// Corporation tax with marginal relief between the lower and upper limits
+const CORPORATION_TAX_SMALL_PROFITS_RATE = 19;
+const CORPORATION_TAX_MAIN_RATE = 25;
+const CORPORATION_TAX_LOWER_LIMIT = 50000;
+const CORPORATION_TAX_UPPER_LIMIT = 250000;
+const MARGINAL_RELIEF_FRACTION = 3 / 200;
+
+function normaliseOwnership(value) {
+    const ownership = String(value || '').trim().toLowerCase();
+    return /(ltd|limited|company|spv)/.test(ownership) ? 'limited-company' : 'individual';
+}
+
+function normaliseTaxBand(value) {
+    const band = String(value || '').trim().toLowerCase().replace(/[\s_-]*rate$/, '');
+    return INCOME_TAX_RATES[band] !== undefined ? band : DEFAULT_TAX_BAND;
+}
+
+function corporationTax(profit) {
+    if (profit <= 0) return 0;
+    if (profit <= CORPORATION_TAX_LOWER_LIMIT) return profit * (CORPORATION_TAX_SMALL_PROFITS_RATE / 100);
+    const mainRateTax = profit * (CORPORATION_TAX_MAIN_RATE / 100);
+    if (profit >= CORPORATION_TAX_UPPER_LIMIT) return mainRateTax;
+    return mainRateTax - MARGINAL_RELIEF_FRACTION * (CORPORATION_TAX_UPPER_LIMIT - profit);
+}
+
+// Annual tax on a property's profit.
+// residentialLet applies the Section 24 restriction to individuals; trading profits (flips) deduct finance costs in full.
+function calculateLandlordTax({ ownership, taxBand, income, runningCosts, financeCosts, residentialLet = true }) {
+    const ownershipStructure = normaliseOwnership(ownership);
+    const finance = Math.max(0, financeCosts || 0);
+    const profitBeforeFinance = (income || 0) - (runningCosts || 0);
+
+    if (ownershipStructure === 'limited-company') {
+        const taxableProfit = Math.max(0, profitBeforeFinance - finance);
+        const annualTax = corporationTax(taxableProfit);
+        return {
+            ownershipStructure,
+            taxBand: null,
+            taxRate: taxableProfit > 0 ? (annualTax / taxableProfit) * 100 : CORPORATION_TAX_SMALL_PROFITS_RATE,
+            taxableProfit,
+            financeCostCredit: 0,
+            annualTax
+        };
+    }
+
+    const band = normaliseTaxBand(taxBand);
+    const taxRate = INCOME_TAX_RATES[band];
+    const taxableProfit = Math.max(0, residentialLet ? profitBeforeFinance : profitBeforeFinance - finance);
+    const taxBeforeCredit = taxableProfit * (taxRate / 100);
+    // The credit is capped at the basic rate on the lower of finance costs and property profit
+    const financeCostCredit = residentialLet
+        ? Math.min(finance, taxableProfit) * (FINANCE_COST_CREDIT_RATE / 100)
+        : 0;
+    return {
+        ownershipStructure,
+        taxBand: band,
+        taxRate,
+        taxableProfit,
+        financeCostCredit,
+        annualTax: Math.max(0, taxBeforeCredit - financeCostCredit)
+    };
+}
+
+module.exports = {
+    calculateLandlordTax,
+    corporationTax,
+    normaliseOwnership,
+    INCOME_TAX_RATES
+};
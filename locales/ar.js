@@ -0,0 +1,327 @@
+// Arabic report text (drawn right to left). Keys missing here fall back to locales/en.js.
+
+module.exports = {
+    // Calculator names
+    'calculator.standard-btl': 'الشراء بغرض التأجير',
+    'calculator.brr': 'الشراء والتجديد وإعادة التمويل',
+    'calculator.flip': 'الشراء والتجديد للبيع',
+    'calculator.holiday-let': 'تأجير العطلات',
+    'calculator.rent-to-hmo': 'الاستئجار لإعادة التأجير المشترك',
+    'calculator.rent-to-serviced': 'الاستئجار لإعادة التأجير كشقق فندقية',
+    'calculator.purchase': 'حاسبة الشراء',
+    'calculator.development': 'التطوير العقاري',
+    'calculator.lease-option': 'الإيجار مع خيار الشراء',
+    'calculator.heading': 'حاسبة {name}',
+
+    // Document properties
+    'document.subject': 'تقرير الاستثمار العقاري',
+
+    // Header, cover and footer
+    'header.tagline': 'نرتقي بتجربتك العقارية',
+    'cover.reportCreated': 'تاريخ إعداد التقرير: {date}',
+    'cover.reportCreatedWithRate': 'تاريخ إعداد التقرير: {date} - {rate}',
+    'footer.pageNumber': 'صفحة {page} من {total}',
+
+    // Page titles
+    'page.investment': 'الفرصة الاستثمارية',
+    'page.amortisation': 'جدول سداد القرض',
+    'page.projection': 'توقعات {years} سنوات',
+    'page.stressTest': 'اختبار الضغط',
+    'page.offerGuidance': 'إرشادات العرض',
+    'page.mortgageComparison': 'مقارنة منتجات الرهن العقاري',
+    'page.keyInformation': 'معلومات رئيسية',
+    'page.otherKeyInformation': 'معلومات رئيسية أخرى',
+    'page.floorPlans': 'المخططات',
+    'page.propertyImages': 'صور العقار',
+    'page.cityMap': 'خريطة المدينة',
+    'page.contents': 'المحتويات',
+
+    // Values
+    'value.pcm': '{amount} شهريًا',
+    'value.years': '{value} سنة',
+    'value.months': '{value} شهر',
+    'value.moreThanYears': 'أكثر من {value} سنة',
+    'value.notApplicable': 'غير متاح',
+    'value.notAvailable': 'غير متاح',
+    'value.yes': 'نعم',
+
+    // Investment page: headline boxes, tables and profit boxes
+    'label.purchasePrice': 'سعر الشراء',
+    'label.estimatedMonthlyRent': 'الإيجار الشهري المتوقع',
+    'label.rentalYield': 'العائد الإيجاري',
+    'label.deposit': 'الدفعة الأولى ({percent}%)',
+    'label.stampDuty': 'رسوم الدمغة ({regime})',
+    'label.stampDutyAsSupplied': 'كما وردت',
+    'label.survey': 'المعاينة',
+    'label.legalFees': 'الرسوم القانونية',
+    'label.loanSetup': 'رسوم إعداد القرض',
+    'label.mortgageFee': 'رسوم الرهن العقاري',
+    'label.mortgageRepayment': 'الرهن العقاري @ {rate}% (سداد)',
+    'label.mortgageInterestOnly': 'الرهن العقاري @ {rate}% (فائدة فقط)',
+    'label.councilTax': 'الضريبة البلدية',
+    'label.repairs': 'الإصلاحات / الصيانة',
+    'label.utilities': 'الكهرباء / الغاز',
+    'label.water': 'المياه',
+    'label.broadband': 'الإنترنت / التلفزيون',
+    'label.insurance': 'التأمين',
+    'label.total': 'الإجمالي',
+    'label.totalInvestmentRequired': 'إجمالي الاستثمار المطلوب',
+    'label.afterRefurbValue': 'القيمة بعد التجديد',
+    'label.moneyLeftIn': 'المبلغ المتبقي في الصفقة',
+    'label.surveyLegalFees': 'المعاينة والرسوم القانونية',
+    'label.refurbishment': 'التجديد',
+    'label.holdingCosts': 'تكاليف الحيازة ({months} شهر شاغر)',
+    'label.bridging': 'تمويل مرحلي ({months} شهر، {interest})',
+    'label.bridgingInterest.retained': 'فائدة مقتطعة',
+    'label.bridgingInterest.serviced': 'فائدة مدفوعة شهريًا',
+    'label.mortgageInterestMonths': 'فائدة الرهن العقاري ({months} شهر)',
+    'label.financeCost': 'تكلفة التمويل',
+    'label.lessRefinance': 'ناقص إعادة التمويل ({ltv}% من القيمة)',
+    'label.cashTiedUp': 'النقد المجمد',
+    'label.monthlyPreTax': 'شهريًا قبل الضريبة',
+    'label.monthlyPostTax': 'شهريًا بعد الضريبة',
+    'label.annualPreTax': 'سنويًا قبل الضريبة',
+    'label.annualPostTax': 'سنويًا بعد الضريبة',
+    'label.monthlyProfit': 'الربح الشهري',
+    'label.annualProfit': 'الربح السنوي',
+    'label.roi': 'العائد على الاستثمار',
+    'label.equityBuilt': 'حقوق الملكية المتراكمة',
+    'label.netProfit': 'صافي الربح',
+    'label.netProfitPreTax': 'صافي الربح قبل الضريبة',
+    'label.netProfitPostTax': 'صافي الربح بعد الضريبة',
+    'label.holdingPeriod': 'مدة الحيازة',
+    'label.holdingPeriodMonths': '{months} شهر',
+    'label.salePrice': 'سعر البيع',
+    'label.totalInvestment': 'إجمالي الاستثمار',
+    'label.lessTotalInvestment': 'ناقص إجمالي الاستثمار',
+    'label.lessLegalFeesSale': 'ناقص الرسوم القانونية (البيع)',
+    'label.lessEstateAgentFees': 'ناقص عمولة الوكيل العقاري',
+    'label.profitPreTax': 'الربح قبل الضريبة',
+    'label.profitPostTax': 'الربح بعد الضريبة',
+    'label.developerProfit': 'ربح المطور',
+    'label.profitOnCost': 'الربح على التكلفة',
+    'label.profitOnGdv': 'الربح على قيمة التطوير',
+    'label.targetMargin': 'الهامش المستهدف',
+    'label.gdv': 'إجمالي قيمة التطوير',
+    'label.gdvUnits': 'إجمالي قيمة التطوير ({units} وحدة)',
+    'label.residualLandValue': 'القيمة المتبقية للأرض',
+    'label.landPrice': 'سعر الأرض',
+    'label.buildCost': 'تكلفة البناء ({area} م²)',
+    'label.professionalFees': 'الأتعاب المهنية ({percent}%)',
+    'label.contingency': 'الطوارئ ({percent}%)',
+    'label.financeMonths': 'التمويل ({months} شهر)',
+    'label.salesCosts': 'تكاليف البيع ({percent}%)',
+    'label.totalDevelopmentCost': 'إجمالي تكلفة التطوير',
+    'label.lessTotalDevelopmentCost': 'ناقص إجمالي تكلفة التطوير',
+    'label.optionFee': 'رسوم الخيار',
+    'label.monthlyCashFlow': 'التدفق النقدي الشهري',
+    'label.projectedEquityYears': 'حقوق الملكية المتوقعة ({years} سنة)',
+    'label.valueInYears': 'القيمة بعد {years} سنة (نمو {growth}%)',
+    'label.lessAgreedPurchasePrice': 'ناقص سعر الشراء المتفق عليه',
+    'label.addPaymentsCredited': 'زائد الدفعات المحتسبة',
+    'label.projectedEquityAtExercise': 'حقوق الملكية المتوقعة عند التنفيذ',
+    'label.paymentsToOwner': 'الدفعات للمالك',
+    'label.management': 'الإدارة',
+    'label.managementPercent': 'الإدارة ({percent}%)',
+    'label.optionFeeLegal': 'رسوم الخيار والرسوم القانونية',
+    'label.returnOnOptionFee': 'العائد على رسوم الخيار',
+    'label.weeklyRent': 'الإيجار الأسبوعي',
+    'label.averageWeeklyRent': 'متوسط الإيجار الأسبوعي',
+    'label.occupancy': 'نسبة الإشغال',
+    'label.platformCommission': 'عمولة المنصة ({percent}%)',
+    'label.cleaning': 'التنظيف',
+    'label.rooms': 'الغرف',
+    'label.roomsLet': 'الغرف المؤجرة',
+    'label.roomsLetValue': '{let} من {total}',
+    'label.averageRoomRent': 'متوسط إيجار الغرفة',
+    'label.rentPerRoom': 'الإيجار لكل غرفة',
+    'label.monthlyIncome': 'الدخل الشهري',
+    'label.roomRent': 'إيجار الغرف ({rooms} غرف)',
+    'label.annualIncome': 'الدخل السنوي',
+    'label.totalAnnualIncome': 'إجمالي الدخل السنوي',
+    'label.rentPaidToLandlord': 'الإيجار المدفوع للمالك',
+    'label.hmoLicence': 'ترخيص السكن المشترك (على {years} سنوات)',
+    'label.compliance': 'الامتثال والسلامة',
+    'label.nightlyRate': 'سعر الليلة',
+    'label.averageNightlyRate': 'متوسط سعر الليلة',
+    'label.nightsLet': 'الليالي المؤجرة ({nights})',
+
+    // Investment page: table titles and the room schedule
+    'table.totalPurchaseCosts': 'إجمالي تكاليف الشراء',
+    'table.totalAnnualExpenses': 'إجمالي المصروفات السنوية',
+    'table.refurbishRefinance': 'التجديد وإعادة التمويل',
+    'table.totalInvestment': 'إجمالي الاستثمار',
+    'table.saleProfit': 'البيع والربح',
+    'table.developmentCosts': 'تكاليف التطوير',
+    'table.appraisal': 'التقييم',
+    'table.optionTerms': 'شروط الخيار',
+    'table.annualIncome': 'الدخل السنوي',
+    'table.roomSchedule': 'جدول الغرف',
+    'table.room': 'الغرفة',
+    'table.roomSize': 'م²',
+    'table.enSuite': 'حمام خاص',
+    'table.voids': 'الشغور',
+    'table.rent': 'الإيجار',
+    'table.voidWeeks': '{weeks} أسبوع',
+    'chart.monthlyRevenue': 'الإيرادات الشهرية',
+
+    // Short month names for the revenue chart
+    'month.jan': 'يناير',
+    'month.feb': 'فبراير',
+    'month.mar': 'مارس',
+    'month.apr': 'أبريل',
+    'month.may': 'مايو',
+    'month.jun': 'يونيو',
+    'month.jul': 'يوليو',
+    'month.aug': 'أغسطس',
+    'month.sep': 'سبتمبر',
+    'month.oct': 'أكتوبر',
+    'month.nov': 'نوفمبر',
+    'month.dec': 'ديسمبر',
+
+    // Lender affordability panel
+    'affordability.pass': 'مقبول',
+    'affordability.fail': 'مرفوض',
+    'affordability.headline': 'قدرة السداد لدى المقرض: الإيجار يغطي {coverage} من الفائدة بنسبة {stressRate}% (المطلوب {icr}%)',
+    'affordability.cappedAtLtv': ' (بحد أقصى {ltv}% من القيمة)',
+    'affordability.maxLoan': 'الحد الأقصى للقرض {maxLoan}{limit} مقابل {requested} مطلوب',
+    'affordability.extraDeposit': 'الحد الأقصى للقرض {maxLoan}{limit} مقابل {requested} مطلوب - دفعة أولى إضافية مطلوبة {extra}',
+
+    // Tax footnote
+    'tax.limitedCompany': 'تفترض الأرقام بعد الضريبة التملك عبر شركة ذات مسؤولية محدودة: ضريبة شركات {tax} سنويًا.',
+    'tax.personal': 'تفترض الأرقام بعد الضريبة التملك الشخصي بالشريحة {band} ({rate}%): ضريبة دخل {tax} سنويًا{credit}.',
+    'tax.limitedCompanyOneOff': 'تفترض الأرقام بعد الضريبة التملك عبر شركة ذات مسؤولية محدودة: ضريبة شركات {tax} على الربح.',
+    'tax.personalOneOff': 'تفترض الأرقام بعد الضريبة التملك الشخصي بالشريحة {band} ({rate}%): ضريبة دخل {tax} على الربح{credit}.',
+    'tax.financeCostCredit': '، بعد خصم {credit} لتكاليف التمويل',
+    'tax.band.basic': 'الأساسية',
+    'tax.band.higher': 'العليا',
+    'tax.band.additional': 'الإضافية',
+
+    // Return metric boxes
+    'returns.annualisedReturn': 'العائد السنوي',
+    'returns.npv': 'صافي القيمة الحالية @ {rate}%',
+    'returns.irr': 'معدل العائد الداخلي ({years} سنة)',
+    'returns.cashOnCash': 'العائد النقدي',
+    'returns.payback': 'فترة الاسترداد',
+
+    // Amortisation and projection tables
+    'column.year': 'السنة',
+    'column.openingBalance': 'الرصيد الافتتاحي',
+    'column.payment': 'الدفعة',
+    'column.interest': 'الفائدة',
+    'column.capital': 'رأس المال',
+    'column.closingBalance': 'الرصيد الختامي',
+    'column.total': 'الإجمالي',
+    'column.rent': 'الإيجار',
+    'column.expenses': 'المصروفات',
+    'column.cashFlow': 'التدفق النقدي',
+    'column.cumulative': 'التراكمي',
+    'column.loan': 'القرض',
+    'column.value': 'القيمة',
+    'column.equity': 'حقوق الملكية',
+    'amortisation.subtitle': '{calculator} - {amount} على مدى {years} سنة @ {rate}%',
+    'projection.subtitle': '{calculator} - نمو الإيجار {rentGrowth}%، نمو رأس المال {capitalGrowth}%، تضخم التكاليف {costInflation}% سنويًا',
+    'projection.propertyValue': 'قيمة العقار',
+    'projection.loanBalance': 'رصيد القرض',
+    'projection.equity': 'حقوق الملكية',
+    'projection.cumulativeCashFlow': 'التدفق النقدي التراكمي',
+    'projection.refinanceReleases': 'السنة {year} تحرر {amount}',
+    'projection.refinanceNeeds': 'السنة {year} تحتاج {amount}',
+    'projection.refinanceNote': 'إعادة التمويل: {notes} (مدرجة في التدفق النقدي التراكمي).',
+
+    // Stress test
+    'stress.subtitle': '{calculator} - {rows} مقابل {columns}',
+    'stress.variable.mortgage_rate': 'سعر فائدة الرهن',
+    'stress.variable.rent': 'تغير الإيجار',
+    'stress.variable.void_months': 'أشهر الشغور',
+    'stress.variable.purchase_price': 'تغير السعر',
+    'stress.variable.sale_price': 'تغير سعر البيع',
+    'stress.variable.build_cost': 'تغير تكلفة البناء',
+    'stress.variable.rent_paid': 'تغير الإيجار المدفوع',
+    'stress.variable.occupancy': 'نسبة الإشغال',
+    'stress.monthlyProfit': 'الربح الشهري',
+    'stress.roi': 'العائد على الاستثمار',
+    'stress.lossMaking': 'خاسر',
+    'stress.below': 'أقل من {profit} شهريًا / {roi}% عائد',
+    'stress.atOrAbove': '{profit} شهريًا / {roi}% عائد أو أكثر',
+
+    // Offer guidance
+    'offer.subtitle': '{calculator} - الهدف: {targets}',
+    'offer.targetsJoin': ' و',
+    'offer.target': '{metric} لا يقل عن {value}',
+    'offer.metric.roi': 'العائد على الاستثمار',
+    'offer.metric.monthly_profit': 'الربح الشهري',
+    'offer.metric.annual_profit': 'الربح السنوي',
+    'offer.metric.irr': 'معدل العائد الداخلي',
+    'offer.meetsTarget': 'الصفقة كما أُدخلت تحقق الهدف',
+    'offer.missesTarget': 'الصفقة كما أُدخلت لا تحقق الهدف',
+    'offer.solveFor': 'المتغير',
+    'offer.asEntered': 'كما أُدخل',
+    'offer.limit': 'الحد',
+    'offer.headroom': 'الهامش',
+    'offer.notAchievable': 'غير قابل للتحقيق',
+    'offer.noLimit': 'بلا حد',
+    'offer.footnote': 'يغير كل حد رقمًا واحدًا ويبقي الباقي كما أُدخل. الهامش الموجب مساحة إضافية متاحة؛ والهامش السالب هو مقدار ما يجب أن يتغير به ذلك الرقم لتحقيق الهدف.',
+    'offer.solve.purchase_price': 'أقصى سعر للعرض',
+    'offer.solve.land_price': 'أقصى سعر للأرض',
+    'offer.solve.refurb_cost': 'أقصى ميزانية للتجديد',
+    'offer.solve.build_cost_per_sqm': 'أقصى تكلفة بناء للمتر المربع',
+    'offer.solve.gdv_per_unit': 'أدنى قيمة تطوير للوحدة',
+    'offer.solve.monthly_rent_paid': 'أقصى إيجار للمالك',
+    'offer.solve.option_fee': 'أقصى رسوم للخيار',
+    'offer.solve.monthly_payment': 'أقصى دفعة للمالك',
+    'offer.solve.monthly_rent': 'أدنى إيجار شهري',
+    'offer.solve.weekly_rent': 'أدنى إيجار أسبوعي',
+    'offer.solve.rent_per_room': 'أدنى إيجار للغرفة',
+    'offer.solve.daily_rate': 'أدنى سعر لليلة',
+    'offer.solve.rooms': 'أدنى متوسط لإيجار الغرفة',
+    'offer.solve.seasonal_weekly': 'أدنى متوسط للإيجار الأسبوعي',
+    'offer.solve.seasonal_nightly': 'أدنى متوسط لسعر الليلة',
+
+    // Mortgage comparison
+    'mortgages.subtitle': '{calculator} - {count} منتجات مطبقة على الصفقة نفسها',
+    'mortgages.product': 'المنتج',
+    'mortgages.rate': 'السعر',
+    'mortgages.monthlyProfit': 'الربح الشهري',
+    'mortgages.costOverFix': 'التكلفة خلال فترة التثبيت',
+    'mortgages.roi': 'العائد',
+    'mortgages.afterFix': 'بعد التثبيت',
+    'mortgages.best': 'الأفضل: {name}',
+    'mortgages.fixedYears': 'تثبيت {years} سنة',
+    'mortgages.feeAdded': 'رسوم {fee} مضافة إلى القرض',
+    'mortgages.feePaid': 'رسوم {fee} مدفوعة مقدمًا',
+    'mortgages.noFee': 'بدون رسوم',
+    'mortgages.maxLtv': 'بحد أقصى {ltv}% من القيمة',
+    'mortgages.reversion': 'ثم {rate}%',
+    'mortgages.footnote': 'التكلفة خلال فترة التثبيت هي رسوم الترتيب مضافًا إليها الفائدة المدفوعة خلال الفترة الثابتة. ما بعد التثبيت هو الربح الشهري بالسعر المتغير. المنتجات ذات الحد الأقصى الأقل لنسبة القرض إلى القيمة تتطلب دفعة أولى أكبر، وهو ما ينعكس على العائد؛ وأفضل منتج هو صاحب أعلى عائد.',
+
+    // Key information
+    'keyInfo.askingPrice': 'السعر المطلوب',
+    'keyInfo.bedrooms': 'غرف النوم',
+    'keyInfo.size': 'المساحة',
+    'keyInfo.onMarket': 'مدة العرض في السوق',
+    'keyInfo.sizeValue': '{size} م²',
+    'keyInfo.daysValue': '{days} يومًا',
+    'keyInfo.keyFeatures': 'المزايا الرئيسية',
+
+    // Energy performance and broadband
+    'epc.title': 'شهادة أداء الطاقة',
+    'epc.score': 'الدرجة',
+    'epc.energyRating': 'تصنيف الطاقة',
+    'epc.current': 'الحالي',
+    'epc.potential': 'المحتمل',
+    'epc.veryEfficient': 'كفاءة طاقة عالية جدًا - تكاليف تشغيل أقل',
+    'epc.notEfficient': 'كفاءة طاقة منخفضة - تكاليف تشغيل أعلى',
+    'epc.inspectionDate': 'تاريخ آخر فحص متاح',
+    'epc.windowGlazing': 'زجاج النوافذ',
+    'epc.buildingAge': 'فترة إنشاء المبنى',
+    'epc.disclaimer': 'بيانات شهادة أداء الطاقة هذه دقيقة حتى ستة أشهر مضت. إذا أُجري تقييم أحدث خلال هذه الفترة فلن يظهر هنا.',
+    'broadband.title': 'توفر الإنترنت / النطاق العريض',
+    'broadband.available': 'النطاق العريض المتوفر',
+    'broadband.download': 'أعلى سرعة تنزيل متاحة',
+    'broadband.upload': 'أعلى سرعة رفع متاحة',
+
+    // City map
+    'city.about': 'عن المدينة',
+    'city.population': 'عدد السكان: '
+};
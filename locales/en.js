@@ -0,0 +1,328 @@
+// English report text - the source catalogue every other language falls back to.
+// Keys are grouped by where they appear; {name} marks a value filled in when the report is drawn.
+
+module.exports = {
+    // Calculator names
+    'calculator.standard-btl': 'Standard Buy to Let',
+    'calculator.brr': 'Buy Refurbish Refinance',
+    'calculator.flip': 'Flip',
+    'calculator.holiday-let': 'Holiday Let',
+    'calculator.rent-to-hmo': 'Rent to HMO',
+    'calculator.rent-to-serviced': 'Rent to Serviced Accommodation',
+    'calculator.purchase': 'Purchase Calculator',
+    'calculator.development': 'Development',
+    'calculator.lease-option': 'Lease Option',
+    'calculator.heading': '{name} Calculator',
+
+    // Document properties
+    'document.subject': 'Property investment report',
+
+    // Header, cover and footer
+    'header.tagline': 'Elevating Your Property Experience',
+    'cover.reportCreated': 'Report created on {date}',
+    'cover.reportCreatedWithRate': 'Report created on {date} - {rate}',
+    'footer.pageNumber': 'Page {page} of {total}',
+
+    // Page titles
+    'page.investment': 'Investment Opportunity',
+    'page.amortisation': 'Amortisation Schedule',
+    'page.projection': '{years} Year Projection',
+    'page.stressTest': 'Stress Test',
+    'page.offerGuidance': 'Offer Guidance',
+    'page.mortgageComparison': 'Mortgage Comparison',
+    'page.keyInformation': 'Key Information',
+    'page.otherKeyInformation': 'Other Key Information',
+    'page.floorPlans': 'Floor Plans',
+    'page.propertyImages': 'Property Images',
+    'page.cityMap': 'City Map',
+    'page.contents': 'Contents',
+
+    // Values
+    'value.pcm': '{amount}pcm',
+    'value.years': '{value} yrs',
+    'value.months': '{value} mo',
+    'value.moreThanYears': '> {value} yrs',
+    'value.notApplicable': 'n/a',
+    'value.notAvailable': 'N/A',
+    'value.yes': 'Yes',
+
+    // Investment page: headline boxes, tables and profit boxes
+    'label.purchasePrice': 'Purchase Price',
+    'label.estimatedMonthlyRent': 'Estimated Monthly Rent',
+    'label.rentalYield': 'Rental Yield',
+    'label.deposit': 'Deposit ({percent}%)',
+    'label.stampDuty': 'Stamp Duty ({regime})',
+    'label.stampDutyAsSupplied': 'as supplied',
+    'label.survey': 'Survey',
+    'label.legalFees': 'Legal Fees',
+    'label.loanSetup': 'Loan Set-up',
+    'label.mortgageFee': 'Mortgage Fee',
+    'label.mortgageRepayment': 'Mortgage @ {rate}% (Repayment)',
+    'label.mortgageInterestOnly': 'Mortgage @ {rate}% (Interest Only)',
+    'label.councilTax': 'Council Tax',
+    'label.repairs': 'Repairs / Maintenance',
+    'label.utilities': 'Electric / Gas',
+    'label.water': 'Water',
+    'label.broadband': 'Broadband / TV',
+    'label.insurance': 'Insurance',
+    'label.total': 'Total',
+    'label.totalInvestmentRequired': 'Total Investment Required',
+    'label.afterRefurbValue': 'After Refurb Value',
+    'label.moneyLeftIn': 'Money Left In',
+    'label.surveyLegalFees': 'Survey & Legal Fees',
+    'label.refurbishment': 'Refurbishment',
+    'label.holdingCosts': 'Holding Costs ({months} mo empty)',
+    'label.bridging': 'Bridging ({months} mo, {interest})',
+    'label.bridgingInterest.retained': 'retained',
+    'label.bridgingInterest.serviced': 'serviced',
+    'label.mortgageInterestMonths': 'Mortgage Interest ({months} mo)',
+    'label.financeCost': 'Finance Cost',
+    'label.lessRefinance': 'Less Refinance ({ltv}% LTV)',
+    'label.cashTiedUp': 'Cash Tied Up',
+    'label.monthlyPreTax': 'Monthly Pre-Tax',
+    'label.monthlyPostTax': 'Monthly Post-Tax',
+    'label.annualPreTax': 'Annual Pre-Tax',
+    'label.annualPostTax': 'Annual Post-Tax',
+    'label.monthlyProfit': 'Monthly Profit',
+    'label.annualProfit': 'Annual Profit',
+    'label.roi': 'ROI',
+    'label.equityBuilt': 'Equity Built',
+    'label.netProfit': 'Net Profit',
+    'label.netProfitPreTax': 'Net Profit Pre-Tax',
+    'label.netProfitPostTax': 'Net Profit Post-Tax',
+    'label.holdingPeriod': 'Holding Period',
+    'label.holdingPeriodMonths': '{months} months',
+    'label.salePrice': 'Sale Price',
+    'label.totalInvestment': 'Total Investment',
+    'label.lessTotalInvestment': 'Less Total Investment',
+    'label.lessLegalFeesSale': 'Less Legal Fees (Sale)',
+    'label.lessEstateAgentFees': 'Less Estate Agent Fees',
+    'label.profitPreTax': 'Profit Pre-Tax',
+    'label.profitPostTax': 'Profit Post-Tax',
+    'label.developerProfit': 'Developer Profit',
+    'label.profitOnCost': 'Profit on Cost',
+    'label.profitOnGdv': 'Profit on GDV',
+    'label.targetMargin': 'Target Margin',
+    'label.gdv': 'GDV',
+    'label.gdvUnits': 'GDV ({units} units)',
+    'label.residualLandValue': 'Residual Land Value',
+    'label.landPrice': 'Land Price',
+    'label.buildCost': 'Build Cost ({area} sqm)',
+    'label.professionalFees': 'Professional Fees ({percent}%)',
+    'label.contingency': 'Contingency ({percent}%)',
+    'label.financeMonths': 'Finance ({months} mo)',
+    'label.salesCosts': 'Sales Costs ({percent}%)',
+    'label.totalDevelopmentCost': 'Total Development Cost',
+    'label.lessTotalDevelopmentCost': 'Less Total Development Cost',
+    'label.optionFee': 'Option Fee',
+    'label.monthlyCashFlow': 'Monthly Cash Flow',
+    'label.projectedEquityYears': 'Projected Equity ({years} yrs)',
+    'label.valueInYears': 'Value in {years} yrs ({growth}% growth)',
+    'label.lessAgreedPurchasePrice': 'Less Agreed Purchase Price',
+    'label.addPaymentsCredited': 'Add Payments Credited',
+    'label.projectedEquityAtExercise': 'Projected Equity at Exercise',
+    'label.paymentsToOwner': 'Payments to Owner',
+    'label.management': 'Management',
+    'label.managementPercent': 'Management ({percent}%)',
+    'label.optionFeeLegal': 'Option Fee & Legal',
+    'label.returnOnOptionFee': 'Return on Option Fee',
+    'label.weeklyRent': 'Weekly Rent',
+    'label.averageWeeklyRent': 'Average Weekly Rent',
+    'label.occupancy': 'Occupancy',
+    'label.platformCommission': 'Platform Commission ({percent}%)',
+    'label.cleaning': 'Cleaning',
+    'label.rooms': 'Rooms',
+    'label.roomsLet': 'Rooms Let',
+    'label.roomsLetValue': '{let} of {total}',
+    'label.averageRoomRent': 'Average Room Rent',
+    'label.rentPerRoom': 'Rent per Room',
+    'label.monthlyIncome': 'Monthly Income',
+    'label.roomRent': 'Room Rent ({rooms} rooms)',
+    'label.annualIncome': 'Annual Income',
+    'label.totalAnnualIncome': 'Total Annual Income',
+    'label.rentPaidToLandlord': 'Rent Paid to Landlord',
+    'label.hmoLicence': 'HMO Licence (over {years} yrs)',
+    'label.compliance': 'Compliance & Safety',
+    'label.nightlyRate': 'Nightly Rate',
+    'label.averageNightlyRate': 'Average Nightly Rate',
+    'label.nightsLet': 'Nights Let ({nights})',
+
+    // Investment page: table titles and the room schedule
+    'table.totalPurchaseCosts': 'Total Purchase Costs',
+    'table.totalAnnualExpenses': 'Total Annual Expenses',
+    'table.refurbishRefinance': 'Refurbish & Refinance',
+    'table.totalInvestment': 'Total Investment',
+    'table.saleProfit': 'Sale & Profit',
+    'table.developmentCosts': 'Development Costs',
+    'table.appraisal': 'Appraisal',
+    'table.optionTerms': 'Option Terms',
+    'table.annualIncome': 'Annual Income',
+    'table.roomSchedule': 'Room Schedule',
+    'table.room': 'Room',
+    'table.roomSize': 'm²',
+    'table.enSuite': 'En-suite',
+    'table.voids': 'Voids',
+    'table.rent': 'Rent',
+    'table.voidWeeks': '{weeks} wk',
+    'chart.monthlyRevenue': 'Monthly Revenue',
+
+    // Short month names for the revenue chart
+    'month.jan': 'Jan',
+    'month.feb': 'Feb',
+    'month.mar': 'Mar',
+    'month.apr': 'Apr',
+    'month.may': 'May',
+    'month.jun': 'Jun',
+    'month.jul': 'Jul',
+    'month.aug': 'Aug',
+    'month.sep': 'Sep',
+    'month.oct': 'Oct',
+    'month.nov': 'Nov',
+    'month.dec': 'Dec',
+
+    // Lender affordability panel
+    'affordability.pass': 'PASS',
+    'affordability.fail': 'FAIL',
+    'affordability.headline': 'Lender affordability: rent covers {coverage} of interest at {stressRate}% (ICR {icr}% required)',
+    'affordability.cappedAtLtv': ' (capped at {ltv}% LTV)',
+    'affordability.maxLoan': 'Maximum loan {maxLoan}{limit} vs {requested} requested',
+    'affordability.extraDeposit': 'Maximum loan {maxLoan}{limit} vs {requested} requested - extra deposit needed {extra}',
+
+    // Tax footnote
+    'tax.limitedCompany': 'Post-tax figures assume limited company ownership: {tax} corporation tax a year.',
+    'tax.personal': 'Post-tax figures assume personal ownership at the {band} rate ({rate}%): {tax} income tax a year{credit}.',
+    'tax.limitedCompanyOneOff': 'Post-tax figures assume limited company ownership: {tax} corporation tax on the profit.',
+    'tax.personalOneOff': 'Post-tax figures assume personal ownership at the {band} rate ({rate}%): {tax} income tax on the profit{credit}.',
+    'tax.financeCostCredit': ', after a {credit} finance cost credit',
+    'tax.band.basic': 'basic',
+    'tax.band.higher': 'higher',
+    'tax.band.additional': 'additional',
+
+    // Return metric boxes
+    'returns.annualisedReturn': 'Annualised Return',
+    'returns.npv': 'NPV @ {rate}%',
+    'returns.irr': 'IRR ({years} yrs)',
+    'returns.cashOnCash': 'Cash-on-Cash',
+    'returns.payback': 'Payback',
+
+    // Amortisation and projection tables
+    'column.year': 'Year',
+    'column.openingBalance': 'Opening Balance',
+    'column.payment': 'Payment',
+    'column.interest': 'Interest',
+    'column.capital': 'Capital',
+    'column.closingBalance': 'Closing Balance',
+    'column.total': 'Total',
+    'column.rent': 'Rent',
+    'column.expenses': 'Expenses',
+    'column.cashFlow': 'Cash Flow',
+    'column.cumulative': 'Cumulative',
+    'column.loan': 'Loan',
+    'column.value': 'Value',
+    'column.equity': 'Equity',
+    'amortisation.subtitle': '{calculator} - {amount} over {years} years @ {rate}%',
+    'projection.subtitle': '{calculator} - rent growth {rentGrowth}%, capital growth {capitalGrowth}%, cost inflation {costInflation}% a year',
+    'projection.propertyValue': 'Property Value',
+    'projection.loanBalance': 'Loan Balance',
+    'projection.equity': 'Equity',
+    'projection.cumulativeCashFlow': 'Cumulative Cash Flow',
+    'projection.refinanceReleases': 'year {year} releases {amount}',
+    'projection.refinanceNeeds': 'year {year} needs {amount}',
+    'projection.refinanceNote': 'Refinance: {notes} (included in cumulative cash flow).',
+
+    // Stress test
+    'stress.subtitle': '{calculator} - {rows} against {columns}',
+    'stress.variable.mortgage_rate': 'Mortgage Rate',
+    'stress.variable.rent': 'Rent Change',
+    'stress.variable.void_months': 'Void Months',
+    'stress.variable.purchase_price': 'Price Change',
+    'stress.variable.sale_price': 'Sale Price Change',
+    'stress.variable.build_cost': 'Build Cost Change',
+    'stress.variable.rent_paid': 'Rent Paid Change',
+    'stress.variable.occupancy': 'Occupancy',
+    'stress.monthlyProfit': 'Monthly Profit',
+    'stress.roi': 'ROI',
+    'stress.lossMaking': 'Loss-making',
+    'stress.below': 'Below {profit} pcm / {roi}% ROI',
+    'stress.atOrAbove': 'At or above {profit} pcm / {roi}% ROI',
+
+    // Offer guidance
+    'offer.subtitle': '{calculator} - target: {targets}',
+    'offer.targetsJoin': ' and ',
+    'offer.target': '{metric} of at least {value}',
+    'offer.metric.roi': 'ROI',
+    'offer.metric.monthly_profit': 'Monthly Profit',
+    'offer.metric.annual_profit': 'Annual Profit',
+    'offer.metric.irr': 'IRR',
+    'offer.meetsTarget': 'The deal as entered meets the target',
+    'offer.missesTarget': 'The deal as entered misses the target',
+    'offer.solveFor': 'Solve For',
+    'offer.asEntered': 'As Entered',
+    'offer.limit': 'Limit',
+    'offer.headroom': 'Headroom',
+    'offer.notAchievable': 'Not achievable',
+    'offer.noLimit': 'No limit',
+    'offer.footnote': 'Each limit changes one figure and holds everything else as entered. Positive headroom is room to spare; negative headroom is how far that figure has to move to hit the target.',
+    'offer.solve.purchase_price': 'Maximum Offer Price',
+    'offer.solve.land_price': 'Maximum Land Price',
+    'offer.solve.refurb_cost': 'Maximum Refurb Budget',
+    'offer.solve.build_cost_per_sqm': 'Maximum Build Cost per sqm',
+    'offer.solve.gdv_per_unit': 'Minimum GDV per Unit',
+    'offer.solve.monthly_rent_paid': 'Maximum Rent to Landlord',
+    'offer.solve.option_fee': 'Maximum Option Fee',
+    'offer.solve.monthly_payment': 'Maximum Payment to Owner',
+    'offer.solve.monthly_rent': 'Minimum Monthly Rent',
+    'offer.solve.weekly_rent': 'Minimum Weekly Rent',
+    'offer.solve.rent_per_room': 'Minimum Rent per Room',
+    'offer.solve.daily_rate': 'Minimum Nightly Rate',
+    'offer.solve.rooms': 'Minimum Average Room Rent',
+    'offer.solve.seasonal_weekly': 'Minimum Average Weekly Rent',
+    'offer.solve.seasonal_nightly': 'Minimum Average Nightly Rate',
+
+    // Mortgage comparison
+    'mortgages.subtitle': '{calculator} - {count} products run through the same deal',
+    'mortgages.product': 'Product',
+    'mortgages.rate': 'Rate',
+    'mortgages.monthlyProfit': 'Monthly Profit',
+    'mortgages.costOverFix': 'Cost over Fix',
+    'mortgages.roi': 'ROI',
+    'mortgages.afterFix': 'After Fix',
+    'mortgages.best': '{name} (best)',
+    'mortgages.fixedYears': '{years} yr fix',
+    'mortgages.feeAdded': '{fee} fee added to loan',
+    'mortgages.feePaid': '{fee} fee paid up front',
+    'mortgages.noFee': 'no fee',
+    'mortgages.maxLtv': 'max {ltv}% LTV',
+    'mortgages.reversion': 'then {rate}%',
+    'mortgages.footnote': 'Cost over fix is the arrangement fee plus the interest paid during the fixed period. After fix is the monthly profit at the reversion rate. Products with a lower maximum LTV need a bigger deposit, which the ROI reflects; the best product has the highest ROI.',
+
+    // Key information
+    'keyInfo.askingPrice': 'Asking price',
+    'keyInfo.bedrooms': 'Bedrooms',
+    'keyInfo.size': 'Size',
+    'keyInfo.onMarket': 'On the market for',
+    'keyInfo.sizeValue': '{size} sqm',
+    'keyInfo.daysValue': '{days} days',
+    'keyInfo.keyFeatures': 'Key Features',
+
+    // Energy performance and broadband
+    'epc.title': 'Energy Performance Certificate',
+    'epc.score': 'Score',
+    'epc.energyRating': 'Energy rating',
+    'epc.current': 'Current',
+    'epc.potential': 'Potential',
+    'epc.veryEfficient': 'Very energy efficient - lower running costs',
+    'epc.notEfficient': 'Not energy efficient - higher running costs',
+    'epc.inspectionDate': 'Latest available inspection date',
+    'epc.windowGlazing': 'Window glazing',
+    'epc.buildingAge': 'Building construction age band',
+    'epc.disclaimer': 'This EPC data is accurate up to 6 months ago. If a more recent EPC assessment was done within this period, it will not be displayed here.',
+    'broadband.title': 'Internet / Broadband Availability',
+    'broadband.available': 'Broadband available',
+    'broadband.download': 'Highest available download speed',
+    'broadband.upload': 'Highest available upload speed',
+
+    // City map
+    'city.about': 'About the City',
+    'city.population': 'Population: '
+};
@@ -0,0 +1,327 @@
+// Traditional Chinese (Hong Kong) report text. Keys missing here fall back to locales/en.js.
+
+module.exports = {
+    // Calculator names
+    'calculator.standard-btl': '標準買入出租',
+    'calculator.brr': '買入、翻新、再融資',
+    'calculator.flip': '翻新轉售',
+    'calculator.holiday-let': '度假出租',
+    'calculator.rent-to-hmo': '租賃轉分租 (HMO)',
+    'calculator.rent-to-serviced': '租賃轉服務式住宿',
+    'calculator.purchase': '購買計算器',
+    'calculator.development': '物業發展',
+    'calculator.lease-option': '租賃認購權',
+    'calculator.heading': '{name}計算器',
+
+    // Document properties
+    'document.subject': '物業投資報告',
+
+    // Header, cover and footer
+    'header.tagline': '提升您的物業體驗',
+    'cover.reportCreated': '報告建立日期：{date}',
+    'cover.reportCreatedWithRate': '報告建立日期：{date} - {rate}',
+    'footer.pageNumber': '第 {page} 頁，共 {total} 頁',
+
+    // Page titles
+    'page.investment': '投資機會',
+    'page.amortisation': '按揭攤還表',
+    'page.projection': '{years} 年預測',
+    'page.stressTest': '壓力測試',
+    'page.offerGuidance': '出價指引',
+    'page.mortgageComparison': '按揭產品比較',
+    'page.keyInformation': '重要資料',
+    'page.otherKeyInformation': '其他重要資料',
+    'page.floorPlans': '平面圖',
+    'page.propertyImages': '物業相片',
+    'page.cityMap': '城市地圖',
+    'page.contents': '目錄',
+
+    // Values
+    'value.pcm': '{amount}/月',
+    'value.years': '{value} 年',
+    'value.months': '{value} 個月',
+    'value.moreThanYears': '> {value} 年',
+    'value.notApplicable': '不適用',
+    'value.notAvailable': '不適用',
+    'value.yes': '有',
+
+    // Investment page: headline boxes, tables and profit boxes
+    'label.purchasePrice': '購入價',
+    'label.estimatedMonthlyRent': '預計月租',
+    'label.rentalYield': '租金回報率',
+    'label.deposit': '首期 ({percent}%)',
+    'label.stampDuty': '印花稅 ({regime})',
+    'label.stampDutyAsSupplied': '按提供數字',
+    'label.survey': '測量費',
+    'label.legalFees': '律師費',
+    'label.loanSetup': '貸款手續費',
+    'label.mortgageFee': '按揭安排費',
+    'label.mortgageRepayment': '按揭 @ {rate}% (本息償還)',
+    'label.mortgageInterestOnly': '按揭 @ {rate}% (只供利息)',
+    'label.councilTax': '市政稅',
+    'label.repairs': '維修保養',
+    'label.utilities': '電費 / 煤氣',
+    'label.water': '水費',
+    'label.broadband': '寬頻 / 電視',
+    'label.insurance': '保險',
+    'label.total': '總計',
+    'label.totalInvestmentRequired': '所需總投資',
+    'label.afterRefurbValue': '翻新後估值',
+    'label.moneyLeftIn': '留於項目的資金',
+    'label.surveyLegalFees': '測量及律師費',
+    'label.refurbishment': '翻新費用',
+    'label.holdingCosts': '持有成本 ({months} 個月空置)',
+    'label.bridging': '過渡貸款 ({months} 個月，{interest})',
+    'label.bridgingInterest.retained': '預扣利息',
+    'label.bridgingInterest.serviced': '按月付息',
+    'label.mortgageInterestMonths': '按揭利息 ({months} 個月)',
+    'label.financeCost': '融資成本',
+    'label.lessRefinance': '減：再融資 ({ltv}% 貸款估值比)',
+    'label.cashTiedUp': '佔用現金',
+    'label.monthlyPreTax': '每月稅前',
+    'label.monthlyPostTax': '每月稅後',
+    'label.annualPreTax': '每年稅前',
+    'label.annualPostTax': '每年稅後',
+    'label.monthlyProfit': '每月利潤',
+    'label.annualProfit': '每年利潤',
+    'label.roi': '投資回報率',
+    'label.equityBuilt': '累積權益',
+    'label.netProfit': '淨利潤',
+    'label.netProfitPreTax': '稅前淨利潤',
+    'label.netProfitPostTax': '稅後淨利潤',
+    'label.holdingPeriod': '持有期',
+    'label.holdingPeriodMonths': '{months} 個月',
+    'label.salePrice': '售價',
+    'label.totalInvestment': '總投資',
+    'label.lessTotalInvestment': '減：總投資',
+    'label.lessLegalFeesSale': '減：律師費 (出售)',
+    'label.lessEstateAgentFees': '減：地產代理費',
+    'label.profitPreTax': '稅前利潤',
+    'label.profitPostTax': '稅後利潤',
+    'label.developerProfit': '發展商利潤',
+    'label.profitOnCost': '成本利潤率',
+    'label.profitOnGdv': '發展總值利潤率',
+    'label.targetMargin': '目標利潤率',
+    'label.gdv': '發展總值',
+    'label.gdvUnits': '發展總值 ({units} 個單位)',
+    'label.residualLandValue': '剩餘土地價值',
+    'label.landPrice': '地價',
+    'label.buildCost': '建築成本 ({area} 平方米)',
+    'label.professionalFees': '專業費用 ({percent}%)',
+    'label.contingency': '應急費用 ({percent}%)',
+    'label.financeMonths': '融資 ({months} 個月)',
+    'label.salesCosts': '銷售成本 ({percent}%)',
+    'label.totalDevelopmentCost': '總發展成本',
+    'label.lessTotalDevelopmentCost': '減：總發展成本',
+    'label.optionFee': '認購權費',
+    'label.monthlyCashFlow': '每月現金流',
+    'label.projectedEquityYears': '預計權益 ({years} 年)',
+    'label.valueInYears': '{years} 年後估值 (增長 {growth}%)',
+    'label.lessAgreedPurchasePrice': '減：協定購入價',
+    'label.addPaymentsCredited': '加：已抵扣付款',
+    'label.projectedEquityAtExercise': '行使時預計權益',
+    'label.paymentsToOwner': '支付業主款項',
+    'label.management': '管理費',
+    'label.managementPercent': '管理費 ({percent}%)',
+    'label.optionFeeLegal': '認購權費及律師費',
+    'label.returnOnOptionFee': '認購權費回報率',
+    'label.weeklyRent': '每週租金',
+    'label.averageWeeklyRent': '平均每週租金',
+    'label.occupancy': '入住率',
+    'label.platformCommission': '平台佣金 ({percent}%)',
+    'label.cleaning': '清潔費',
+    'label.rooms': '房間數目',
+    'label.roomsLet': '已出租房間',
+    'label.roomsLetValue': '{let} / {total}',
+    'label.averageRoomRent': '平均房租',
+    'label.rentPerRoom': '每房租金',
+    'label.monthlyIncome': '每月收入',
+    'label.roomRent': '房租 ({rooms} 間)',
+    'label.annualIncome': '每年收入',
+    'label.totalAnnualIncome': '每年總收入',
+    'label.rentPaidToLandlord': '支付業主租金',
+    'label.hmoLicence': 'HMO 牌照 ({years} 年攤分)',
+    'label.compliance': '合規及安全',
+    'label.nightlyRate': '每晚房價',
+    'label.averageNightlyRate': '平均每晚房價',
+    'label.nightsLet': '出租晚數 ({nights})',
+
+    // Investment page: table titles and the room schedule
+    'table.totalPurchaseCosts': '購入總成本',
+    'table.totalAnnualExpenses': '每年總開支',
+    'table.refurbishRefinance': '翻新及再融資',
+    'table.totalInvestment': '總投資',
+    'table.saleProfit': '出售及利潤',
+    'table.developmentCosts': '發展成本',
+    'table.appraisal': '項目評估',
+    'table.optionTerms': '認購權條款',
+    'table.annualIncome': '每年收入',
+    'table.roomSchedule': '房間明細',
+    'table.room': '房間',
+    'table.roomSize': '平方米',
+    'table.enSuite': '獨立浴室',
+    'table.voids': '空置',
+    'table.rent': '租金',
+    'table.voidWeeks': '{weeks} 週',
+    'chart.monthlyRevenue': '每月收入',
+
+    // Short month names for the revenue chart
+    'month.jan': '1月',
+    'month.feb': '2月',
+    'month.mar': '3月',
+    'month.apr': '4月',
+    'month.may': '5月',
+    'month.jun': '6月',
+    'month.jul': '7月',
+    'month.aug': '8月',
+    'month.sep': '9月',
+    'month.oct': '10月',
+    'month.nov': '11月',
+    'month.dec': '12月',
+
+    // Lender affordability panel
+    'affordability.pass': '通過',
+    'affordability.fail': '不通過',
+    'affordability.headline': '貸款機構負擔能力：租金為 {stressRate}% 利息的 {coverage} (須達 {icr}% 利息覆蓋率)',
+    'affordability.cappedAtLtv': ' (上限為 {ltv}% 貸款估值比)',
+    'affordability.maxLoan': '最高貸款 {maxLoan}{limit}，申請 {requested}',
+    'affordability.extraDeposit': '最高貸款 {maxLoan}{limit}，申請 {requested} - 須額外首期 {extra}',
+
+    // Tax footnote
+    'tax.limitedCompany': '稅後數字假設以有限公司持有：每年公司稅 {tax}。',
+    'tax.personal': '稅後數字假設以個人名義持有，適用{band}稅率 ({rate}%)：每年入息稅 {tax}{credit}。',
+    'tax.limitedCompanyOneOff': '稅後數字假設以有限公司持有：利潤須繳公司稅 {tax}。',
+    'tax.personalOneOff': '稅後數字假設以個人名義持有，適用{band}稅率 ({rate}%)：利潤須繳入息稅 {tax}{credit}。',
+    'tax.financeCostCredit': '，已扣除 {credit} 融資成本抵免',
+    'tax.band.basic': '基本',
+    'tax.band.higher': '較高',
+    'tax.band.additional': '額外',
+
+    // Return metric boxes
+    'returns.annualisedReturn': '年化回報率',
+    'returns.npv': '淨現值 @ {rate}%',
+    'returns.irr': '內部回報率 ({years} 年)',
+    'returns.cashOnCash': '現金回報率',
+    'returns.payback': '回本期',
+
+    // Amortisation and projection tables
+    'column.year': '年',
+    'column.openingBalance': '期初結餘',
+    'column.payment': '還款',
+    'column.interest': '利息',
+    'column.capital': '本金',
+    'column.closingBalance': '期末結餘',
+    'column.total': '總計',
+    'column.rent': '租金',
+    'column.expenses': '開支',
+    'column.cashFlow': '現金流',
+    'column.cumulative': '累計',
+    'column.loan': '貸款',
+    'column.value': '估值',
+    'column.equity': '權益',
+    'amortisation.subtitle': '{calculator} - {amount}，為期 {years} 年 @ {rate}%',
+    'projection.subtitle': '{calculator} - 每年租金增長 {rentGrowth}%、資本增值 {capitalGrowth}%、成本通脹 {costInflation}%',
+    'projection.propertyValue': '物業價值',
+    'projection.loanBalance': '貸款結餘',
+    'projection.equity': '權益',
+    'projection.cumulativeCashFlow': '累計現金流',
+    'projection.refinanceReleases': '第 {year} 年套現 {amount}',
+    'projection.refinanceNeeds': '第 {year} 年須注資 {amount}',
+    'projection.refinanceNote': '再融資：{notes} (已計入累計現金流)。',
+
+    // Stress test
+    'stress.subtitle': '{calculator} - {rows}對{columns}',
+    'stress.variable.mortgage_rate': '按揭利率',
+    'stress.variable.rent': '租金變動',
+    'stress.variable.void_months': '空置月數',
+    'stress.variable.purchase_price': '價格變動',
+    'stress.variable.sale_price': '售價變動',
+    'stress.variable.build_cost': '建築成本變動',
+    'stress.variable.rent_paid': '支付租金變動',
+    'stress.variable.occupancy': '入住率',
+    'stress.monthlyProfit': '每月利潤',
+    'stress.roi': '投資回報率',
+    'stress.lossMaking': '虧損',
+    'stress.below': '低於每月 {profit} / {roi}% 投資回報率',
+    'stress.atOrAbove': '達到或高於每月 {profit} / {roi}% 投資回報率',
+
+    // Offer guidance
+    'offer.subtitle': '{calculator} - 目標：{targets}',
+    'offer.targetsJoin': '及',
+    'offer.target': '{metric}至少 {value}',
+    'offer.metric.roi': '投資回報率',
+    'offer.metric.monthly_profit': '每月利潤',
+    'offer.metric.annual_profit': '每年利潤',
+    'offer.metric.irr': '內部回報率',
+    'offer.meetsTarget': '按現有數字，此交易達到目標',
+    'offer.missesTarget': '按現有數字，此交易未達目標',
+    'offer.solveFor': '求解項目',
+    'offer.asEntered': '現有數字',
+    'offer.limit': '上限 / 下限',
+    'offer.headroom': '餘裕',
+    'offer.notAchievable': '無法達到',
+    'offer.noLimit': '沒有限制',
+    'offer.footnote': '每個限額只改變一項數字，其他數字維持不變。正數餘裕代表尚有空間；負數餘裕代表該數字須變動多少才能達到目標。',
+    'offer.solve.purchase_price': '最高出價',
+    'offer.solve.land_price': '最高地價',
+    'offer.solve.refurb_cost': '最高翻新預算',
+    'offer.solve.build_cost_per_sqm': '每平方米最高建築成本',
+    'offer.solve.gdv_per_unit': '每單位最低發展總值',
+    'offer.solve.monthly_rent_paid': '支付業主的最高租金',
+    'offer.solve.option_fee': '最高認購權費',
+    'offer.solve.monthly_payment': '支付業主的最高款項',
+    'offer.solve.monthly_rent': '最低月租',
+    'offer.solve.weekly_rent': '最低每週租金',
+    'offer.solve.rent_per_room': '每房最低租金',
+    'offer.solve.daily_rate': '最低每晚房價',
+    'offer.solve.rooms': '最低平均房租',
+    'offer.solve.seasonal_weekly': '最低平均每週租金',
+    'offer.solve.seasonal_nightly': '最低平均每晚房價',
+
+    // Mortgage comparison
+    'mortgages.subtitle': '{calculator} - 以同一交易比較 {count} 個產品',
+    'mortgages.product': '產品',
+    'mortgages.rate': '利率',
+    'mortgages.monthlyProfit': '每月利潤',
+    'mortgages.costOverFix': '定息期成本',
+    'mortgages.roi': '投資回報率',
+    'mortgages.afterFix': '定息期後',
+    'mortgages.best': '{name} (最佳)',
+    'mortgages.fixedYears': '定息 {years} 年',
+    'mortgages.feeAdded': '{fee} 手續費計入貸款',
+    'mortgages.feePaid': '{fee} 手續費預先支付',
+    'mortgages.noFee': '免手續費',
+    'mortgages.maxLtv': '最高 {ltv}% 貸款估值比',
+    'mortgages.reversion': '之後 {rate}%',
+    'mortgages.footnote': '定息期成本為安排費加定息期內支付的利息。定息期後為按轉換利率計算的每月利潤。最高貸款估值比較低的產品需要較多首期，投資回報率已反映此點；最佳產品即投資回報率最高者。',
+
+    // Key information
+    'keyInfo.askingPrice': '叫價',
+    'keyInfo.bedrooms': '睡房',
+    'keyInfo.size': '面積',
+    'keyInfo.onMarket': '放售時間',
+    'keyInfo.sizeValue': '{size} 平方米',
+    'keyInfo.daysValue': '{days} 日',
+    'keyInfo.keyFeatures': '主要特點',
+
+    // Energy performance and broadband
+    'epc.title': '能源效益證書',
+    'epc.score': '分數',
+    'epc.energyRating': '能源評級',
+    'epc.current': '現時',
+    'epc.potential': '潛在',
+    'epc.veryEfficient': '能源效益極高 - 營運成本較低',
+    'epc.notEfficient': '能源效益不佳 - 營運成本較高',
+    'epc.inspectionDate': '最近檢查日期',
+    'epc.windowGlazing': '窗戶玻璃',
+    'epc.buildingAge': '建築年代',
+    'epc.disclaimer': '此能源效益證書資料最多為六個月前的資料。如在此期間曾進行較新的評估，將不會在此顯示。',
+    'broadband.title': '互聯網 / 寬頻供應',
+    'broadband.available': '寬頻供應',
+    'broadband.download': '最高下載速度',
+    'broadband.upload': '最高上載速度',
+
+    // City map
+    'city.about': '城市簡介',
+    'city.population': '人口：'
+};
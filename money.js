@@ -0,0 +1,194 @@
+// Money: every amount is added up in integer pence and rounded one way everywhere.
+//
+// Rounding rule: half away from zero (2.5 -> 3, -2.5 -> -3). Stored amounts are rounded to the
+// penny, printed amounts to the pound. Floating-point noise is ignored first, so £1.005 is a
+// half penny and rounds to £1.01 rather than £1.00.
+//
+// Calculators round each component (a fee, a year's interest) to the penny and build totals
+// with addMoney, so a total is always the exact sum of its parts. Tables print with
+// roundToTotal, so the printed rows add up to the printed total as well.
+//
+// "Pounds" and "pence" stand for the report currency's major and minor units: amounts are parsed
+// and printed in the report's currency and locale (see report-format.js), £ and en-GB by default.
+
+const PENCE_PER_POUND = 100;
+// Significant digits a double holds exactly; anything past them is float noise (1.005 * 100 is
+// 100.49999999999999). Cutting there still keeps any amount under £10bn to a thousandth of a penny.
+const SIGNIFICANT_DIGITS = 15;
+
+// Nearest whole number, halves away from zero
+function roundHalfAwayFromZero(value) {
+    const magnitude = Number(Math.abs(value).toPrecision(SIGNIFICANT_DIGITS));
+    const rounded = Math.floor(magnitude + 0.5);
+    return value < 0 ? -rounded : rounded;
+}
+
+// Pounds (number) to integer pence
+function toPence(pounds) {
+    const value = Number(pounds);
+    return isFinite(value) ? roundHalfAwayFromZero(value * PENCE_PER_POUND) : 0;
+}
+
+function fromPence(pence) {
+    return pence / PENCE_PER_POUND;
+}
+
+// Pounds rounded to the penny
+function roundMoney(pounds) {
+    return fromPence(toPence(pounds));
+}
+
+// Pounds rounded to the whole pound, as printed
+function roundPounds(pounds) {
+    return roundHalfAwayFromZero(toPence(pounds) / PENCE_PER_POUND);
+}
+
+// Sum of any number of amounts, added in pence
+function addMoney(...amounts) {
+    return fromPence(amounts.reduce((sum, amount) => sum + toPence(amount || 0), 0));
+}
+
+const DEFAULT_CURRENCY = 'GBP';
+const DEFAULT_LOCALE = 'en-GB';
+const DEFAULT_MONEY_FORMAT = { currency: DEFAULT_CURRENCY, locale: DEFAULT_LOCALE };
+
+// Intl formatters are slow to build and a report prints hundreds of amounts
+const formatters = new Map();
+
+function currencyFormatter(format) {
+    const key = `${format.locale}|${format.currency}`;
+    if (!formatters.has(key)) {
+        formatters.set(key, new Intl.NumberFormat(format.locale, {
+            style: 'currency',
+            currency: format.currency,
+            minimumFractionDigits: 0,
+            maximumFractionDigits: 0
+        }));
+    }
+    return formatters.get(key);
+}
+
+// The locale's decimal separator ('.' for en-GB, ',' for es-ES); '.' for a locale Intl rejects
+function decimalSeparator(locale) {
+    try {
+        const part = new Intl.NumberFormat(locale).formatToParts(1.5).find(p => p.type === 'decimal');
+        return part ? part.value : '.';
+    } catch (e) {
+        return '.';
+    }
+}
+
+// A typed number in any common style as a plain number, or null when it is not one:
+// '£1,250.50', '€250.000,00', '1 250,5', "CHF 1'250.50", '5,5%', 1250.5.
+// The later of '.' and ',' is the decimal point when both appear and a repeated one is always
+// grouping. A single separator is the decimal point unless exactly three digits follow it, when
+// the locale decides: '250.000' is 250000 in es-ES and 250 in en-GB.
+function parseAmount(value, locale = DEFAULT_LOCALE) {
+    if (typeof value === 'number') return isFinite(value) ? value : null;
+    if (value === undefined || value === null) return null;
+    const text = String(value).trim()
+        .replace(/^[A-Z]{3}(?=[\s\d-])|(?<=[\d\s])[A-Z]{3}$/g, '')
+        .replace(/[\p{Sc}\s'\u2019%]/gu, '');
+    if (!/^-?[\d.,]*\d[\d.,]*$/.test(text)) return null;
+
+    const lastDot = text.lastIndexOf('.');
+    const lastComma = text.lastIndexOf(',');
+    let decimal = null;
+    if (lastDot !== -1 && lastComma !== -1) {
+        decimal = lastDot > lastComma ? '.' : ',';
+    } else if (lastDot !== -1 || lastComma !== -1) {
+        const separator = lastDot !== -1 ? '.' : ',';
+        const position = Math.max(lastDot, lastComma);
+        const repeated = text.indexOf(separator) !== position;
+        const digitsAfter = text.length - position - 1;
+        if (!repeated && (digitsAfter !== 3 || decimalSeparator(locale) === separator)) {
+            decimal = separator;
+        }
+    }
+
+    const grouping = decimal === '.' ? ',' : decimal === ',' ? '.' : /[.,]/g;
+    let plain = text.split(grouping).join('');
+    if (decimal === ',') plain = plain.replace(',', '.');
+    const number = Number(plain);
+    return isFinite(number) ? number : null;
+}
+
+// A form value ('£1,250.50', '€250.000,00', '1250', 1250.5) as pounds to the penny; anything else is 0
+function parseMoney(value, locale = DEFAULT_LOCALE) {
+    if (!value) return 0;
+    const number = parseAmount(value, locale);
+    return number === null ? 0 : roundMoney(number);
+}
+
+// '£1,235' / '-£1,235' (or '-1.235 €' in EUR for es-ES): whole units, grouped the way the report
+// locale groups them whatever the server locale
+function formatMoney(value, format = DEFAULT_MONEY_FORMAT) {
+    return currencyFormatter(format).format(roundPounds(value || 0));
+}
+
+// A compact figure: one decimal below ten, whole above
+function roundCompact(value) {
+    return Number(value.toFixed(value >= 10 ? 0 : 1));
+}
+
+// Short form for chart axes ('£250k', '£1.5k', '£1.2m', '250k €'): the suffix goes straight after the
+// digits. Below ten thousand or ten million one decimal is kept, so axis steps of £500 stay distinct.
+// The unit steps up once the rounded figure reaches a thousand, so £999,999 is '£1m', not '£1,000k'.
+function formatCompactMoney(value, format = DEFAULT_MONEY_FORMAT) {
+    const abs = Math.abs(value || 0);
+    let scaled = Math.round(abs);
+    let suffix = '';
+    if (scaled >= 1000) {
+        scaled = roundCompact(abs / 1000);
+        suffix = 'k';
+    }
+    if (scaled >= 1000) {
+        scaled = roundCompact(abs / 1000000);
+        suffix = 'm';
+    }
+    const parts = new Intl.NumberFormat(format.locale, {
+        style: 'currency',
+        currency: format.currency,
+        minimumFractionDigits: 0,
+        maximumFractionDigits: 1
+    }).formatToParts(value < 0 ? -scaled : scaled);
+    const lastDigits = parts.map(part => part.type).lastIndexOf(parts.some(part => part.type === 'fraction') ? 'fraction' : 'integer');
+    return parts.map((part, index) => (index === lastDigits ? part.value + suffix : part.value)).join('');
+}
+
+// Whole-pound figures for a column of amounts that add up to the rounded total of the exact
+// amounts. Each amount is rounded down, then the pounds left over go to the largest remainders
+// (ties to the earliest row), so a row can print a pound away from its own rounding.
+function roundToTotal(amounts) {
+    const pence = amounts.map(toPence);
+    const target = roundPounds(fromPence(pence.reduce((sum, value) => sum + value, 0)));
+    const rounded = pence.map(value => Math.floor(value / PENCE_PER_POUND));
+    let remaining = target - rounded.reduce((sum, value) => sum + value, 0);
+
+    pence
+        .map((value, index) => ({ index, remainder: value - rounded[index] * PENCE_PER_POUND }))
+        .sort((a, b) => b.remainder - a.remainder || a.index - b.index)
+        .forEach(({ index }) => {
+            if (remaining > 0) {
+                rounded[index] += 1;
+                remaining -= 1;
+            }
+        });
+    return rounded;
+}
+
+module.exports = {
+    toPence,
+    fromPence,
+    roundMoney,
+    roundPounds,
+    addMoney,
+    parseAmount,
+    parseMoney,
+    formatMoney,
+    formatCompactMoney,
+    roundToTotal,
+    PENCE_PER_POUND,
+    DEFAULT_CURRENCY,
+    DEFAULT_LOCALE
+};
@@ -0,0 +1,144 @@
+// Mortgage product comparison: the same deal run through several lender products side by side
+
+const { calculateInvestment, buildCalculatorInput, prepareCalculatorInput, parseFlag } = require('./calculator-logic');
+const { simulateLoanYear, DEFAULT_TERM_YEARS } = require('./mortgage');
+const { parseAmount, DEFAULT_LOCALE } = require('./money');
+const { parseReportFormat } = require('./report-format');
+
+// Calculators that borrow against the property (BRR compares its refinance mortgage)
+const MORTGAGE_CALCULATORS = ['standard-btl', 'purchase', 'brr', 'holiday-let'];
+
+// Most buy-to-let products fix for two years when no period is given
+const DEFAULT_FIXED_YEARS = 2;
+
+// mortgage_products arrive as an array or a JSON string:
+// [{ "name": "2yr fix", "rate": 4.79, "arrangement_fee": 1999, "fee_added": true, "fixed_years": 2, "reversion_rate": 8.24, "max_ltv": 75 }]
+// arrangement_fee may be a percentage of the loan, e.g. "3%". Numbers typed as text are read in locale.
+function parseMortgageProducts(value, locale = DEFAULT_LOCALE) {
+    let products = value;
+    if (typeof products === 'string') {
+        try {
+            products = JSON.parse(products);
+        } catch (e) {
+            return [];
+        }
+    }
+    if (!Array.isArray(products)) return [];
+    return products
+        .filter(product => product && typeof product === 'object')
+        .map((product, index) => ({
+            name: product.name ? String(product.name) : `Product ${index + 1}`,
+            rate: parseAmount(product.rate, locale),
+            arrangementFee: product.arrangement_fee !== undefined && product.arrangement_fee !== null ? String(product.arrangement_fee).trim() : '',
+            feeAdded: parseFlag(product.fee_added),
+            fixedYears: parseAmount(product.fixed_years, locale) || DEFAULT_FIXED_YEARS,
+            reversionRate: parseAmount(product.reversion_rate, locale),
+            maxLtv: parseAmount(product.max_ltv, locale)
+        }))
+        .filter(product => product.rate !== null);
+}
+
+// The calculator input for one product: its rate and fee, with the loan cut back to its maximum LTV
+function productInput(data, product, rate) {
+    const input = {
+        ...data,
+        mortgage_rate: rate,
+        mortgage_fee: product.arrangementFee,
+        mortgage_fee_added: product.feeAdded
+    };
+    if (product.maxLtv !== null) {
+        if (data.calculator_type === 'brr') {
+            const refinanceLtv = parseFloat(data.refinance_ltv) || 0;
+            input.refinance_ltv = Math.min(refinanceLtv, product.maxLtv);
+        } else {
+            const depositPercent = parseFloat(data.deposit_percent) || 0;
+            input.deposit_percent = Math.max(depositPercent, 100 - product.maxLtv);
+        }
+    }
+    return input;
+}
+
+// Arrangement fee plus the interest paid over the fixed period (capital repaid is not a cost)
+function costOverFixedPeriod(results, rate, fixedYears) {
+    let balance = results.refinanceLoan || results.mortgageAmount || 0;
+    let remainingMonths = (results.mortgageTerm || DEFAULT_TERM_YEARS) * 12;
+    let interest = 0;
+    for (let year = 0; year < fixedYears; year++) {
+        const loanYear = simulateLoanYear(balance, rate, results.mortgageType, remainingMonths);
+        // A fix that ends part way through a year only pays that part's interest
+        interest += loanYear.interest * Math.min(1, fixedYears - year);
+        balance = loanYear.closingBalance;
+        remainingMonths = Math.max(0, remainingMonths - 12);
+    }
+    return {
+        interest,
+        trueCost: (results.mortgageFee || 0) + interest
+    };
+}
+
+// The calculators report 0% ROI when no cash is left in the deal, which beats any ROI on cash put in
+function comparableRoi(row) {
+    return row.roi === 0 && row.monthlyProfit > 0 ? Infinity : Math.round(row.roi * 100) / 100;
+}
+
+// Every product run through one calculator; null when the calculator has no mortgage or no products are given
+function compareMortgageProducts(data, productsValue) {
+    const calculatorType = data.calculator_type || 'standard-btl';
+    const products = parseMortgageProducts(productsValue !== undefined ? productsValue : data.mortgage_products, parseReportFormat(data).locale);
+    if (!MORTGAGE_CALCULATORS.includes(calculatorType) || products.length === 0) return null;
+
+    const { data: input } = prepareCalculatorInput({ ...data, calculator_type: calculatorType });
+    const rows = products.map(product => {
+        const results = calculateInvestment(productInput(input, product, product.rate));
+        const cost = costOverFixedPeriod(results, product.rate, product.fixedYears);
+        // What the deal earns once the fix ends and the loan moves to the lender's variable rate
+        const reversion = product.reversionRate !== null
+            ? calculateInvestment(productInput(input, product, product.reversionRate))
+            : null;
+        return {
+            ...product,
+            loanAmount: results.refinanceLoan || results.mortgageAmount || 0,
+            mortgageFee: results.mortgageFee || 0,
+            cashInvested: results.netInvestment !== undefined ? results.netInvestment : results.totalInvestment,
+            monthlyPayment: results.monthlyMortgagePayment,
+            monthlyProfit: results.monthlyProfit,
+            postTaxMonthlyProfit: results.postTaxMonthlyProfit,
+            roi: results.roi,
+            interestOverFixedPeriod: cost.interest,
+            trueCost: cost.trueCost,
+            reversionMonthlyProfit: reversion ? reversion.monthlyProfit : null,
+            best: false
+        };
+    });
+
+    // Best is the highest ROI: it weighs the rate, the fee and the cash a lower LTV ties up;
+    // ties go to the cheaper product over its fix
+    const bestIndex = rows.reduce((best, row, index) => {
+        if (best === -1) return index;
+        const current = rows[best];
+        if (comparableRoi(row) > comparableRoi(current)) return index;
+        if (comparableRoi(row) === comparableRoi(current) && row.trueCost < current.trueCost) return index;
+        return best;
+    }, -1);
+    rows[bestIndex].best = true;
+
+    return {
+        calculatorType,
+        products: rows,
+        bestIndex
+    };
+}
+
+// Product comparisons for every selected calculator in a report payload that has a mortgage
+function compareMortgageProductsForReport(data, calculatorTypes) {
+    return calculatorTypes
+        .map(calculatorType => compareMortgageProducts(buildCalculatorInput(data, calculatorType)))
+        .filter(comparison => comparison !== null);
+}
+
+module.exports = {
+    compareMortgageProducts,
+    compareMortgageProductsForReport,
+    parseMortgageProducts,
+    MORTGAGE_CALCULATORS
+};
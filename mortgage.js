@@ -0,0 +1,124 @@
+// Mortgage maths: interest-only and capital repayment loans
+
+const DEFAULT_TERM_YEARS = 25;
+
+// Anything mentioning repayment or capital is a capital repayment loan
+function normaliseMortgageType(value) {
+    const type = String(value || '').trim().toLowerCase();
+    return (type.includes('repayment') || type.includes('capital')) ? 'repayment' : 'interest-only';
+}
+
+// Standard annuity payment for a capital repayment loan
+function monthlyRepayment(loanAmount, annualRate, termYears) {
+    const months = Math.round(termYears * 12);
+    if (loanAmount <= 0 || months <= 0) return 0;
+    const monthlyRate = annualRate / 100 / 12;
+    if (monthlyRate === 0) return loanAmount / months;
+    return loanAmount * monthlyRate / (1 - Math.pow(1 + monthlyRate, -months));
+}
+
+// Year-by-year split of repayments into interest and capital (interest charged monthly)
+function buildAmortisationSchedule(loanAmount, annualRate, termYears) {
+    const schedule = [];
+    const months = Math.round(termYears * 12);
+    const monthlyRate = annualRate / 100 / 12;
+    const payment = monthlyRepayment(loanAmount, annualRate, termYears);
+    let balance = loanAmount;
+
+    for (let month = 1; month <= months && balance > 0; month++) {
+        const yearIndex = Math.ceil(month / 12) - 1;
+        if (!schedule[yearIndex]) {
+            schedule[yearIndex] = { year: yearIndex + 1, openingBalance: balance, payment: 0, interest: 0, capital: 0, closingBalance: balance };
+        }
+        const interest = balance * monthlyRate;
+        // Final payment clears whatever is left after rounding drift
+        const capital = Math.min(payment - interest, balance);
+        balance -= capital;
+
+        const row = schedule[yearIndex];
+        row.payment += interest + capital;
+        row.interest += interest;
+        row.capital += capital;
+        row.closingBalance = Math.max(0, balance);
+    }
+
+    return schedule;
+}
+
+// Outstanding balance after a number of whole years
+function balanceAfterYears(loanAmount, annualRate, termYears, years, mortgageType = 'repayment') {
+    if (normaliseMortgageType(mortgageType) === 'interest-only') return loanAmount;
+    if (years <= 0) return loanAmount;
+    const schedule = buildAmortisationSchedule(loanAmount, annualRate, termYears);
+    const row = schedule[Math.min(years, schedule.length) - 1];
+    return row ? row.closingBalance : 0;
+}
+
+// Run one year (or what is left of the term) of a loan from its current balance.
+// Repayment loans re-amortise over the remaining term, so a rate change mid-life is handled.
+function simulateLoanYear(balance, annualRate, mortgageType, remainingMonths) {
+    const monthlyRate = annualRate / 100 / 12;
+    const result = { payment: 0, interest: 0, capital: 0, closingBalance: balance };
+    if (balance <= 0) return { ...result, closingBalance: 0 };
+
+    if (normaliseMortgageType(mortgageType) === 'interest-only') {
+        const interest = balance * monthlyRate * 12;
+        return { ...result, payment: interest, interest };
+    }
+
+    const months = Math.min(12, Math.max(0, remainingMonths));
+    const payment = monthlyRepayment(balance, annualRate, remainingMonths / 12);
+    let current = balance;
+    for (let month = 0; month < months && current > 0; month++) {
+        const interest = current * monthlyRate;
+        const capital = Math.min(payment - interest, current);
+        current -= capital;
+        result.payment += interest + capital;
+        result.interest += interest;
+        result.capital += capital;
+    }
+    result.closingBalance = Math.max(0, current);
+    return result;
+}
+
+// Annual cost of a loan and how much of it is interest vs capital in the first year
+function calculateMortgage(loanAmount, annualRate, mortgageType, termYears) {
+    const type = normaliseMortgageType(mortgageType);
+    const term = parseFloat(termYears) || DEFAULT_TERM_YEARS;
+    const amount = Math.max(0, loanAmount || 0);
+
+    if (type === 'interest-only') {
+        const annualInterest = amount * (annualRate / 100);
+        return {
+            mortgageType: type,
+            termYears: term,
+            monthlyPayment: annualInterest / 12,
+            annualPayment: annualInterest,
+            annualInterest,
+            annualCapital: 0,
+            schedule: null
+        };
+    }
+
+    const schedule = buildAmortisationSchedule(amount, annualRate, term);
+    const firstYear = schedule[0] || { payment: 0, interest: 0, capital: 0 };
+    return {
+        mortgageType: type,
+        termYears: term,
+        monthlyPayment: monthlyRepayment(amount, annualRate, term),
+        annualPayment: firstYear.payment,
+        annualInterest: firstYear.interest,
+        annualCapital: firstYear.capital,
+        schedule
+    };
+}
+
+module.exports = {
+    calculateMortgage,
+    monthlyRepayment,
+    buildAmortisationSchedule,
+    balanceAfterYears,
+    simulateLoanYear,
+    normaliseMortgageType,
+    DEFAULT_TERM_YEARS
+};
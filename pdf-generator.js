@@ -1,14 +1,30 @@
 const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
+const { getCalculatorLayout } = require('./calculator-layouts');
+const { isTradingCalculator } = require('./returns');
+const { parseMoney, parseAmount, roundMoney, addMoney, formatMoney, formatCompactMoney, roundToTotal } = require('./money');
+const { parseReportFormat, formatSecondaryMoney, describeExchangeRate, formatReportDate, formatReportNumber } = require('./report-format');
+const { createTranslator, resolveReportLanguage } = require('./i18n');
+const { mirrorLayout } = require('./rtl-layout');
+const { reportSections, galleryImages } = require('./report-sections');
+const { resolveTheme } = require('./report-theme');
+const { resolveFontFamilies, findFamily, embeddableFamily, withGlyphFallback, STANDARD_FAMILIES, DEFAULT_FAMILY, FALLBACK_FAMILY } = require('./report-fonts');
+const { documentInfo, writeArchivalMetadata } = require('./report-metadata');
+const { DEFAULT_EPC_CURRENT, DEFAULT_EPC_POTENTIAL, applyDefaults } = require('./input-schema');
 
 // Import calculator logic
-let calculateInvestment, parseCurrencyCalc, formatCurrencyCalc;
+let calculateInvestment, parseCurrencyCalc, formatCurrencyCalc, parseFlag, getSelectedCalculators, buildStressTest, buildOfferGuidance, compareMortgageProducts;
 try {
     const calcLogic = require('./calculator-logic');
     calculateInvestment = calcLogic.calculateInvestment;
     parseCurrencyCalc = calcLogic.parseCurrency;
     formatCurrencyCalc = calcLogic.formatCurrency;
+    parseFlag = calcLogic.parseFlag;
+    getSelectedCalculators = calcLogic.getSelectedCalculators;
+    buildStressTest = require('./sensitivity').buildStressTest;
+    buildOfferGuidance = require('./goal-seek').buildOfferGuidance;
+    compareMortgageProducts = require('./mortgage-products').compareMortgageProducts;
     console.log('✓ Calculator logic loaded successfully');
     console.log('  - calculateInvestment:', typeof calculateInvestment);
     console.log('  - parseCurrency:', typeof parseCurrencyCalc);
@@ -17,9 +33,14 @@ try {
     console.error('✗ Calculator logic not found, using fallback functions');
     console.error('  Error:', e.message);
     console.error('  Stack:', e.stack);
-    parseCurrencyCalc = parseCurrency;
-    formatCurrencyCalc = formatCurrency;
+    parseCurrencyCalc = parseMoney;
+    formatCurrencyCalc = formatMoney;
+    parseFlag = (value) => ['true', 'yes', 'on', '1'].includes(String(value).trim().toLowerCase());
+    getSelectedCalculators = () => [];
     calculateInvestment = null;
+    buildStressTest = null;
+    buildOfferGuidance = null;
+    compareMortgageProducts = null;
 }
 
 // Constants
@@ -28,36 +49,79 @@ const A4_HEIGHT = 841.89; // A4 height in points
 const INCH = 72; // 1 inch = 72 points
 const MARGIN = 0.75 * INCH;
 const HEADER_TOP_OFFSET = 0.45 * INCH;
+// Investment Opportunity tables: label and value column widths
+const TABLE_LABEL_WIDTH = 2.2 * INCH;
+const TABLE_VALUE_WIDTH = 1.3 * INCH;
 
-// Colors
-const PRIMARY_BLUE = '#1e3a8a';
-const ACCENT_GOLD = '#f59e0b';
-const LIGHT_GREY = '#f8fafc';
-const DARK_GREY = '#374151';
+// Pass / fail colours; brand colours come from the report theme
 const SUCCESS_GREEN = '#10b981';
 
-// Helper function to format date with ordinal
-function formatDateWithOrdinal(date) {
-    const day = date.getDate();
-    let suffix = 'th';
-    if (day % 10 === 1 && day % 100 !== 11) suffix = 'st';
-    else if (day % 10 === 2 && day % 100 !== 12) suffix = 'nd';
-    else if (day % 10 === 3 && day % 100 !== 13) suffix = 'rd';
-    
-    const months = ['January', 'February', 'March', 'April', 'May', 'June',
-                   'July', 'August', 'September', 'October', 'November', 'December'];
-    return `${day}${suffix} ${months[date.getMonth()]} ${date.getFullYear()}`;
+// Stress-test cell fills (red / amber / green)
+const RAG_COLORS = {
+    red: '#fecaca',
+    amber: '#fde68a',
+    green: '#bbf7d0'
+};
+
+// Font roles every page draws with. generatePDF points them at the theme's body and heading
+// fonts, or at the report language's own font files when the theme's fonts cannot draw its script.
+const FONT_REGULAR = 'Report-Regular';
+const FONT_BOLD = 'Report-Bold';
+const FONT_ITALIC = 'Report-Italic';
+const FONT_HEADING = 'Report-Heading';
+
+// The same roles in the Unicode fallback family, for text the fonts above have no glyphs for
+const FALLBACK_FONTS = {
+    [FONT_REGULAR]: 'Fallback-Regular',
+    [FONT_BOLD]: 'Fallback-Bold',
+    [FONT_ITALIC]: 'Fallback-Italic',
+    [FONT_HEADING]: 'Fallback-Bold'
+};
+
+const CALCULATOR_TYPES = ['standard-btl', 'brr', 'flip', 'holiday-let', 'rent-to-hmo', 'rent-to-serviced', 'purchase', 'development', 'lease-option'];
+
+// Currency, locale and date style of the report being drawn. generatePDF sets it before drawing
+// and draws synchronously, so one report's format never leaks into another.
+let reportFormat = parseReportFormat({});
+
+// Report text in the report's language; set alongside reportFormat
+let t = createTranslator('en');
+
+// Colours, fonts, tagline and footer of the report's brand; set alongside reportFormat
+let theme = resolveTheme();
+
+// Bookmarked pages of the report, in drawing order, for the contents page; reset alongside reportFormat
+let contentsEntries = [];
+
+// Display name for a calculator type (unknown types read as Standard Buy to Let)
+function calculatorName(calculatorType) {
+    return t(`calculator.${CALCULATOR_TYPES.includes(calculatorType) ? calculatorType : 'standard-btl'}`);
 }
 
-// Helper function to parse currency
+// A form value read in the report locale
 function parseCurrency(value) {
-    if (!value) return 0;
-    return parseFloat(value.toString().replace(/[£,\s]/g, '')) || 0;
+    return parseMoney(value, reportFormat.locale);
 }
 
-// Helper function to format currency
+// Whole amounts in the report currency ('£1,235', '1.235 €')
 function formatCurrency(value) {
-    return `£${Math.round(value).toLocaleString()}`;
+    return formatMoney(value, reportFormat);
+}
+
+// Short currency for chart axes (£250k, £1.2m)
+function formatCompactCurrency(value) {
+    return formatCompactMoney(value, reportFormat);
+}
+
+// Round a raw axis step up to 1, 2 or 5 x 10^n
+function niceStep(rawStep) {
+    if (rawStep <= 0) return 1;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+    const normalised = rawStep / magnitude;
+    if (normalised <= 1) return magnitude;
+    if (normalised <= 2) return 2 * magnitude;
+    if (normalised <= 5) return 5 * magnitude;
+    return 10 * magnitude;
 }
 
 // Helper function to get actual image dimensions (synchronous using PDFKit's built-in method)
@@ -137,11 +201,134 @@ function drawHeader(doc, logoPath) {
     const estimatedLogoHeight = logoWidth * 0.4; // Estimate based on typical logo proportions
     const taglineY = logoY + estimatedLogoHeight + 12;
     
-    // Draw tagline - "Elevating Your Property Experience" (as per original)
-    doc.fontSize(9)
-       .font('Helvetica')
-       .fillColor('#334155') // Dark grey as per original
-       .text('Elevating Your Property Experience', logoX, taglineY);
+    // Draw tagline - "Elevating Your Property Experience" unless the theme has its own (or none)
+    const tagline = theme.tagline === null ? t('header.tagline') : theme.tagline;
+    if (tagline) {
+        doc.fontSize(9)
+           .font(FONT_REGULAR)
+           .fillColor(theme.taglineColor)
+           .text(tagline, logoX, taglineY);
+    }
+}
+
+// A theme font family, or the default family (with a warning) when it is not installed or uploaded
+function themeFamily(families, name) {
+    const family = findFamily(families, name);
+    if (!family) console.warn(`Font family "${name}" not found; drawing in ${DEFAULT_FAMILY}`);
+    return family || STANDARD_FAMILIES[DEFAULT_FAMILY];
+}
+
+// Point the font roles at the report's fonts, with the fallback family behind them when installed.
+// An archival (PDF/A) report draws the standard families in the fallback family, as it embeds every font.
+function registerReportFonts(doc, language, uploads, archival) {
+    const { families } = resolveFontFamilies(uploads);
+    const languageFonts = language.fonts && { ...language.fonts, italic: language.fonts.regular };
+    const reportFamily = name => (archival ? embeddableFamily(families, themeFamily(families, name)) : themeFamily(families, name));
+    const body = languageFonts || reportFamily(theme.bodyFont);
+    const heading = languageFonts || reportFamily(theme.headingFont);
+    if (!body || !heading) {
+        throw new Error(`PDF/A reports embed their fonts: install ${FALLBACK_FAMILY}-Regular.ttf in the fonts directory or use bundled or uploaded theme fonts`);
+    }
+    doc.registerFont(FONT_REGULAR, body.regular);
+    doc.registerFont(FONT_BOLD, body.bold);
+    doc.registerFont(FONT_ITALIC, body.italic);
+    doc.registerFont(FONT_HEADING, heading.bold);
+
+    const fallback = families[FALLBACK_FAMILY];
+    if (fallback) {
+        doc.registerFont(FALLBACK_FONTS[FONT_REGULAR], fallback.regular);
+        doc.registerFont(FALLBACK_FONTS[FONT_BOLD], fallback.bold);
+        doc.registerFont(FALLBACK_FONTS[FONT_ITALIC], fallback.italic);
+        withGlyphFallback(doc, FALLBACK_FONTS);
+    }
+    doc.font(FONT_REGULAR);
+}
+
+// Index of the page being drawn (pages are buffered, so this is the last one added)
+function currentPageIndex(doc) {
+    const range = doc.bufferedPageRange();
+    return range.start + range.count - 1;
+}
+
+// Mark the current page as the start of a section: a bookmark in the viewer's outline (under
+// parent's when given), a named destination and an entry on the contents page that links to it
+function bookmarkPage(doc, title, parent = null) {
+    const destination = `section-${contentsEntries.length + 1}`;
+    doc.addNamedDestination(destination);
+    const entry = {
+        title,
+        destination,
+        page: currentPageIndex(doc),
+        level: parent ? parent.level + 1 : 0,
+        outline: (parent ? parent.outline : doc.outline).addItem(title, { expanded: true })
+    };
+    contentsEntries.push(entry);
+    return entry;
+}
+
+// Contents page: every bookmarked page with its page number, each line a link to the page.
+// Drawn on the page kept for it once the rest of the report has been laid out.
+function drawContentsPage(doc, pageIndex, logoPath) {
+    doc.switchToPage(pageIndex);
+    drawHeader(doc, logoPath);
+
+    const estimatedLogoHeight = (1.4 * INCH) * 0.4;
+    let currentY = HEADER_TOP_OFFSET + estimatedLogoHeight + 12 + 9 + 20;
+
+    doc.fontSize(24)
+       .font(FONT_HEADING)
+       .fillColor(theme.headingColor)
+       .text(t('page.contents'), MARGIN, currentY);
+    currentY += 40;
+
+    const pageNumberWidth = 0.6 * INCH;
+    const indent = 18;
+    contentsEntries.forEach(entry => {
+        const x = MARGIN + entry.level * indent;
+        const titleWidth = A4_WIDTH - MARGIN - pageNumberWidth - x;
+        doc.fontSize(entry.level === 0 ? 12 : 11)
+           .font(entry.level === 0 ? FONT_BOLD : FONT_REGULAR)
+           .fillColor(theme.textColor)
+           .text(entry.title, x, currentY, { width: titleWidth, lineBreak: false, goTo: entry.destination });
+        doc.text(String(entry.page + 1), A4_WIDTH - MARGIN - pageNumberWidth, currentY, {
+            width: pageNumberWidth,
+            align: 'right',
+            lineBreak: false,
+            goTo: entry.destination
+        });
+        currentY += entry.level === 0 ? 22 : 18;
+    });
+}
+
+// The theme's footer line at the foot of every page, and "Page 3 of 12" under it on every page but
+// the cover, drawn once all pages exist
+function drawFooters(doc, coverPage) {
+    const range = doc.bufferedPageRange();
+    const footerY = A4_HEIGHT - MARGIN + 0.2 * INCH;
+    for (let i = range.start; i < range.start + range.count; i++) {
+        doc.switchToPage(i);
+        // Inside the bottom margin, so lift the margin while drawing or pdfkit starts a new page
+        const bottomMargin = doc.page.margins.bottom;
+        doc.page.margins.bottom = 0;
+        doc.fontSize(8)
+           .font(FONT_ITALIC)
+           .fillColor(theme.mutedColor);
+        if (theme.footerText) {
+            doc.text(theme.footerText, MARGIN, footerY, {
+                width: A4_WIDTH - (2 * MARGIN),
+                align: 'center',
+                lineBreak: false
+            });
+        }
+        if (i !== coverPage) {
+            doc.text(t('footer.pageNumber', { page: i + 1, total: range.count }), MARGIN, footerY + (theme.footerText ? 11 : 0), {
+                width: A4_WIDTH - (2 * MARGIN),
+                align: 'center',
+                lineBreak: false
+            });
+        }
+        doc.page.margins.bottom = bottomMargin;
+    }
 }
 
 // Create cover page matching original exactly
@@ -165,8 +352,8 @@ function createCoverPage(doc, data, images, logoPath) {
     // Property Address (large, bold, 24pt)
     const address = `${data.address || ''}${data.postal_code ? ', ' + data.postal_code : ''}`;
     doc.fontSize(24)
-       .font('Helvetica-Bold')
-       .fillColor('#000000')
+       .font(FONT_HEADING)
+       .fillColor(theme.headingColor)
        .text(address, MARGIN, contentY, {
            width: contentWidth,
            align: 'left'
@@ -222,14 +409,17 @@ function createCoverPage(doc, data, images, logoPath) {
     const footerY = pageHeight - MARGIN - footerHeight;
     
     doc.rect(MARGIN, footerY, contentWidth, footerHeight)
-       .fillColor(ACCENT_GOLD)
+       .fillColor(theme.accentColor)
        .fill();
 
-    const reportDate = formatDateWithOrdinal(new Date());
-    const footerText = `Report created on ${reportDate}`;
+    const reportDate = formatReportDate(doc.info.CreationDate, reportFormat);
+    const exchangeRate = describeExchangeRate(reportFormat);
+    const footerText = exchangeRate
+        ? t('cover.reportCreatedWithRate', { date: reportDate, rate: exchangeRate })
+        : t('cover.reportCreated', { date: reportDate });
     doc.fontSize(11)
-       .font('Helvetica')
-       .fillColor('#FFFFFF')
+       .font(FONT_REGULAR)
+       .fillColor(theme.accentTextColor)
        .text(footerText, MARGIN, footerY + (footerHeight / 2) - 6, {
            width: contentWidth,
            align: 'center'
@@ -243,7 +433,9 @@ function calculateCalculatorValues(calculatorType, calcData, allData) {
     console.log(`calculateCalculatorValues - calculateInvestment available:`, !!calculateInvestment);
     
     let purchasePrice, depositAmount, mortgageAmount, totalInvestment, annualRent, monthlyRent, rentalYield, totalAnnualExpenses, annualProfit, monthlyProfit, roi;
-    let depositPercent, mortgageRate, stampDuty, surveyCost, legalFees, loanSetup, annualMortgageInterest, councilTax, repairs, utilities, water, broadband, insurance;
+    let depositPercent, mortgageRate, stampDuty, stampDutyRegime, surveyCost, legalFees, loanSetup, annualMortgageInterest, councilTax, repairs, utilities, water, broadband, insurance;
+    let mortgageType, mortgageTerm, annualMortgagePayment, equityBuilt, amortisationSchedule, projection, returnMetrics;
+    let tax, postTaxAnnualProfit, postTaxMonthlyProfit, affordability;
     
     // Try to use calculator logic
     if (calculateInvestment) {
@@ -279,14 +471,27 @@ function calculateCalculatorValues(calculatorType, calcData, allData) {
             monthlyProfit = calcResults.monthlyProfit || 0;
             roi = calcResults.roi || 0;
             
-            // Extract additional values for display
-            depositPercent = parseFloat(calcData.deposit_percent || allData.deposit_percent) || 20;
-            mortgageRate = parseFloat(calcData.mortgage_rate || allData.mortgage_rate) || 5.8;
+            // Extract additional values for display; the calculator has already applied the schema
+            // defaults, so an explicit 0 prints as 0
+            depositPercent = calcResults.depositPercent !== undefined ? calcResults.depositPercent : 0;
+            mortgageRate = calcResults.mortgageRate !== undefined ? calcResults.mortgageRate : 0;
             stampDuty = calcResults.stampDuty || parseCurrency(calcData.stamp_duty || allData.stamp_duty);
+            stampDutyRegime = calcResults.stampDutyRegime || 'manual';
             surveyCost = calcResults.surveyCost || parseCurrency(calcData.survey_cost || allData.survey_cost);
             legalFees = calcResults.legalFees || parseCurrency(calcData.legal_fees || allData.legal_fees);
             loanSetup = calcResults.loanSetup || parseCurrency(calcData.loan_setup || allData.loan_setup);
             annualMortgageInterest = calcResults.annualMortgageInterest || 0;
+            annualMortgagePayment = calcResults.annualMortgagePayment || annualMortgageInterest;
+            mortgageType = calcResults.mortgageType || 'interest-only';
+            mortgageTerm = calcResults.mortgageTerm || null;
+            equityBuilt = calcResults.equityBuilt || 0;
+            amortisationSchedule = calcResults.amortisationSchedule || null;
+            projection = calcResults.projection || null;
+            returnMetrics = calcResults.returnMetrics || null;
+            tax = calcResults.tax || null;
+            affordability = calcResults.affordability || null;
+            postTaxAnnualProfit = calcResults.postTaxAnnualProfit !== undefined ? calcResults.postTaxAnnualProfit : annualProfit;
+            postTaxMonthlyProfit = calcResults.postTaxMonthlyProfit !== undefined ? calcResults.postTaxMonthlyProfit : monthlyProfit;
             councilTax = calcResults.councilTax || parseCurrency(calcData.council_tax || allData.council_tax);
             repairs = calcResults.repairs || parseCurrency(calcData.repairs_maintenance || allData.repairs_maintenance);
             utilities = calcResults.utilities || parseCurrency(calcData.utilities || allData.utilities);
@@ -294,10 +499,13 @@ function calculateCalculatorValues(calculatorType, calcData, allData) {
             broadband = calcResults.broadband || parseCurrency(calcData.broadband_tv || allData.broadband_tv);
             insurance = calcResults.insurance || parseCurrency(calcData.insurance || allData.insurance);
             
-            return { purchasePrice, depositAmount, mortgageAmount, totalInvestment, annualRent, monthlyRent, rentalYield, 
+            // Keep every calculator-specific field too - the page layouts pick what they need
+            return { ...calcResults, purchasePrice, depositAmount, mortgageAmount, totalInvestment, annualRent, monthlyRent, rentalYield, 
                      totalAnnualExpenses, annualProfit, monthlyProfit, roi, depositPercent, mortgageRate, 
-                     stampDuty, surveyCost, legalFees, loanSetup, annualMortgageInterest, councilTax, repairs, 
-                     utilities, water, broadband, insurance };
+                     stampDuty, stampDutyRegime, surveyCost, legalFees, loanSetup, annualMortgageInterest, councilTax, repairs, 
+                     utilities, water, broadband, insurance, mortgageType, mortgageTerm, annualMortgagePayment, 
+                     equityBuilt, amortisationSchedule, projection, returnMetrics, tax, postTaxAnnualProfit, 
+                     postTaxMonthlyProfit, affordability };
         } catch (err) {
             console.warn('Error using calculator logic, falling back:', err);
             console.error('Error details:', err.stack);
@@ -308,25 +516,39 @@ function calculateCalculatorValues(calculatorType, calcData, allData) {
     
     // Fallback to hardcoded calculation if calculator logic failed or not available
     console.log('Using fallback calculation for', calculatorType);
+    // Blank fields take the schema defaults, as they do in the calculators
+    const defaultedInput = applyDefaults(calculatorType, { ...allData, ...calcData }).data;
     purchasePrice = parseCurrency(calcData.purchase_price || allData.purchase_price);
-    depositPercent = parseFloat(calcData.deposit_percent || allData.deposit_percent) || 20;
+    depositPercent = parseAmount(defaultedInput.deposit_percent, reportFormat.locale) || 0;
     monthlyRent = parseCurrency(calcData.monthly_rent || allData.monthly_rent);
-    mortgageRate = parseFloat(calcData.mortgage_rate || allData.mortgage_rate) || 5.8;
+    mortgageRate = parseAmount(defaultedInput.mortgage_rate, reportFormat.locale) || 0;
 
-    depositAmount = purchasePrice * (depositPercent / 100);
-    annualRent = monthlyRent * 12;
+    depositAmount = roundMoney(purchasePrice * (depositPercent / 100));
+    annualRent = roundMoney(monthlyRent * 12);
     rentalYield = purchasePrice > 0 ? (annualRent / purchasePrice) * 100 : 0;
 
     stampDuty = parseCurrency(calcData.stamp_duty || allData.stamp_duty);
+    stampDutyRegime = 'manual';
     surveyCost = parseCurrency(calcData.survey_cost || allData.survey_cost);
     legalFees = parseCurrency(calcData.legal_fees || allData.legal_fees);
     loanSetup = parseCurrency(calcData.loan_setup || allData.loan_setup);
 
-    const totalPurchaseCosts = stampDuty + surveyCost + legalFees + loanSetup;
-    totalInvestment = depositAmount + totalPurchaseCosts;
-
-    mortgageAmount = purchasePrice - depositAmount;
-    annualMortgageInterest = mortgageAmount * (mortgageRate / 100);
+    const totalPurchaseCosts = addMoney(stampDuty, surveyCost, legalFees, loanSetup);
+    totalInvestment = addMoney(depositAmount, totalPurchaseCosts);
+
+    mortgageAmount = addMoney(purchasePrice, -depositAmount);
+    annualMortgageInterest = roundMoney(mortgageAmount * (mortgageRate / 100));
+    annualMortgagePayment = annualMortgageInterest;
+    mortgageType = 'interest-only';
+    mortgageTerm = null;
+    equityBuilt = 0;
+    amortisationSchedule = null;
+    projection = null;
+    returnMetrics = null;
+    tax = null;
+    affordability = null;
+    postTaxAnnualProfit = annualProfit;
+    postTaxMonthlyProfit = monthlyProfit;
 
     councilTax = parseCurrency(calcData.council_tax || allData.council_tax);
     repairs = parseCurrency(calcData.repairs_maintenance || allData.repairs_maintenance);
@@ -335,49 +557,43 @@ function calculateCalculatorValues(calculatorType, calcData, allData) {
     broadband = parseCurrency(calcData.broadband_tv || allData.broadband_tv);
     insurance = parseCurrency(calcData.insurance || allData.insurance);
 
-    totalAnnualExpenses = annualMortgageInterest + councilTax + repairs + utilities + water + broadband + insurance;
-    annualProfit = annualRent - totalAnnualExpenses;
-    monthlyProfit = annualProfit / 12;
+    totalAnnualExpenses = addMoney(annualMortgageInterest, councilTax, repairs, utilities, water, broadband, insurance);
+    annualProfit = addMoney(annualRent, -totalAnnualExpenses);
+    monthlyProfit = roundMoney(annualProfit / 12);
     roi = totalInvestment > 0 ? (annualProfit / totalInvestment) * 100 : 0;
     
     return { purchasePrice, depositAmount, mortgageAmount, totalInvestment, annualRent, monthlyRent, rentalYield, 
              totalAnnualExpenses, annualProfit, monthlyProfit, roi, depositPercent, mortgageRate, 
-             stampDuty, surveyCost, legalFees, loanSetup, annualMortgageInterest, councilTax, repairs, 
-             utilities, water, broadband, insurance };
+             stampDuty, stampDutyRegime, surveyCost, legalFees, loanSetup, annualMortgageInterest, councilTax, repairs, 
+             utilities, water, broadband, insurance, mortgageType, mortgageTerm, annualMortgagePayment, 
+             equityBuilt, amortisationSchedule, projection, returnMetrics, tax, postTaxAnnualProfit, 
+             postTaxMonthlyProfit, affordability, fallback: true };
 }
 
 // Helper function to render a single calculator section
 function renderCalculatorSection(doc, calculatorType, values, startY) {
-    // Map calculator type to display name
-    const calculatorDisplayNames = {
-        'standard-btl': 'Standard Buy to Let',
-        'brr': 'Buy Refurbish Refinance',
-        'flip': 'Flip',
-        'holiday-let': 'Holiday Let',
-        'rent-to-hmo': 'Rent to HMO',
-        'rent-to-serviced': 'Rent to Serviced Accommodation',
-        'purchase': 'Purchase Calculator'
-    };
-    const calculatorDisplayName = calculatorDisplayNames[calculatorType] || 'Standard Buy to Let';
+    const calculatorDisplayName = calculatorName(calculatorType);
     
     let currentY = startY;
     
     // Section title with calculator type
     doc.fontSize(24)
-       .font('Helvetica-Bold')
-       .fillColor('#000000')
-       .text('Investment Opportunity', MARGIN, currentY);
+       .font(FONT_HEADING)
+       .fillColor(theme.headingColor)
+       .text(t('page.investment'), MARGIN, currentY);
     // Add spacing for the 24pt font (approximately 28-30 points height)
     currentY += 32;
     
     // Calculator type subtitle
     doc.fontSize(16)
-       .font('Helvetica')
-       .fillColor('#666666')
-       .text(`${calculatorDisplayName} Calculator`, MARGIN, currentY);
+       .font(FONT_REGULAR)
+       .fillColor(theme.mutedColor)
+       .text(t('calculator.heading', { name: calculatorDisplayName }), MARGIN, currentY);
     // Add spacing for the 16pt font (approximately 18-20 points height)
     currentY += 22;
 
+    const layout = getCalculatorLayout(values.fallback ? 'standard-btl' : calculatorType, values, t);
+
     // Three key metrics boxes (gold background, horizontal) - fit exactly within content width
     const contentWidth = A4_WIDTH - (2 * MARGIN);
     const boxSpacing = 0.15 * INCH;
@@ -385,62 +601,37 @@ function renderCalculatorSection(doc, calculatorType, values, startY) {
     const boxHeight = 1.3 * INCH; // Slightly taller
 
     const metricsY = currentY;
-    
-    // Center the three boxes within the printable content width so left/right paddings match
-    const rowWidth = (3 * boxWidth) + (2 * boxSpacing);
     const rowStartX = MARGIN; // boxes span exactly the content width
 
-    // Box 1: Purchase Price
-    doc.rect(rowStartX, metricsY, boxWidth, boxHeight)
-       .fillColor(ACCENT_GOLD)
-       .fill();
-    doc.fontSize(12)
-       .font('Helvetica')
-       .fillColor('#000000')
-       .text('Purchase Price', rowStartX + 12, metricsY + 15, { width: boxWidth - 24, align: 'center' });
-    doc.fontSize(24)
-       .font('Helvetica-Bold')
-       .fillColor('#FFFFFF')
-        .text(formatCurrency(values.purchasePrice), rowStartX + 12, metricsY + 40, { width: boxWidth - 24, align: 'center' });
-
-    // Box 2: Monthly Rent
-    const box2X = rowStartX + boxWidth + boxSpacing;
-    doc.rect(box2X, metricsY, boxWidth, boxHeight)
-       .fillColor(ACCENT_GOLD)
-       .fill();
-    doc.fontSize(12)
-       .font('Helvetica')
-       .fillColor('#000000')
-       .text('Estimated Monthly Rent', box2X + 12, metricsY + 15, { width: boxWidth - 24, align: 'center' });
-    doc.fontSize(24)
-       .font('Helvetica-Bold')
-       .fillColor('#FFFFFF')
-       .text(formatCurrency(values.monthlyRent) + 'pcm', box2X + 12, metricsY + 40, { width: boxWidth - 24, align: 'center' });
-
-    // Box 3: Rental Yield
-    const box3X = box2X + boxWidth + boxSpacing;
-    doc.rect(box3X, metricsY, boxWidth, boxHeight)
-       .fillColor(ACCENT_GOLD)
-       .fill();
-    doc.fontSize(12)
-       .font('Helvetica')
-       .fillColor('#000000')
-       .text('Rental Yield', box3X + 12, metricsY + 15, { width: boxWidth - 24, align: 'center' });
-    doc.fontSize(24)
-       .font('Helvetica-Bold')
-       .fillColor('#FFFFFF')
-       .text(`${values.rentalYield.toFixed(1)}%`, box3X + 12, metricsY + 40, { width: boxWidth - 24, align: 'center' });
+    layout.headline.forEach((metric, index) => {
+        const boxX = rowStartX + index * (boxWidth + boxSpacing);
+        doc.rect(boxX, metricsY, boxWidth, boxHeight)
+           .fillColor(theme.accentColor)
+           .fill();
+        doc.fontSize(12)
+           .font(FONT_REGULAR)
+           .fillColor(theme.textColor)
+           .text(metric.label, boxX + 12, metricsY + 15, { width: boxWidth - 24, align: 'center' });
+        doc.fontSize(24)
+           .font(FONT_BOLD)
+           .fillColor(theme.accentTextColor)
+           .text(formatLayoutValue(metric), boxX + 12, metricsY + 40, { width: boxWidth - 24, align: 'center' });
+        // The same amount in the secondary currency, when the report has one
+        const secondary = (metric.format === 'currency' || metric.format === 'pcm') && formatSecondaryMoney(metric.value, reportFormat);
+        if (secondary) {
+            doc.fontSize(10)
+               .font(FONT_REGULAR)
+               .fillColor(theme.accentTextColor)
+               .text(metric.format === 'pcm' ? t('value.pcm', { amount: secondary }) : secondary, boxX + 12, metricsY + 74, { width: boxWidth - 24, align: 'center' });
+        }
+    });
 
     currentY += boxHeight + 25;
 
     // Two column layout for costs and expenses
     // Match Python: colWidths=[2.2*inch, 1.3*inch, 2.2*inch, 1.3*inch]
-    const leftLabelWidth = 2.2 * INCH;
-    const leftValueWidth = 1.3 * INCH;
-    const leftColWidth = leftLabelWidth + leftValueWidth;
-    const rightLabelWidth = 2.2 * INCH;
-    const rightValueWidth = 1.3 * INCH;
-    const rightColWidth = rightLabelWidth + rightValueWidth;
+    const leftColWidth = TABLE_LABEL_WIDTH + TABLE_VALUE_WIDTH;
+    const rightColWidth = TABLE_LABEL_WIDTH + TABLE_VALUE_WIDTH;
     
     // Calculate positions - ensure no overlap
     // Total width needed: 2.2 + 1.3 + gap + 2.2 + 1.3 = 7.0 + gap
@@ -452,162 +643,928 @@ function renderCalculatorSection(doc, calculatorType, values, startY) {
     
     const leftColX = MARGIN;
     const rightColX = leftColX + leftColWidth + columnSpacing;
-    const tableStartY = currentY;
 
-    // Left column: Purchase Costs
-    doc.fontSize(12)
-       .font('Helvetica-Bold')
-       .fillColor('#000000')
-       .text('Total Purchase Costs', leftColX, currentY);
-    currentY += 20;
+    // Left column: purchase costs (or income), right column: annual expenses (15pt left padding as per Python)
+    let leftTableY = layout.costs.columns
+        ? drawScheduleTable(doc, layout.costs, leftColX, currentY)
+        : drawLineItemTable(doc, layout.costs, leftColX, currentY, 0);
+    let rightTableY = drawLineItemTable(doc, layout.expenses, rightColX, currentY, 15);
+
+    // An optional chart sits under the (shorter) left-hand table, filling down to the right-hand one
+    if (layout.chart && layout.chart.bars.length > 0) {
+        const chartY = leftTableY + 8;
+        const chartHeight = Math.max(100, rightTableY - chartY);
+        leftTableY = drawBarChart(doc, layout.chart, leftColX, chartY, leftColWidth, chartHeight);
+    }
 
-    const costs = [
-        [`Deposit (${values.depositPercent}%)`, formatCurrency(values.depositAmount)],
-        ['Stamp Duty', formatCurrency(values.stampDuty)],
-        ['Survey', formatCurrency(values.surveyCost)],
-        ['Legal Fees', formatCurrency(values.legalFees)],
-        ['Loan Set-up', formatCurrency(values.loanSetup)],
-        ['Total Investment Required', formatCurrency(values.totalInvestment)]
-    ];
+    const profitData = layout.profit.map(metric => [metric.label, formatLayoutValue(metric)]);
+    profitData.push(...returnMetricBoxes(calculatorType, values.returnMetrics));
+    const taxNote = values.tax ? describeTaxBasis(values.tax, calculatorType) : null;
 
-    let leftTableY = currentY;
-    costs.forEach(([label, value], index) => {
-        const isTotal = index === costs.length - 1;
+    let maxTableHeight = Math.max(leftTableY, rightTableY);
+    if (values.affordability) {
+        maxTableHeight = drawAffordabilityPanel(doc, values.affordability, maxTableHeight + 12);
+    }
+    return drawProfitBoxes(doc, profitData, maxTableHeight, taxNote);
+}
+
+// Format a layout item according to its declared format
+function formatLayoutValue(metric) {
+    const value = metric.value;
+    switch (metric.format) {
+        case 'text':
+            return String(value);
+        case 'percent':
+            return `${(value || 0).toFixed(1)}%`;
+        case 'number':
+            return formatReportNumber(value, reportFormat);
+        case 'pcm':
+            return t('value.pcm', { amount: formatCurrency(value || 0) });
+        default:
+            return formatCurrency(value || 0);
+    }
+}
+
+// Rows and total as printed. When a table's money rows add up to its total to the penny they are
+// rounded together (roundToTotal), so the printed rows add up to the printed total; any other
+// table prints each figure rounded on its own.
+function balanceTableRows(table) {
+    const isMoney = row => row.format === 'currency' || row.format === 'pcm';
+    const moneyRows = table.rows.filter(isMoney);
+    const rows = [...table.rows, table.total];
+    if (!isMoney(table.total) || moneyRows.length === 0) return rows;
+    if (addMoney(...moneyRows.map(row => row.value || 0)) !== roundMoney(table.total.value || 0)) return rows;
+
+    const printed = roundToTotal(moneyRows.map(row => row.value || 0));
+    return [...table.rows.map(row => (isMoney(row) ? { ...row, value: printed[moneyRows.indexOf(row)] } : row)), table.total];
+}
+
+// One titled table of label/value rows with a bold total row; returns the Y below the last row.
+// indent shifts the title, labels and separator lines right (the right-hand column uses 15pt).
+function drawLineItemTable(doc, table, colX, startY, indent) {
+    const colWidth = TABLE_LABEL_WIDTH + TABLE_VALUE_WIDTH;
+    doc.fontSize(12)
+       .font(FONT_BOLD)
+       .fillColor(theme.textColor)
+       .text(table.title, colX + indent, startY);
+
+    const rows = balanceTableRows(table);
+    let rowY = startY + 20;
+    rows.forEach((row, index) => {
+        const isTotal = index === rows.length - 1;
         doc.fontSize(11)
-           .font(isTotal ? 'Helvetica-Bold' : 'Helvetica')
-           .fillColor('#000000');
-        
+           .font(isTotal ? FONT_BOLD : FONT_REGULAR)
+           .fillColor(theme.textColor);
+
         // Label (left aligned) - strictly constrain to column width
-        const labelX = leftColX + 5;
-        const labelMaxWidth = leftLabelWidth - 10; // Leave 5pt padding on each side
-        doc.text(label, labelX, leftTableY, { 
-            width: labelMaxWidth
-        });
-        
-        // Value (right aligned) - position at end of left column
-        const valueX = leftColX + leftLabelWidth;
-        doc.text(value, valueX, leftTableY, { 
-            width: leftValueWidth - 10, 
-            align: 'right' 
+        const labelX = colX + Math.max(indent, 5);
+        // A label too long for the column (the mortgage row, or any in a wordier language) drops to 10pt to stay on one line
+        if (doc.widthOfString(row.label) > TABLE_LABEL_WIDTH - 10) {
+            doc.fontSize(10);
+            doc.text(row.label, labelX, rowY, { width: TABLE_LABEL_WIDTH - 5 });
+            doc.fontSize(11); // Reset font size
+        } else {
+            doc.text(row.label, labelX, rowY, { width: TABLE_LABEL_WIDTH - 10 });
+        }
+
+        // Value (right aligned) - position at end of the column
+        doc.text(formatLayoutValue(row), colX + TABLE_LABEL_WIDTH, rowY, {
+            width: TABLE_VALUE_WIDTH - 10,
+            align: 'right'
         });
-        
-        // Draw horizontal line below (except for last row) - only within left column
-        if (index < costs.length - 1) {
-            doc.moveTo(leftColX, leftTableY + 12)
-               .lineTo(leftColX + leftColWidth, leftTableY + 12)
+
+        // Draw horizontal line below (except for the total) - only within this column
+        if (!isTotal) {
+            doc.moveTo(colX + indent, rowY + 12)
+               .lineTo(colX + colWidth, rowY + 12)
                .strokeColor('#E0E0E0')
                .lineWidth(0.5)
                .stroke();
         }
-        
-        leftTableY += 18;
+
+        rowY += 18;
     });
+    return rowY;
+}
 
-    // Right column: Annual Expenses
-    currentY = tableStartY;
+// Multi-column table (e.g. the HMO room schedule) in the left-hand column, with a bold total row.
+// Rows are tighter than the line-item tables so a full house still fits on the page.
+function drawScheduleTable(doc, table, colX, startY) {
+    const colWidth = TABLE_LABEL_WIDTH + TABLE_VALUE_WIDTH;
     doc.fontSize(12)
-       .font('Helvetica-Bold')
-       .fillColor('#000000')
-       .text('Total Annual Expenses', rightColX + 15, currentY); // 15pt left padding as per Python
-    currentY += 20;
+       .font(FONT_BOLD)
+       .fillColor(theme.textColor)
+       .text(table.title, colX, startY);
+
+    const drawCells = (cells, y) => {
+        let cellX = colX;
+        cells.forEach((cell, index) => {
+            const width = table.columns[index].width * colWidth;
+            doc.text(cell, cellX + 5, y, { width: width - 10, height: 12, align: table.columns[index].align, ellipsis: true });
+            cellX += width;
+        });
+    };
 
-    const expenses = [
-        [`Mortgage @ ${values.mortgageRate}% (Interest Only)`, formatCurrency(values.annualMortgageInterest)],
-        ['Council Tax', formatCurrency(values.councilTax)],
-        ['Repairs / Maintenance', formatCurrency(values.repairs)],
-        ['Electric / Gas', formatCurrency(values.utilities)],
-        ['Water', formatCurrency(values.water)],
-        ['Broadband / TV', formatCurrency(values.broadband)],
-        ['Insurance', formatCurrency(values.insurance)],
-        ['Total', formatCurrency(values.totalAnnualExpenses)]
+    let rowY = startY + 20;
+    doc.fontSize(9)
+       .font(FONT_BOLD)
+       .fillColor(theme.mutedColor);
+    drawCells(table.columns.map(column => column.title), rowY);
+    rowY += 14;
+
+    doc.fontSize(10)
+       .font(FONT_REGULAR)
+       .fillColor(theme.textColor);
+    table.rows.forEach(row => {
+        drawCells(row.cells.map(formatLayoutValue), rowY);
+        doc.moveTo(colX, rowY + 11)
+           .lineTo(colX + colWidth, rowY + 11)
+           .strokeColor('#E0E0E0')
+           .lineWidth(0.5)
+           .stroke();
+        rowY += 15;
+    });
+
+    doc.fontSize(11)
+       .font(FONT_BOLD)
+       .fillColor(theme.textColor)
+       .text(table.total.label, colX + 5, rowY + 2, { width: TABLE_LABEL_WIDTH - 10 });
+    doc.text(formatLayoutValue(table.total), colX + TABLE_LABEL_WIDTH, rowY + 2, {
+        width: TABLE_VALUE_WIDTH - 10,
+        align: 'right'
+    });
+    return rowY + 20;
+}
+
+// Pass/fail panel for the lender ICR check
+function drawAffordabilityPanel(doc, affordability, startY) {
+    const contentWidth = A4_WIDTH - (2 * MARGIN);
+    const panelHeight = 40;
+    const passes = affordability.passes;
+    const badgeWidth = 0.9 * INCH;
+
+    doc.rect(MARGIN, startY, contentWidth, panelHeight)
+       .fillColor(passes ? '#dcfce7' : '#fee2e2')
+       .fill();
+    doc.rect(MARGIN, startY, badgeWidth, panelHeight)
+       .fillColor(passes ? SUCCESS_GREEN : '#dc2626')
+       .fill();
+    doc.fontSize(14)
+       .font(FONT_BOLD)
+       .fillColor('#FFFFFF')
+       .text(passes ? t('affordability.pass') : t('affordability.fail'), MARGIN, startY + 13, { width: badgeWidth, align: 'center' });
+
+    const coverage = affordability.coverage === null ? t('value.notApplicable') : `${affordability.coverage.toFixed(0)}%`;
+    const limit = affordability.limitedBy === 'ltv' ? t('affordability.cappedAtLtv', { ltv: affordability.maxLtv }) : '';
+    const headline = t('affordability.headline', { coverage, stressRate: affordability.stressRate, icr: affordability.icrPercent });
+    const loans = { maxLoan: formatCurrency(affordability.maxLoan), limit, requested: formatCurrency(affordability.requestedLoan) };
+    const detail = passes
+        ? t('affordability.maxLoan', loans)
+        : t('affordability.extraDeposit', { ...loans, extra: formatCurrency(affordability.extraDepositNeeded) });
+    const textX = MARGIN + badgeWidth + 10;
+    const textWidth = contentWidth - badgeWidth - 16;
+    doc.fontSize(10)
+       .font(FONT_BOLD)
+       .fillColor(theme.textColor)
+       .text(headline, textX, startY + 7, { width: textWidth, lineBreak: false, ellipsis: true });
+    doc.fontSize(10)
+       .font(FONT_REGULAR)
+       .fillColor(theme.textColor)
+       .text(detail, textX, startY + 22, { width: textWidth, lineBreak: false, ellipsis: true });
+
+    return startY + panelHeight;
+}
+
+// One-line explanation of how post-tax profit was worked out. A flip or development is taxed once
+// on its sale profit, a let every year.
+function describeTaxBasis(tax, calculatorType) {
+    const period = isTradingCalculator(calculatorType) ? 'OneOff' : '';
+    if (tax.ownershipStructure === 'limited-company') {
+        return t(`tax.limitedCompany${period}`, { tax: formatCurrency(tax.annualTax) });
+    }
+    const credit = tax.financeCostCredit > 0 ? t('tax.financeCostCredit', { credit: formatCurrency(tax.financeCostCredit) }) : '';
+    return t(`tax.personal${period}`, { band: t(`tax.band.${tax.taxBand}`), rate: tax.taxRate, tax: formatCurrency(tax.annualTax), credit });
+}
+
+// Time-value metrics shown as extra profit boxes
+function returnMetricBoxes(calculatorType, metrics) {
+    if (!metrics) return [];
+    const formatPercent = value => (value === null || value === undefined || !isFinite(value) ? t('value.notApplicable') : `${value.toFixed(1)}%`);
+
+    if (isTradingCalculator(calculatorType)) {
+        return [
+            [t('returns.annualisedReturn'), formatPercent(metrics.annualisedReturn)],
+            [t('returns.npv', { rate: metrics.discountRate }), metrics.npv === null ? t('value.notApplicable') : formatCurrency(metrics.npv)]
+        ];
+    }
+    // No payback is due when no cash went in; otherwise a missing payback is one beyond the hold
+    let payback = t('value.notApplicable');
+    if (metrics.initialInvestment > 0) {
+        payback = metrics.paybackYears === null
+            ? t('value.moreThanYears', { value: metrics.holdingYears })
+            : t('value.years', { value: metrics.paybackYears.toFixed(1) });
+    }
+    return [
+        [t('returns.irr', { years: metrics.holdingYears }), formatPercent(metrics.irr)],
+        [t('returns.npv', { rate: metrics.discountRate }), metrics.npv === null ? t('value.notApplicable') : formatCurrency(metrics.npv)],
+        [t('returns.cashOnCash'), formatPercent(metrics.cashOnCash)],
+        [t('returns.payback'), payback]
     ];
+}
 
-    let rightTableY = currentY;
-    expenses.forEach(([label, value], index) => {
-        const isTotal = index === expenses.length - 1;
-        doc.fontSize(11)
-           .font(isTotal ? 'Helvetica-Bold' : 'Helvetica')
-           .fillColor('#000000');
+// Profit/ROI boxes below the tables. Up to three boxes keep the original centred column;
+// more than that switch to a two-column grid sized to fit the rest of the page.
+function drawProfitBoxes(doc, profitData, tablesBottomY, footnote) {
+    const contentWidth = A4_WIDTH - (2 * MARGIN);
+
+    if (profitData.length <= 3) {
+        // Single box split into label (left) and value (right), centred on the page
+        const profitLabelWidth = 2 * INCH;
+        const profitValueWidth = 2 * INCH;
+        const profitTotalWidth = profitLabelWidth + profitValueWidth; // 4 inches total
+        const profitBoxHeight = 0.9 * INCH;
+        const profitX = (A4_WIDTH - profitTotalWidth) / 2; // Center horizontally
+        let profitY = tablesBottomY + (0.5 * INCH);
+
+        profitData.forEach(([label, value]) => {
+            // Draw single gold box (both label and value areas)
+            doc.rect(profitX, profitY, profitTotalWidth, profitBoxHeight)
+               .fillColor(theme.accentColor)
+               .fill();
+            
+            // Label on left side (black text)
+            doc.fontSize(13)
+               .font(FONT_REGULAR)
+               .fillColor(theme.textColor)
+               .text(label, profitX + 18, profitY + (profitBoxHeight / 2) - 6, {
+                   width: profitLabelWidth - 36,
+                   align: 'left'
+               });
+            
+            // Value on right side (white bold text)
+            doc.fontSize(24)
+               .font(FONT_BOLD)
+               .fillColor(theme.accentTextColor)
+               .text(value, profitX + profitLabelWidth + 12, profitY + (profitBoxHeight / 2) - 12, { 
+                   width: profitValueWidth - 24, 
+                   align: 'right' 
+               });
+            
+            profitY += profitBoxHeight + 10;
+        });
         
-        // Label (left aligned) - strictly constrain to column width with 15pt left padding
-        const labelX = rightColX + 15; // 15pt padding as per Python
-        // For the mortgage row, use smaller font to fit on one line
-        if (index === 0 && label.includes('Mortgage')) {
-            doc.fontSize(10);
-            const labelMaxWidth = rightLabelWidth - 5; // More width for smaller font
-            doc.text(label, labelX, rightTableY, { width: labelMaxWidth });
-            doc.fontSize(11); // Reset font size
-        } else {
-            const labelMaxWidth = rightLabelWidth - 10;
-            doc.text(label, labelX, rightTableY, { width: labelMaxWidth });
+        return profitY;
+    }
+
+    const columnGap = 10;
+    const rowGap = 8;
+    const boxWidth = (contentWidth - columnGap) / 2;
+    const rows = Math.ceil(profitData.length / 2);
+    const gridY = tablesBottomY + (0.3 * INCH);
+    // Room for a two-line footnote under the grid
+    const footnoteHeight = footnote ? 26 : 0;
+    const availableHeight = A4_HEIGHT - MARGIN - gridY - footnoteHeight;
+    const boxHeight = Math.min(0.9 * INCH, (availableHeight - (rows - 1) * rowGap) / rows);
+
+    profitData.forEach(([label, value], index) => {
+        const boxX = MARGIN + (index % 2) * (boxWidth + columnGap);
+        const boxY = gridY + Math.floor(index / 2) * (boxHeight + rowGap);
+
+        doc.rect(boxX, boxY, boxWidth, boxHeight)
+           .fillColor(theme.accentColor)
+           .fill();
+        doc.fontSize(11)
+           .font(FONT_REGULAR)
+           .fillColor(theme.textColor)
+           .text(label, boxX + 12, boxY + (boxHeight / 2) - 5, { width: (boxWidth / 2) - 12, align: 'left' });
+        doc.fontSize(18)
+           .font(FONT_BOLD)
+           .fillColor(theme.accentTextColor)
+           .text(value, boxX + (boxWidth / 2), boxY + (boxHeight / 2) - 9, { width: (boxWidth / 2) - 12, align: 'right' });
+    });
+
+    let endY = gridY + rows * boxHeight + (rows - 1) * rowGap;
+    if (footnote) {
+        doc.fontSize(9)
+           .font(FONT_REGULAR)
+           .fillColor(theme.mutedColor)
+           .text(footnote, MARGIN, endY + 4, { width: contentWidth });
+        endY += footnoteHeight;
+    }
+    return endY;
+}
+
+// Render the year-by-year amortisation schedule for a repayment mortgage
+function renderAmortisationSchedule(doc, calculatorType, values, logoPath) {
+    const calculatorDisplayName = calculatorName(calculatorType);
+    const schedule = values.amortisationSchedule || [];
+    const estimatedLogoHeight = (1.4 * INCH) * 0.4;
+    const contentWidth = A4_WIDTH - (2 * MARGIN);
+    const rowHeight = 16;
+
+    // Year column is narrow, the five money columns share the rest
+    const yearColWidth = 0.45 * INCH;
+    const moneyColWidth = (contentWidth - yearColWidth) / 5;
+    const headers = ['year', 'openingBalance', 'payment', 'interest', 'capital', 'closingBalance'].map(column => t(`column.${column}`));
+
+    const drawPageTop = () => {
+        drawHeader(doc, logoPath);
+        let y = HEADER_TOP_OFFSET + estimatedLogoHeight + 12 + 9 + 20;
+
+        doc.fontSize(24)
+           .font(FONT_HEADING)
+           .fillColor(theme.headingColor)
+           .text(t('page.amortisation'), MARGIN, y);
+        y += 32;
+
+        doc.fontSize(12)
+           .font(FONT_REGULAR)
+           .fillColor(theme.mutedColor)
+           .text(t('amortisation.subtitle', {
+               calculator: calculatorDisplayName,
+               amount: formatCurrency(values.mortgageAmount || (schedule[0] && schedule[0].openingBalance) || 0),
+               years: values.mortgageTerm,
+               rate: values.mortgageRate
+           }), MARGIN, y);
+        y += 24;
+
+        // Column header row (gold band)
+        doc.rect(MARGIN, y, contentWidth, rowHeight + 4)
+           .fillColor(theme.accentColor)
+           .fill();
+        doc.fontSize(9).font(FONT_BOLD).fillColor(theme.textColor);
+        headers.forEach((header, col) => {
+            const colX = col === 0 ? MARGIN : MARGIN + yearColWidth + (col - 1) * moneyColWidth;
+            const colWidth = col === 0 ? yearColWidth : moneyColWidth;
+            doc.text(header, colX + 4, y + 6, { width: colWidth - 8, align: col === 0 ? 'left' : 'right' });
+        });
+        return y + rowHeight + 8;
+    };
+
+    const drawRow = (cells, y, bold) => {
+        doc.fontSize(10).font(bold ? FONT_BOLD : FONT_REGULAR).fillColor(theme.textColor);
+        cells.forEach((cell, col) => {
+            const colX = col === 0 ? MARGIN : MARGIN + yearColWidth + (col - 1) * moneyColWidth;
+            const colWidth = col === 0 ? yearColWidth : moneyColWidth;
+            doc.text(cell, colX + 4, y, { width: colWidth - 8, align: col === 0 ? 'left' : 'right' });
+        });
+        doc.moveTo(MARGIN, y + 12)
+           .lineTo(MARGIN + contentWidth, y + 12)
+           .strokeColor('#E0E0E0')
+           .lineWidth(0.5)
+           .stroke();
+    };
+
+    let currentY = drawPageTop();
+    // Each column is rounded as a whole so its printed years add up to its printed total
+    const printed = {};
+    ['payment', 'interest', 'capital'].forEach(column => {
+        printed[column] = roundToTotal(schedule.map(row => row[column]));
+    });
+    const columnTotal = column => printed[column].reduce((sum, value) => sum + value, 0);
+
+    schedule.forEach((row, index) => {
+        // Leave room for the totals row at the bottom of the page
+        if (currentY + (2 * rowHeight) > A4_HEIGHT - MARGIN) {
+            doc.addPage();
+            currentY = drawPageTop();
         }
-        
-        // Value (right aligned) - position at end of right column
-        const valueX = rightColX + rightLabelWidth;
-        doc.text(value, valueX, rightTableY, { 
-            width: rightValueWidth - 10, 
-            align: 'right' 
+        drawRow([
+            String(row.year),
+            formatCurrency(row.openingBalance),
+            formatCurrency(printed.payment[index]),
+            formatCurrency(printed.interest[index]),
+            formatCurrency(printed.capital[index]),
+            formatCurrency(row.closingBalance)
+        ], currentY, false);
+        currentY += rowHeight;
+    });
+
+    drawRow([t('column.total'), '', formatCurrency(columnTotal('payment')), formatCurrency(columnTotal('interest')), formatCurrency(columnTotal('capital')), ''], currentY, true);
+    return currentY + rowHeight;
+}
+
+// Draw a multi-series line chart with a money Y axis and year X axis
+function drawLineChart(doc, series, x, y, width, height) {
+    const allValues = series.reduce((acc, s) => acc.concat(s.values), []);
+    const pointCount = Math.max(...series.map(s => s.values.length));
+    const rawMin = Math.min(0, ...allValues);
+    const rawMax = Math.max(0, ...allValues);
+    const step = niceStep((rawMax - rawMin) / 5);
+    const minValue = Math.floor(rawMin / step) * step;
+    const maxValue = Math.max(Math.ceil(rawMax / step) * step, minValue + step);
+
+    // Leave room on the left for axis labels and at the bottom for years
+    const axisLabelWidth = 0.6 * INCH;
+    const plotX = x + axisLabelWidth;
+    const plotWidth = width - axisLabelWidth;
+    const plotHeight = height - 16;
+    const toY = value => y + plotHeight - ((value - minValue) / (maxValue - minValue)) * plotHeight;
+    const toX = index => plotX + (pointCount > 1 ? (index / (pointCount - 1)) * plotWidth : plotWidth / 2);
+
+    // Horizontal gridlines with value labels
+    doc.save();
+    for (let value = minValue; value <= maxValue + (step / 2); value += step) {
+        const lineY = toY(value);
+        doc.moveTo(plotX, lineY)
+           .lineTo(plotX + plotWidth, lineY)
+           .strokeColor(value === 0 ? '#9ca3af' : '#E0E0E0')
+           .lineWidth(0.5)
+           .stroke();
+        doc.fontSize(8)
+           .font(FONT_REGULAR)
+           .fillColor(theme.mutedColor)
+           .text(formatCompactCurrency(value), x, lineY - 4, { width: axisLabelWidth - 6, align: 'right' });
+    }
+
+    // Year labels - thin them out so they do not collide
+    const labelEvery = pointCount > 20 ? 5 : (pointCount > 10 ? 2 : 1);
+    for (let i = 0; i < pointCount; i++) {
+        if ((i + 1) % labelEvery !== 0 && i !== 0) continue;
+        doc.fontSize(8)
+           .font(FONT_REGULAR)
+           .fillColor(theme.mutedColor)
+           .text(String(i + 1), toX(i) - 10, y + plotHeight + 5, { width: 20, align: 'center' });
+    }
+
+    // Series lines
+    series.forEach(s => {
+        if (s.values.length === 0) return;
+        doc.moveTo(toX(0), toY(s.values[0]));
+        s.values.forEach((value, i) => {
+            if (i > 0) doc.lineTo(toX(i), toY(value));
         });
-        
-        // Draw horizontal line below (except for last row) - only within right column
-        if (index < expenses.length - 1) {
-            doc.moveTo(rightColX + 15, rightTableY + 12)
-               .lineTo(rightColX + rightColWidth, rightTableY + 12)
-               .strokeColor('#E0E0E0')
-               .lineWidth(0.5)
-               .stroke();
+        doc.strokeColor(s.color).lineWidth(1.5).stroke();
+    });
+    doc.restore();
+
+    // Legend under the chart
+    let legendX = plotX;
+    const legendY = y + height + 8;
+    series.forEach(s => {
+        doc.rect(legendX, legendY + 2, 10, 4).fillColor(s.color).fill();
+        doc.fontSize(9)
+           .font(FONT_REGULAR)
+           .fillColor(theme.textColor)
+           .text(s.label, legendX + 14, legendY, { lineBreak: false });
+        legendX += 14 + doc.widthOfString(s.label) + 18;
+    });
+
+    return legendY + 14;
+}
+
+// Titled bar chart (e.g. revenue by month); returns the Y below the month labels
+function drawBarChart(doc, chart, x, y, width, height) {
+    doc.fontSize(12)
+       .font(FONT_BOLD)
+       .fillColor(theme.textColor)
+       .text(chart.title, x, y);
+
+    const values = chart.bars.map(bar => bar.value);
+    const step = niceStep(Math.max(0, ...values) / 4);
+    const maxValue = Math.max(Math.ceil(Math.max(0, ...values) / step) * step, step);
+
+    // Axis labels on the left, bar labels along the bottom
+    const axisLabelWidth = 0.5 * INCH;
+    const plotX = x + axisLabelWidth;
+    const plotY = y + 20;
+    const plotWidth = width - axisLabelWidth;
+    const plotHeight = height - 20 - 14;
+    const toY = value => plotY + plotHeight - (Math.max(0, value) / maxValue) * plotHeight;
+
+    doc.save();
+    for (let value = 0; value <= maxValue + (step / 2); value += step) {
+        const lineY = toY(value);
+        doc.moveTo(plotX, lineY)
+           .lineTo(plotX + plotWidth, lineY)
+           .strokeColor(value === 0 ? '#9ca3af' : '#E0E0E0')
+           .lineWidth(0.5)
+           .stroke();
+        doc.fontSize(7)
+           .font(FONT_REGULAR)
+           .fillColor(theme.mutedColor)
+           .text(formatCompactCurrency(value), x, lineY - 3, { width: axisLabelWidth - 5, align: 'right' });
+    }
+
+    const slotWidth = plotWidth / chart.bars.length;
+    const barWidth = slotWidth * 0.7;
+    chart.bars.forEach((bar, index) => {
+        const barX = plotX + index * slotWidth + (slotWidth - barWidth) / 2;
+        const barTop = toY(bar.value);
+        if (plotY + plotHeight - barTop > 0) {
+            doc.rect(barX, barTop, barWidth, plotY + plotHeight - barTop)
+               .fillColor(theme.accentColor)
+               .fill();
         }
-        
-        rightTableY += 18;
+        doc.fontSize(7)
+           .font(FONT_REGULAR)
+           .fillColor(theme.mutedColor)
+           .text(bar.label, plotX + index * slotWidth, plotY + plotHeight + 4, { width: slotWidth, align: 'center' });
     });
+    doc.restore();
 
-    // Profit/ROI boxes centered - single box split into label (left) and value (right)
-    // Position: centered on page, below the tables
-    const profitLabelWidth = 2 * INCH;
-    const profitValueWidth = 2 * INCH;
-    const profitTotalWidth = profitLabelWidth + profitValueWidth; // 4 inches total
-    const profitBoxHeight = 0.9 * INCH;
-    
-    // Calculate Y position - below the tables with some spacing
-    const maxTableHeight = Math.max(leftTableY, rightTableY);
-    // Center the boxes horizontally
-    const profitX = (A4_WIDTH - profitTotalWidth) / 2; // Center horizontally
-    let profitY = maxTableHeight + (0.5 * INCH);
-
-    const profitData = [
-        ['Monthly Profit', formatCurrency(values.monthlyProfit)],
-        ['Annual Profit', formatCurrency(values.annualProfit)],
-        ['ROI', `${values.roi.toFixed(1)}%`]
-    ];
+    return y + height;
+}
+
+// Render the multi-year cash-flow and equity projection page
+function renderProjectionPage(doc, calculatorType, values, logoPath) {
+    const calculatorDisplayName = calculatorName(calculatorType);
+    const projection = values.projection;
+    const rows = projection.rows;
+    const estimatedLogoHeight = (1.4 * INCH) * 0.4;
+    const contentWidth = A4_WIDTH - (2 * MARGIN);
+
+    drawHeader(doc, logoPath);
+    let currentY = HEADER_TOP_OFFSET + estimatedLogoHeight + 12 + 9 + 20;
+
+    doc.fontSize(24)
+       .font(FONT_HEADING)
+       .fillColor(theme.headingColor)
+       .text(t('page.projection', { years: projection.years }), MARGIN, currentY);
+    currentY += 32;
+
+    doc.fontSize(11)
+       .font(FONT_REGULAR)
+       .fillColor(theme.mutedColor)
+       .text(t('projection.subtitle', {
+           calculator: calculatorDisplayName,
+           rentGrowth: projection.rentGrowth,
+           capitalGrowth: projection.capitalGrowth,
+           costInflation: projection.costInflation
+       }), MARGIN, currentY, { width: contentWidth });
+    currentY += 26;
+
+    // Line chart of value, debt, equity and cumulative cash
+    currentY = drawLineChart(doc, [
+        { label: t('projection.propertyValue'), color: theme.primaryColor, values: rows.map(r => r.propertyValue) },
+        { label: t('projection.loanBalance'), color: '#ef4444', values: rows.map(r => r.loanBalance) },
+        { label: t('projection.equity'), color: SUCCESS_GREEN, values: rows.map(r => r.equity) },
+        { label: t('projection.cumulativeCashFlow'), color: theme.accentColor, values: rows.map(r => r.cumulativeCashFlow) }
+    ], MARGIN, currentY, contentWidth, 2.8 * INCH);
+    currentY += 16;
+
+    // Table of milestone years (every year up to 5, then every 5 years, always the last)
+    const milestoneRows = rows.filter(r => r.year <= 5 || r.year % 5 === 0 || r.year === rows.length);
+    const headers = ['year', 'rent', 'expenses', 'cashFlow', 'cumulative', 'loan', 'value', 'equity'].map(column => t(`column.${column}`));
+    const yearColWidth = 0.45 * INCH;
+    const colWidth = (contentWidth - yearColWidth) / (headers.length - 1);
+    const rowHeight = 16;
+    const colX = col => (col === 0 ? MARGIN : MARGIN + yearColWidth + (col - 1) * colWidth);
+    const colW = col => (col === 0 ? yearColWidth : colWidth);
+
+    doc.rect(MARGIN, currentY, contentWidth, rowHeight + 4)
+       .fillColor(theme.accentColor)
+       .fill();
+    doc.fontSize(9).font(FONT_BOLD).fillColor(theme.textColor);
+    headers.forEach((header, col) => {
+        doc.text(header, colX(col) + 4, currentY + 6, { width: colW(col) - 8, align: col === 0 ? 'left' : 'right' });
+    });
+    currentY += rowHeight + 8;
+
+    milestoneRows.forEach(row => {
+        const cells = [
+            String(row.year),
+            formatCurrency(row.rent),
+            formatCurrency(row.expenses),
+            formatCurrency(row.cashFlow),
+            formatCurrency(row.cumulativeCashFlow),
+            formatCurrency(row.loanBalance),
+            formatCurrency(row.propertyValue),
+            formatCurrency(row.equity)
+        ];
+        doc.fontSize(9).font(FONT_REGULAR).fillColor(theme.textColor);
+        cells.forEach((cell, col) => {
+            doc.text(cell, colX(col) + 4, currentY, { width: colW(col) - 8, align: col === 0 ? 'left' : 'right' });
+        });
+        doc.moveTo(MARGIN, currentY + 12)
+           .lineTo(MARGIN + contentWidth, currentY + 12)
+           .strokeColor('#E0E0E0')
+           .lineWidth(0.5)
+           .stroke();
+        currentY += rowHeight;
+    });
+
+    // Note any refinance events under the table
+    const refinanceRows = rows.filter(r => r.refinanceCash !== 0);
+    if (refinanceRows.length > 0) {
+        currentY += 8;
+        const notes = refinanceRows.map(r => t(r.refinanceCash >= 0 ? 'projection.refinanceReleases' : 'projection.refinanceNeeds', {
+            year: r.year,
+            amount: formatCurrency(Math.abs(r.refinanceCash))
+        }));
+        const noteText = t('projection.refinanceNote', { notes: notes.join('; ') });
+        doc.fontSize(9)
+           .font(FONT_REGULAR)
+           .fillColor(theme.mutedColor)
+           .text(noteText, MARGIN, currentY, { width: contentWidth });
+        currentY += doc.heightOfString(noteText, { width: contentWidth }) + 6;
+    }
+
+    return currentY;
+}
+
+// Stress-test axis name and value labels in the report language
+function stressAxisName(axis) {
+    return t(`stress.variable.${axis.variable}`);
+}
+
+function stressAxisLabels(axis) {
+    return axis.variable === 'void_months' ? axis.values.map(value => t('value.months', { value })) : axis.labels;
+}
+
+// Draw one stress-test grid (row variable down the side, column variable across the top)
+function drawStressGrid(doc, matrix, metric, title, formatValue, startY) {
+    const contentWidth = A4_WIDTH - (2 * MARGIN);
+    const labelColWidth = 1.3 * INCH;
+    const cellWidth = (contentWidth - labelColWidth) / matrix.columns.values.length;
+    const cellHeight = 24;
+    let currentY = startY;
+
+    doc.fontSize(14)
+       .font(FONT_HEADING)
+       .fillColor(theme.headingColor)
+       .text(title, MARGIN, currentY);
+    currentY += 22;
+
+    // Header row: axis names in the corner, column values across
+    doc.rect(MARGIN, currentY, contentWidth, cellHeight)
+       .fillColor(theme.accentColor)
+       .fill();
+    doc.fontSize(8)
+       .font(FONT_BOLD)
+       .fillColor(theme.textColor)
+       .text(`${stressAxisName(matrix.rows)} / ${stressAxisName(matrix.columns)}`, MARGIN + 4, currentY + 3, { width: labelColWidth - 8 });
+    stressAxisLabels(matrix.columns).forEach((label, col) => {
+        doc.fontSize(10)
+           .font(FONT_BOLD)
+           .fillColor(theme.textColor)
+           .text(label, MARGIN + labelColWidth + col * cellWidth, currentY + 8, { width: cellWidth, align: 'center' });
+    });
+    currentY += cellHeight;
+
+    const rowLabels = stressAxisLabels(matrix.rows);
+    matrix.cells.forEach((row, rowIndex) => {
+        doc.fontSize(10)
+           .font(FONT_BOLD)
+           .fillColor(theme.textColor)
+           .text(rowLabels[rowIndex], MARGIN + 4, currentY + 8, { width: labelColWidth - 8 });
+        row.forEach((cell, col) => {
+            const cellX = MARGIN + labelColWidth + col * cellWidth;
+            doc.rect(cellX, currentY, cellWidth, cellHeight)
+               .fillColor(RAG_COLORS[cell.rating[metric]])
+               .strokeColor('#FFFFFF')
+               .lineWidth(1)
+               .fillAndStroke();
+            doc.fontSize(10)
+               .font(FONT_REGULAR)
+               .fillColor(theme.textColor)
+               .text(formatValue(cell[metric]), cellX, currentY + 8, { width: cellWidth, align: 'center' });
+        });
+        currentY += cellHeight;
+    });
+
+    return currentY;
+}
+
+// Render the stress-test page: monthly profit and ROI grids for one calculator
+function renderStressTestPage(doc, calculatorType, matrix, logoPath) {
+    const calculatorDisplayName = calculatorName(calculatorType);
+    const estimatedLogoHeight = (1.4 * INCH) * 0.4;
+    const contentWidth = A4_WIDTH - (2 * MARGIN);
 
-    profitData.forEach(([label, value]) => {
-        // Draw single gold box (both label and value areas)
-        doc.rect(profitX, profitY, profitTotalWidth, profitBoxHeight)
-           .fillColor(ACCENT_GOLD)
+    drawHeader(doc, logoPath);
+    let currentY = HEADER_TOP_OFFSET + estimatedLogoHeight + 12 + 9 + 20;
+
+    doc.fontSize(24)
+       .font(FONT_HEADING)
+       .fillColor(theme.headingColor)
+       .text(t('page.stressTest'), MARGIN, currentY);
+    currentY += 32;
+
+    doc.fontSize(12)
+       .font(FONT_REGULAR)
+       .fillColor(theme.mutedColor)
+       .text(t('stress.subtitle', {
+           calculator: calculatorDisplayName,
+           rows: stressAxisName(matrix.rows).toLowerCase(),
+           columns: stressAxisName(matrix.columns).toLowerCase()
+       }), MARGIN, currentY, { width: contentWidth });
+    currentY += 28;
+
+    currentY = drawStressGrid(doc, matrix, 'monthlyProfit', t('stress.monthlyProfit'), value => formatCurrency(value), currentY);
+    currentY += 24;
+    currentY = drawStressGrid(doc, matrix, 'roi', t('stress.roi'), value => `${value.toFixed(1)}%`, currentY);
+    currentY += 20;
+
+    // Key
+    const keyItems = [
+        ['red', t('stress.lossMaking')],
+        ['amber', t('stress.below', { profit: formatCurrency(matrix.thresholds.monthlyProfit), roi: matrix.thresholds.roi })],
+        ['green', t('stress.atOrAbove', { profit: formatCurrency(matrix.thresholds.monthlyProfit), roi: matrix.thresholds.roi })]
+    ];
+    keyItems.forEach(([rating, label]) => {
+        doc.rect(MARGIN, currentY, 12, 12)
+           .fillColor(RAG_COLORS[rating])
            .fill();
-        
-        // Label on left side (black text)
-        doc.fontSize(13)
-           .font('Helvetica')
-           .fillColor('#000000')
-           .text(label, profitX + 18, profitY + (profitBoxHeight / 2) - 6, {
-               width: profitLabelWidth - 36,
-               align: 'left'
-           });
-        
-        // Value on right side (white bold text)
-        doc.fontSize(24)
-           .font('Helvetica-Bold')
-           .fillColor('#FFFFFF')
-           .text(value, profitX + profitLabelWidth + 12, profitY + (profitBoxHeight / 2) - 12, { 
-               width: profitValueWidth - 24, 
-               align: 'right' 
-           });
-        
-        profitY += profitBoxHeight + 10;
+        doc.fontSize(9)
+           .font(FONT_REGULAR)
+           .fillColor(theme.textColor)
+           .text(label, MARGIN + 18, currentY + 2);
+        currentY += 16;
     });
-    
-    return profitY; // Return the final Y position
+
+    return currentY;
+}
+
+// Goal-seek target in the report language ('ROI of at least 10%')
+function describeTarget(target) {
+    const value = target.metric === 'roi' || target.metric === 'irr' ? `${target.value}%` : formatCurrency(target.value);
+    return t('offer.target', { metric: t(`offer.metric.${target.metric}`), value });
+}
+
+// Row label for a solved variable: a development's purchase price is its land, and seasonal
+// rates are weekly for holiday lets and nightly for serviced accommodation
+function describeSolution(calculatorType, solution) {
+    if (solution.field === 'purchase_price' && calculatorType === 'development') return t('offer.solve.land_price');
+    if (solution.field === 'seasonal_rates') {
+        return t(calculatorType === 'holiday-let' ? 'offer.solve.seasonal_weekly' : 'offer.solve.seasonal_nightly');
+    }
+    return t(`offer.solve.${solution.field}`);
+}
+
+// Offer guidance: the price, refurb and rent limits that still hit the target return
+function renderOfferGuidancePage(doc, calculatorType, guidance, logoPath) {
+    const calculatorDisplayName = calculatorName(calculatorType);
+    const estimatedLogoHeight = (1.4 * INCH) * 0.4;
+    const contentWidth = A4_WIDTH - (2 * MARGIN);
+
+    drawHeader(doc, logoPath);
+    let currentY = HEADER_TOP_OFFSET + estimatedLogoHeight + 12 + 9 + 20;
+
+    doc.fontSize(24)
+       .font(FONT_HEADING)
+       .fillColor(theme.headingColor)
+       .text(t('page.offerGuidance'), MARGIN, currentY);
+    currentY += 32;
+
+    doc.fontSize(12)
+       .font(FONT_REGULAR)
+       .fillColor(theme.mutedColor)
+       .text(t('offer.subtitle', {
+           calculator: calculatorDisplayName,
+           targets: guidance.targets.map(describeTarget).join(t('offer.targetsJoin'))
+       }), MARGIN, currentY, { width: contentWidth });
+    currentY += 28;
+
+    // Banner: green when the deal as entered already hits the target, gold when it misses
+    doc.rect(MARGIN, currentY, contentWidth, 30)
+       .fillColor(guidance.currentlyMeetsTargets ? SUCCESS_GREEN : theme.accentColor)
+       .fill();
+    doc.fontSize(12)
+       .font(FONT_BOLD)
+       .fillColor(theme.accentTextColor)
+       .text(guidance.currentlyMeetsTargets ? t('offer.meetsTarget') : t('offer.missesTarget'),
+             MARGIN + 12, currentY + 10, { width: contentWidth - 24 });
+    currentY += 46;
+
+    const columns = [
+        { title: t('offer.solveFor'), width: 0.34, align: 'left' },
+        { title: t('offer.asEntered'), width: 0.2, align: 'right' },
+        { title: t('offer.limit'), width: 0.22, align: 'right' },
+        { title: t('offer.headroom'), width: 0.24, align: 'right' }
+    ];
+    const drawRow = (cells, font, y) => {
+        let x = MARGIN;
+        cells.forEach((cell, index) => {
+            const width = columns[index].width * contentWidth;
+            doc.fontSize(11)
+               .font(font)
+               .fillColor(theme.textColor)
+               .text(cell, x + 5, y, { width: width - 10, align: columns[index].align });
+            x += width;
+        });
+    };
+
+    drawRow(columns.map(column => column.title), FONT_BOLD, currentY);
+    currentY += 20;
+    guidance.solutions.forEach(solution => {
+        let limit = solution.value === null ? t('offer.notAchievable') : formatCurrency(solution.value);
+        let headroom = solution.headroom === null ? '-' : formatCurrency(solution.headroom);
+        if (solution.unlimited) {
+            limit = t('offer.noLimit');
+            headroom = '-';
+        }
+        drawRow([describeSolution(calculatorType, solution), formatCurrency(solution.current), limit, headroom], FONT_REGULAR, currentY);
+        doc.moveTo(MARGIN, currentY + 14)
+           .lineTo(MARGIN + contentWidth, currentY + 14)
+           .strokeColor('#E0E0E0')
+           .lineWidth(0.5)
+           .stroke();
+        currentY += 22;
+    });
+
+    currentY += 10;
+    doc.fontSize(9)
+       .font(FONT_REGULAR)
+       .fillColor(theme.mutedColor)
+       .text(t('offer.footnote'), MARGIN, currentY, { width: contentWidth });
+
+    return currentY;
+}
+
+// Mortgage products side by side for one calculator, best product highlighted
+function renderMortgageComparisonPage(doc, calculatorType, comparison, logoPath) {
+    const calculatorDisplayName = calculatorName(calculatorType);
+    const estimatedLogoHeight = (1.4 * INCH) * 0.4;
+    const contentWidth = A4_WIDTH - (2 * MARGIN);
+    const formatPercent = value => (value === null || value === undefined || !isFinite(value) ? t('value.notApplicable') : `${value.toFixed(1)}%`);
+
+    drawHeader(doc, logoPath);
+    let currentY = HEADER_TOP_OFFSET + estimatedLogoHeight + 12 + 9 + 20;
+
+    doc.fontSize(24)
+       .font(FONT_HEADING)
+       .fillColor(theme.headingColor)
+       .text(t('page.mortgageComparison'), MARGIN, currentY);
+    currentY += 32;
+
+    doc.fontSize(12)
+       .font(FONT_REGULAR)
+       .fillColor(theme.mutedColor)
+       .text(t('mortgages.subtitle', { calculator: calculatorDisplayName, count: comparison.products.length }), MARGIN, currentY, { width: contentWidth });
+    currentY += 28;
+
+    const columns = [
+        { title: t('mortgages.product'), width: 0.3, align: 'left' },
+        { title: t('mortgages.rate'), width: 0.1, align: 'right' },
+        { title: t('mortgages.monthlyProfit'), width: 0.16, align: 'right' },
+        { title: t('mortgages.costOverFix'), width: 0.16, align: 'right' },
+        { title: t('mortgages.roi'), width: 0.1, align: 'right' },
+        { title: t('mortgages.afterFix'), width: 0.18, align: 'right' }
+    ];
+    const drawRow = (cells, font, size, y) => {
+        let x = MARGIN;
+        cells.forEach((cell, index) => {
+            const width = columns[index].width * contentWidth;
+            doc.fontSize(size)
+               .font(font)
+               .fillColor(theme.textColor)
+               .text(cell, x + 5, y, { width: width - 10, height: 14, align: columns[index].align, ellipsis: true });
+            x += width;
+        });
+    };
+
+    drawRow(columns.map(column => column.title), FONT_BOLD, 10, currentY);
+    currentY += 20;
+    comparison.products.forEach(product => {
+        const rowHeight = 34;
+        if (product.best) {
+            doc.rect(MARGIN, currentY - 6, contentWidth, rowHeight)
+               .fillColor('#fef3c7')
+               .fill();
+            doc.rect(MARGIN, currentY - 6, 3, rowHeight)
+               .fillColor(theme.accentColor)
+               .fill();
+        }
+        drawRow([
+            product.best ? t('mortgages.best', { name: product.name }) : product.name,
+            `${product.rate}%`,
+            formatCurrency(product.monthlyProfit),
+            formatCurrency(product.trueCost),
+            formatPercent(product.roi),
+            product.reversionMonthlyProfit === null ? '-' : t('value.pcm', { amount: formatCurrency(product.reversionMonthlyProfit) })
+        ], product.best ? FONT_BOLD : FONT_REGULAR, 10, currentY);
+
+        // Product terms on a second line under the name
+        const fee = product.mortgageFee > 0
+            ? t(product.feeAdded ? 'mortgages.feeAdded' : 'mortgages.feePaid', { fee: formatCurrency(product.mortgageFee) })
+            : t('mortgages.noFee');
+        const terms = [
+            t('mortgages.fixedYears', { years: product.fixedYears }),
+            fee,
+            product.maxLtv !== null ? t('mortgages.maxLtv', { ltv: product.maxLtv }) : null,
+            product.reversionRate !== null ? t('mortgages.reversion', { rate: product.reversionRate }) : null
+        ].filter(term => term);
+        doc.fontSize(8)
+           .font(FONT_REGULAR)
+           .fillColor(theme.mutedColor)
+           .text(terms.join(', '), MARGIN + 5, currentY + 14, { width: contentWidth - 10 });
+
+        doc.moveTo(MARGIN, currentY + rowHeight - 6)
+           .lineTo(MARGIN + contentWidth, currentY + rowHeight - 6)
+           .strokeColor('#E0E0E0')
+           .lineWidth(0.5)
+           .stroke();
+        currentY += rowHeight;
+    });
+
+    currentY += 10;
+    doc.fontSize(9)
+       .font(FONT_REGULAR)
+       .fillColor(theme.mutedColor)
+       .text(t('mortgages.footnote'), MARGIN, currentY, { width: contentWidth });
+
+    return currentY;
 }
 
 // Create investment opportunity page
@@ -639,6 +1596,8 @@ function createInvestmentPage(doc, data, logoPath) {
     console.log('createInvestmentPage - final selectedCalculators:', selectedCalculators);
     console.log('createInvestmentPage - number of calculators:', selectedCalculators.length);
     
+    const investmentBookmark = bookmarkPage(doc, t('page.investment'));
+    
     // Loop through all selected calculators and create a section for each
     selectedCalculators.forEach((calculatorType, index) => {
         console.log(`Creating calculator section ${index + 1}/${selectedCalculators.length}: ${calculatorType}`);
@@ -649,6 +1608,7 @@ function createInvestmentPage(doc, data, logoPath) {
             console.log(`Adding new page for calculator ${index + 1}`);
             doc.addPage();
         }
+        bookmarkPage(doc, calculatorName(calculatorType), investmentBookmark);
         drawHeader(doc, logoPath);
 
         // Calculate content Y position (below header)
@@ -664,11 +1624,62 @@ function createInvestmentPage(doc, data, logoPath) {
         
         // Render the calculator section
         renderCalculatorSection(doc, calculatorType, values, contentY);
+        
+        // Page options can be set per calculator or for the whole report
+        const options = { ...data, ...calcData };
+        
+        // Optional stress-test page straight after the calculator section
+        if (buildStressTest && parseFlag(options.show_stress_test)) {
+            try {
+                const matrix = buildStressTest({ ...options, calculator_type: calculatorType });
+                doc.addPage();
+                renderStressTestPage(doc, calculatorType, matrix, logoPath);
+            } catch (err) {
+                console.warn('Error building stress test, skipping page:', err);
+            }
+        }
+        
+        // Optional offer guidance page (goal-seek on price, refurb and rent)
+        if (buildOfferGuidance && parseFlag(options.show_offer_guidance)) {
+            try {
+                const guidance = buildOfferGuidance({ ...options, calculator_type: calculatorType });
+                doc.addPage();
+                renderOfferGuidancePage(doc, calculatorType, guidance, logoPath);
+            } catch (err) {
+                console.warn('Error building offer guidance, skipping page:', err);
+            }
+        }
+        
+        // Mortgage comparison page whenever mortgage_products are supplied for a calculator with a mortgage
+        if (compareMortgageProducts) {
+            try {
+                const comparison = compareMortgageProducts({ ...options, calculator_type: calculatorType });
+                if (comparison) {
+                    doc.addPage();
+                    renderMortgageComparisonPage(doc, calculatorType, comparison, logoPath);
+                }
+            } catch (err) {
+                console.warn('Error comparing mortgage products, skipping page:', err);
+            }
+        }
+        
+        // Optional amortisation schedule page for repayment mortgages
+        if (values.amortisationSchedule && values.amortisationSchedule.length > 0 && parseFlag(options.show_amortisation_schedule)) {
+            doc.addPage();
+            renderAmortisationSchedule(doc, calculatorType, values, logoPath);
+        }
+        
+        // Optional multi-year projection page
+        if (values.projection && values.projection.rows.length > 0 && parseFlag(options.show_projection)) {
+            doc.addPage();
+            renderProjectionPage(doc, calculatorType, values, logoPath);
+        }
     });
 }
 
 // Create Key Information page
 function createKeyInformationPage(doc, data, images, logoPath) {
+    bookmarkPage(doc, t('page.keyInformation'));
     drawHeader(doc, logoPath);
     
     // Calculate content Y position (below header)
@@ -676,9 +1687,9 @@ function createKeyInformationPage(doc, data, images, logoPath) {
     let currentY = HEADER_TOP_OFFSET + estimatedLogoHeight + 12 + 9 + 20;
     
     doc.fontSize(24)
-       .font('Helvetica-Bold')
-       .fillColor('#000000')
-       .text('Key Information', MARGIN, currentY);
+       .font(FONT_HEADING)
+       .fillColor(theme.headingColor)
+       .text(t('page.keyInformation'), MARGIN, currentY);
     currentY += 30;
 
     // Property image (6.5 x 3.5 inch)
@@ -706,13 +1717,15 @@ function createKeyInformationPage(doc, data, images, logoPath) {
     // Property Metrics Table (4 columns: Asking price, Bedrooms, Size, On market)
     const metricsTableY = currentY;
     const metricColWidth = 1.8 * INCH;
+    // An asking price that is an amount prints in the report currency; text such as 'Offers over' as typed
+    const askingPrice = parseAmount(data.asking_price, reportFormat.locale);
     const metrics = [
-        ['Asking price', 'Bedrooms', 'Size', 'On the market for'],
+        [t('keyInfo.askingPrice'), t('keyInfo.bedrooms'), t('keyInfo.size'), t('keyInfo.onMarket')],
         [
-            data.asking_price || 'N/A',
-            data.bedrooms || 'N/A',
-            `${data.size_sqm || 'N/A'} sqm`,
-            `${data.days_on_market || 'N/A'} days`
+            askingPrice !== null ? formatCurrency(askingPrice) : (data.asking_price || t('value.notAvailable')),
+            data.bedrooms || t('value.notAvailable'),
+            t('keyInfo.sizeValue', { size: data.size_sqm || t('value.notAvailable') }),
+            t('keyInfo.daysValue', { days: data.days_on_market || t('value.notAvailable') })
         ]
     ];
 
@@ -722,14 +1735,14 @@ function createKeyInformationPage(doc, data, images, logoPath) {
         
         // Label row
         doc.fontSize(11)
-           .font('Helvetica')
-           .fillColor('#000000')
+           .font(FONT_REGULAR)
+           .fillColor(theme.textColor)
            .text(metrics[0][col], colX + 5, metricsTableY + 8, { width: metricColWidth - 10, align: 'center' });
         
         // Value row
         doc.fontSize(16)
-           .font('Helvetica-Bold')
-           .fillColor('#000000')
+           .font(FONT_BOLD)
+           .fillColor(theme.textColor)
            .text(metrics[1][col], colX + 5, metricsTableY + 28, { width: metricColWidth - 10, align: 'center' });
     }
     
@@ -738,15 +1751,15 @@ function createKeyInformationPage(doc, data, images, logoPath) {
     // Key Features (bulleted list)
     if (data.key_features) {
         doc.fontSize(14)
-           .font('Helvetica-Bold')
-           .fillColor('#000000')
-           .text('Key Features', MARGIN, currentY);
+           .font(FONT_HEADING)
+           .fillColor(theme.headingColor)
+           .text(t('keyInfo.keyFeatures'), MARGIN, currentY);
         currentY += 20;
 
         const features = data.key_features.split('\n').filter(f => f.trim());
         doc.fontSize(11)
-           .font('Helvetica')
-           .fillColor('#000000');
+           .font(FONT_REGULAR)
+           .fillColor(theme.textColor);
         
         features.forEach(feature => {
             doc.text(`• ${feature.trim()}`, MARGIN + 20, currentY, {
@@ -778,7 +1791,7 @@ function createEPCChart(doc, data, x, y) {
     ];
 
     // Column headers (left: Score, middle: Energy rating, right: Current/Potential)
-    doc.fontSize(13).font('Helvetica-Bold').fillColor('#000000');
+    doc.fontSize(13).font(FONT_BOLD).fillColor(theme.textColor);
     const leftColX = startX - 1.05 * INCH;
     const leftColW = 0.95 * INCH;
     // Column positions for Current and Potential (like reference image)
@@ -788,12 +1801,12 @@ function createEPCChart(doc, data, x, y) {
     const potentialColX = currentColX + colWidth + colGap;
     const currentHeaderX = currentColX;
     const potentialHeaderX = potentialColX;
-    doc.text('Score', leftColX, startY - 16, { width: leftColW, align: 'left' });
-    doc.text('Energy rating', startX, startY - 16, { width: chartWidth * 0.5, align: 'left' });
+    doc.text(t('epc.score'), leftColX, startY - 16, { width: leftColW, align: 'left' });
+    doc.text(t('epc.energyRating'), startX, startY - 16, { width: chartWidth * 0.5, align: 'left' });
     // Column headers
-    doc.fontSize(13).font('Helvetica-Bold').fillColor('#000000');
-    doc.text('Current', currentHeaderX, startY - 16, { width: colWidth, align: 'center' });
-    doc.text('Potential', potentialHeaderX, startY - 16, { width: colWidth, align: 'center' });
+    doc.fontSize(13).font(FONT_BOLD).fillColor(theme.textColor);
+    doc.text(t('epc.current'), currentHeaderX, startY - 16, { width: colWidth, align: 'center' });
+    doc.text(t('epc.potential'), potentialHeaderX, startY - 16, { width: colWidth, align: 'center' });
     // Vertical separators
     const topLineY = startY - 6;
     const bottomLineY = startY + epcBands.length * (barHeight + barSpacing) - barSpacing + 6;
@@ -820,27 +1833,27 @@ function createEPCChart(doc, data, x, y) {
             width = maxBarWidthForLetter;
         }
         // Score range on the left
-        doc.fontSize(11).font('Helvetica-Bold').fillColor('#1f2937');
+        doc.fontSize(11).font(FONT_BOLD).fillColor('#1f2937');
         doc.text(band.range, leftColX, yPos + barHeight / 2 - 6, { width: leftColW, align: 'left' });
         // Bar
         doc.rect(startX, yPos, width, barHeight)
            .fillColor(band.color)
-           .strokeColor('#000000')
+           .strokeColor(theme.textColor)
            .lineWidth(0.5)
            .fillAndStroke();
         // Grade letter just outside the bar on the right, but keep within chart area (not into columns)
         const barEndX = startX + width;
         const letterX = Math.min(barEndX + letterPadding, maxLetterX);
         const letterY = yPos + barHeight / 2 - 7;
-        doc.fontSize(14).font('Helvetica-Bold').fillColor('#111827');
+        doc.fontSize(14).font(FONT_BOLD).fillColor('#111827');
         doc.text(band.grade, letterX, letterY);
     });
 
     // Current/Potential value markers as right-pointing small arrows aligned to the band centers
-    let currentScore = parseInt(data.current_rating || data.epc_rating || '84');
-    let potentialScore = parseInt(data.potential_rating || '72');
-    if (isNaN(currentScore)) currentScore = 84;
-    if (isNaN(potentialScore)) potentialScore = 72;
+    let currentScore = parseInt(data.current_rating || data.epc_rating);
+    let potentialScore = parseInt(data.potential_rating);
+    if (isNaN(currentScore)) currentScore = DEFAULT_EPC_CURRENT;
+    if (isNaN(potentialScore)) potentialScore = DEFAULT_EPC_POTENTIAL;
 
     function bandCenterY(score) {
         for (let i = 0; i < epcBands.length; i++) {
@@ -859,7 +1872,7 @@ function createEPCChart(doc, data, x, y) {
         const tip = 0.20 * INCH;
         // Badge body
         doc.save();
-        doc.fillColor(color).strokeColor('#000000').lineWidth(0.5);
+        doc.fillColor(color).strokeColor(theme.textColor).lineWidth(0.5);
         doc.moveTo(x0, y0)
            .lineTo(x0 + badgeWidth, y0)
            .lineTo(x0 + badgeWidth + tip, y0 + badgeHeight / 2)
@@ -870,7 +1883,7 @@ function createEPCChart(doc, data, x, y) {
            .fillAndStroke();
         doc.restore();
         // Text "value | letter"
-        doc.fontSize(9).font('Helvetica-Bold').fillColor('#111827');
+        doc.fontSize(9).font(FONT_BOLD).fillColor('#111827');
         doc.text(`${value} | ${letter}`, x0 + 5, y0 + 2, { width: badgeWidth - 7, align: 'left' });
     }
 
@@ -892,13 +1905,14 @@ function createEPCChart(doc, data, x, y) {
 
     // Efficiency captions at bottom left/right
     const captionY = startY + epcBands.length * (barHeight + barSpacing) + 2;
-    doc.fontSize(9).font('Helvetica').fillColor('#666666');
-    doc.text('Very energy efficient - lower running costs', startX, captionY + 6, { width: chartWidth / 2, align: 'left' });
-    doc.text('Not energy efficient - higher running costs', startX + chartWidth / 2, captionY + 6, { width: chartWidth / 2, align: 'right' });
+    doc.fontSize(9).font(FONT_REGULAR).fillColor(theme.mutedColor);
+    doc.text(t('epc.veryEfficient'), startX, captionY + 6, { width: chartWidth / 2, align: 'left' });
+    doc.text(t('epc.notEfficient'), startX + chartWidth / 2, captionY + 6, { width: chartWidth / 2, align: 'right' });
 }
 
 // Create Other Key Information page (EPC, Broadband)
 function createOtherKeyInformationPage(doc, data, images, logoPath) {
+    bookmarkPage(doc, t('page.otherKeyInformation'));
     drawHeader(doc, logoPath);
     
     // Calculate content Y position (below header)
@@ -906,9 +1920,9 @@ function createOtherKeyInformationPage(doc, data, images, logoPath) {
     let currentY = HEADER_TOP_OFFSET + estimatedLogoHeight + 12 + 9 + 20;
     
     doc.fontSize(24)
-       .font('Helvetica-Bold')
-       .fillColor('#000000')
-       .text('Other Key Information', MARGIN, currentY);
+       .font(FONT_HEADING)
+       .fillColor(theme.headingColor)
+       .text(t('page.otherKeyInformation'), MARGIN, currentY);
     currentY += 30;
 
     // Property image (7 x 3.3 inch)
@@ -938,9 +1952,9 @@ function createOtherKeyInformationPage(doc, data, images, logoPath) {
     
     // Title centered
     doc.fontSize(14)
-       .font('Helvetica-Bold')
-       .fillColor('#000000')
-       .text('Energy Performance Certificate', MARGIN, epcStartY + 14, {
+       .font(FONT_HEADING)
+       .fillColor(theme.headingColor)
+       .text(t('epc.title'), MARGIN, epcStartY + 14, {
            width: A4_WIDTH - (2 * MARGIN),
            align: 'center'
        });
@@ -956,29 +1970,29 @@ function createOtherKeyInformationPage(doc, data, images, logoPath) {
     currentY += (2.4 * INCH) + 20;
     
     doc.fontSize(11)
-       .font('Helvetica')
-       .fillColor('#000000');
+       .font(FONT_REGULAR)
+       .fillColor(theme.textColor);
     
     if (data.inspection_date) {
-        doc.font('Helvetica-Bold')
-           .text('Latest available inspection date', MARGIN, currentY);
-        doc.font('Helvetica')
+        doc.font(FONT_BOLD)
+           .text(t('epc.inspectionDate'), MARGIN, currentY);
+        doc.font(FONT_REGULAR)
            .text(data.inspection_date, MARGIN, currentY + 15);
         currentY += 35;
     }
     
     if (data.window_glazing) {
-        doc.font('Helvetica-Bold')
-           .text('Window glazing', MARGIN, currentY);
-        doc.font('Helvetica')
+        doc.font(FONT_BOLD)
+           .text(t('epc.windowGlazing'), MARGIN, currentY);
+        doc.font(FONT_REGULAR)
            .text(data.window_glazing, MARGIN, currentY + 15);
         currentY += 35;
     }
     
     if (data.building_age) {
-        doc.font('Helvetica-Bold')
-           .text('Building construction age band', MARGIN, currentY);
-        doc.font('Helvetica')
+        doc.font(FONT_BOLD)
+           .text(t('epc.buildingAge'), MARGIN, currentY);
+        doc.font(FONT_REGULAR)
            .text(data.building_age, MARGIN, currentY + 15);
         currentY += 35;
     }
@@ -986,20 +2000,19 @@ function createOtherKeyInformationPage(doc, data, images, logoPath) {
     // EPC Disclaimer (below EPC details)
     currentY += 10;
     doc.fontSize(9)
-       .font('Helvetica')
-       .fillColor('#666666')
-       .text('This EPC data is accurate up to 6 months ago. If a more recent EPC assessment was done within this period, it will not be displayed here.', 
-             MARGIN, currentY, {
-                 width: A4_WIDTH - (2 * MARGIN),
-                 align: 'left'
-             });
+       .font(FONT_REGULAR)
+       .fillColor(theme.mutedColor)
+       .text(t('epc.disclaimer'), MARGIN, currentY, {
+           width: A4_WIDTH - (2 * MARGIN),
+           align: 'left'
+       });
     currentY += 40; // Increased spacing before broadband section
 
     // Broadband section - always show (matching Python structure)
     doc.fontSize(14)
-       .font('Helvetica-Bold')
-       .fillColor('#000000')
-       .text('Internet / Broadband Availability', MARGIN, currentY);
+       .font(FONT_HEADING)
+       .fillColor(theme.headingColor)
+       .text(t('broadband.title'), MARGIN, currentY);
     currentY += 20;
 
     // Three columns for broadband info (matching Python: 2.3, 2.3, 2.4 inches)
@@ -1009,29 +2022,30 @@ function createOtherKeyInformationPage(doc, data, images, logoPath) {
     
     // Column 1: Broadband available
     doc.fontSize(11)
-       .font('Helvetica')
-       .fillColor('#000000')
-       .text('Broadband available', MARGIN, currentY);
-    doc.font('Helvetica-Bold')
-       .text(data.broadband_available || 'N/A', MARGIN, currentY + 15);
+       .font(FONT_REGULAR)
+       .fillColor(theme.textColor)
+       .text(t('broadband.available'), MARGIN, currentY);
+    doc.font(FONT_BOLD)
+       .text(data.broadband_available || t('value.notAvailable'), MARGIN, currentY + 15);
     
     // Column 2: Download speed
     const col2X = MARGIN + broadbandCol1Width;
-    doc.font('Helvetica')
-       .text('Highest available download speed', col2X, currentY);
-    doc.font('Helvetica-Bold')
-       .text(data.download_speed || 'N/A', col2X, currentY + 15);
+    doc.font(FONT_REGULAR)
+       .text(t('broadband.download'), col2X, currentY);
+    doc.font(FONT_BOLD)
+       .text(data.download_speed || t('value.notAvailable'), col2X, currentY + 15);
     
     // Column 3: Upload speed
     const col3X = col2X + broadbandCol2Width;
-    doc.font('Helvetica')
-       .text('Highest available upload speed', col3X, currentY);
-    doc.font('Helvetica-Bold')
-       .text(data.upload_speed || 'N/A', col3X, currentY + 15);
+    doc.font(FONT_REGULAR)
+       .text(t('broadband.upload'), col3X, currentY);
+    doc.font(FONT_BOLD)
+       .text(data.upload_speed || t('value.notAvailable'), col3X, currentY + 15);
 }
 
 // Create City Map page
 function createCityMapPage(doc, data, images, logoPath) {
+    bookmarkPage(doc, t('page.cityMap'));
     drawHeader(doc, logoPath);
     
     // Calculate content Y position (below header)
@@ -1039,9 +2053,9 @@ function createCityMapPage(doc, data, images, logoPath) {
     let currentY = HEADER_TOP_OFFSET + estimatedLogoHeight + 12 + 9 + 20;
     
     doc.fontSize(24)
-       .font('Helvetica-Bold')
-       .fillColor('#000000')
-       .text('City Map', MARGIN, currentY);
+       .font(FONT_HEADING)
+       .fillColor(theme.headingColor)
+       .text(t('page.cityMap'), MARGIN, currentY);
     currentY += 30;
  
     // Directions image - full width (match city images container width)
@@ -1104,17 +2118,17 @@ function createCityMapPage(doc, data, images, logoPath) {
 
     // About the City section (always render, like original)
     doc.fontSize(14)
-       .font('Helvetica-Bold')
-       .fillColor('#000000')
-       .text('About the City', MARGIN, currentY);
+       .font(FONT_HEADING)
+       .fillColor(theme.headingColor)
+       .text(t('city.about'), MARGIN, currentY);
     currentY += 20;
 
     // City name in blue/bold (matching Python highlight_style)
     const fallbackCity = 'Liverpool';
     const cityName = (data.city && String(data.city).trim().length > 0) ? data.city : fallbackCity;
     doc.fontSize(12)
-       .font('Helvetica-Bold')
-       .fillColor(PRIMARY_BLUE)
+       .font(FONT_BOLD)
+       .fillColor(theme.primaryColor)
        .text(cityName, MARGIN, currentY);
     currentY += 20;
 
@@ -1124,8 +2138,8 @@ function createCityMapPage(doc, data, images, logoPath) {
         ? data.about_city
         : aboutFallback;
     doc.fontSize(11)
-       .font('Helvetica')
-       .fillColor('#000000')
+       .font(FONT_REGULAR)
+       .fillColor(theme.textColor)
        .text(aboutText, MARGIN, currentY, {
            width: A4_WIDTH - (2 * MARGIN),
            align: 'left'
@@ -1135,11 +2149,12 @@ function createCityMapPage(doc, data, images, logoPath) {
 
     // Population (matching Python format: "Population: {value}")
     doc.fontSize(11)
-       .font('Helvetica-Bold')
-       .fillColor('#000000')
-       .text('Population: ', MARGIN, currentY);
-    doc.font('Helvetica')
-       .text((data.population && String(data.population).trim().length > 0) ? data.population : '508,986', MARGIN + 80, currentY);
+       .font(FONT_BOLD)
+       .fillColor(theme.textColor)
+       .text(t('city.population'), MARGIN, currentY);
+    const populationX = MARGIN + Math.max(80, doc.widthOfString(t('city.population')) + 4);
+    doc.font(FONT_REGULAR)
+       .text((data.population && String(data.population).trim().length > 0) ? data.population : '508,986', populationX, currentY);
     currentY += 20;
 
     // City Images (3 horizontal, 2.3 x 2.3 inch each) - always show 3 (placeholders if missing)
@@ -1185,6 +2200,80 @@ function createCityMapPage(doc, data, images, logoPath) {
     }
 }
 
+// Floor Plans: one page per plan
+function createFloorPlanPages(doc, images, logoPath) {
+    const floorPlans = images.floor_plans || [];
+    const estimatedLogoHeight = (1.4 * INCH) * 0.4;
+    bookmarkPage(doc, t('page.floorPlans'));
+    floorPlans.forEach((floorPlanPath, index) => {
+        if (index > 0) doc.addPage();
+        drawHeader(doc, logoPath);
+        let currentY = HEADER_TOP_OFFSET + estimatedLogoHeight + 12 + 9 + 20;
+        
+        doc.fontSize(24)
+           .font(FONT_HEADING)
+           .fillColor(theme.headingColor)
+           .text(t('page.floorPlans'), MARGIN, currentY);
+        currentY += 30;
+        
+        addImageToPDF(doc, floorPlanPath, MARGIN, currentY, 6.5 * INCH, 4.5 * INCH, 'contain');
+    });
+}
+
+// Property gallery: images stacked down the page, continuing on new pages as needed
+function createPropertyImagesPages(doc, images, logoPath) {
+    const estimatedLogoHeight = (1.4 * INCH) * 0.4;
+    bookmarkPage(doc, t('page.propertyImages'));
+    drawHeader(doc, logoPath);
+    let currentY = HEADER_TOP_OFFSET + estimatedLogoHeight + 12 + 9 + 20;
+    
+    doc.fontSize(24)
+       .font(FONT_HEADING)
+       .fillColor(theme.headingColor)
+       .text(t('page.propertyImages'), MARGIN, currentY);
+    // Use actual title height plus extra padding to avoid overlap
+    const titleHeight = doc.heightOfString(t('page.propertyImages'), { width: A4_WIDTH - (2 * MARGIN) });
+    currentY += titleHeight + 28;
+
+    // Use smaller fixed box to ensure clear space between images
+    const galleryWidth = 5.4 * INCH;
+    const galleryHeight = 2.8 * INCH;
+    const gallerySpacing = 60; // 60pt (~0.83in) vertical gap
+    const contentWidth = A4_WIDTH - (2 * MARGIN);
+    const galleryX = MARGIN + (contentWidth - galleryWidth) / 2; // center horizontally
+
+    for (const imgPath of galleryImages(images)) {
+        if (currentY + galleryHeight + gallerySpacing > A4_HEIGHT - MARGIN) {
+            doc.addPage();
+            drawHeader(doc, logoPath);
+            currentY = HEADER_TOP_OFFSET + estimatedLogoHeight + 12 + 9 + 20;
+            // Re-draw the title on the new page and add same padding
+            doc.fontSize(24)
+               .font(FONT_HEADING)
+               .fillColor(theme.headingColor)
+               .text(t('page.propertyImages'), MARGIN, currentY);
+            const contTitleHeight = doc.heightOfString(t('page.propertyImages'), { width: A4_WIDTH - (2 * MARGIN) });
+            currentY += contTitleHeight + 28;
+        }
+        
+        // Use 'cover' so every image fills the exact same width/height and is centered
+        addImageToPDF(doc, imgPath, galleryX, currentY, galleryWidth, galleryHeight, 'cover');
+        // Larger spacing between stacked images
+        currentY += galleryHeight + gallerySpacing;
+    }
+}
+
+// How each report section (see report-sections.js) is drawn
+const SECTION_PAGES = {
+    cover: (doc, data, images, logoPath) => createCoverPage(doc, data, images, logoPath),
+    investment: (doc, data, images, logoPath) => createInvestmentPage(doc, data, logoPath),
+    key_information: (doc, data, images, logoPath) => createKeyInformationPage(doc, data, images, logoPath),
+    other_key_information: (doc, data, images, logoPath) => createOtherKeyInformationPage(doc, data, images, logoPath),
+    floor_plans: (doc, data, images, logoPath) => createFloorPlanPages(doc, images, logoPath),
+    property_images: (doc, data, images, logoPath) => createPropertyImagesPages(doc, images, logoPath),
+    city_map: (doc, data, images, logoPath) => createCityMapPage(doc, data, images, logoPath)
+};
+
 // Main PDF generation function
 function generatePDF(data, images, outputPath, logoPath) {
     return new Promise((resolve, reject) => {
@@ -1206,11 +2295,28 @@ function generatePDF(data, images, outputPath, logoPath) {
                 return;
             }
 
+            reportFormat = parseReportFormat(data);
+            const language = resolveReportLanguage(data);
+            t = language.t;
+            theme = resolveTheme(data.theme);
+            contentsEntries = [];
+
             // Normalize the path for cross-platform compatibility
             const normalizedOutputPath = path.normalize(outputPath);
 
+            // PDF/A-2 is built on PDF 1.7
+            const archival = parseFlag(data.pdfa);
             const doc = new PDFDocument({
                 size: 'A4',
+                pdfVersion: archival ? '1.7' : undefined,
+                // Title, author and so on, so viewers and document systems show the property rather than "Untitled"
+                info: documentInfo(data, {
+                    subject: t('document.subject'),
+                    keywords: [data.city, data.postal_code, ...getSelectedCalculators(data).map(calculatorName)]
+                }),
+                displayTitle: true,
+                // Kept in memory so the footer can be drawn on every page at the end
+                bufferPages: true,
                 margins: {
                     top: MARGIN,
                     bottom: MARGIN,
@@ -1219,106 +2325,42 @@ function generatePDF(data, images, outputPath, logoPath) {
                 }
             });
 
+            // The theme's fonts unless the language brings its own; Arabic also mirrors every page
+            registerReportFonts(doc, language, data.fonts, archival);
+            if (language.direction === 'rtl') {
+                mirrorLayout(doc);
+            }
+
             const stream = fs.createWriteStream(normalizedOutputPath);
             doc.pipe(stream);
 
-            // Cover page
-            createCoverPage(doc, data, images, logoPath);
-            doc.addPage();
-
-            // Investment Opportunity page
-            createInvestmentPage(doc, data, logoPath);
-            doc.addPage();
-
-            // Key Information page
-            createKeyInformationPage(doc, data, images, logoPath);
-            doc.addPage();
-
-            // Other Key Information page (EPC, Broadband)
-            createOtherKeyInformationPage(doc, data, images, logoPath);
-            doc.addPage();
-
-            // Floor Plans
-            const floorPlans = images.floor_plans || [];
-            const estimatedLogoHeight = (1.4 * INCH) * 0.4;
-            if (floorPlans.length > 0) {
-                for (const floorPlanPath of floorPlans) {
-                    drawHeader(doc, logoPath);
-                    let currentY = HEADER_TOP_OFFSET + estimatedLogoHeight + 12 + 9 + 20;
-                    
-                    doc.fontSize(24)
-                       .font('Helvetica-Bold')
-                       .fillColor('#000000')
-                       .text('Floor Plans', MARGIN, currentY);
-                    currentY += 30;
-                    
-                    addImageToPDF(doc, floorPlanPath, MARGIN, currentY, 6.5 * INCH, 4.5 * INCH, 'contain');
-                    
-                    if (floorPlanPath !== floorPlans[floorPlans.length - 1]) {
-                        doc.addPage();
-                    }
-                }
-            } else {
-                // Show placeholder if no floor plans
-                drawHeader(doc, logoPath);
-                let currentY = HEADER_TOP_OFFSET + estimatedLogoHeight + 12 + 9 + 20;
-                
-                doc.fontSize(24)
-                   .font('Helvetica-Bold')
-                   .fillColor('#000000')
-                   .text('Floor Plans', MARGIN, currentY);
-                currentY += 30;
-                
-                addImageToPDF(doc, null, MARGIN, currentY, 6.5 * INCH, 4.5 * INCH, 'contain');
+            // Each section starts on a new page; the first draws on the page the document opens with.
+            // The contents page follows the cover (or opens a report without one) and is left blank
+            // until every page number is known.
+            let sections = reportSections(data, images);
+            if (parseFlag(data.show_contents)) {
+                const at = sections[0] === 'cover' ? 1 : 0;
+                sections = [...sections.slice(0, at), 'contents', ...sections.slice(at)];
             }
-            doc.addPage();
-
-            // Property gallery
-            const galleryImages = images.property || images.cover || [];
-            if (galleryImages.length > 0) {
-                drawHeader(doc, logoPath);
-                let currentY = HEADER_TOP_OFFSET + estimatedLogoHeight + 12 + 9 + 20;
-                
-                doc.fontSize(24)
-                   .font('Helvetica-Bold')
-                   .fillColor('#000000')
-                   .text('Property Images', MARGIN, currentY);
-                // Use actual title height plus extra padding to avoid overlap
-                const titleHeight = doc.heightOfString('Property Images', { width: A4_WIDTH - (2 * MARGIN) });
-                currentY += titleHeight + 28;
-
-                // Use smaller fixed box to ensure clear space between images
-                const galleryWidth = 5.4 * INCH;
-                const galleryHeight = 2.8 * INCH;
-                const gallerySpacing = 60; // 60pt (~0.83in) vertical gap
-                const contentWidth = A4_WIDTH - (2 * MARGIN);
-                const galleryX = MARGIN + (contentWidth - galleryWidth) / 2; // center horizontally
-
-                for (const imgPath of galleryImages) {
-                    if (currentY + galleryHeight + gallerySpacing > A4_HEIGHT - MARGIN) {
-                        doc.addPage();
-                        drawHeader(doc, logoPath);
-                        currentY = HEADER_TOP_OFFSET + estimatedLogoHeight + 12 + 9 + 20;
-                        // Re-draw the title on the new page and add same padding
-                        doc.fontSize(24)
-                           .font('Helvetica-Bold')
-                           .fillColor('#000000')
-                           .text('Property Images', MARGIN, currentY);
-                        const contTitleHeight = doc.heightOfString('Property Images', { width: A4_WIDTH - (2 * MARGIN) });
-                        currentY += contTitleHeight + 28;
-                    }
-                    
-                    // Use 'cover' so every image fills the exact same width/height and is centered
-                    addImageToPDF(doc, imgPath, galleryX, currentY, galleryWidth, galleryHeight, 'cover');
-                    // Larger spacing between stacked images
-                    currentY += galleryHeight + gallerySpacing;
+            let coverPage = null;
+            let contentsPage = null;
+            sections.forEach((section, index) => {
+                if (index > 0) doc.addPage();
+                if (section === 'cover') coverPage = currentPageIndex(doc);
+                if (section === 'contents') {
+                    contentsPage = currentPageIndex(doc);
+                } else {
+                    SECTION_PAGES[section](doc, data, images, logoPath);
                 }
+            });
+            if (contentsPage !== null) {
+                drawContentsPage(doc, contentsPage, logoPath);
             }
-            doc.addPage();
-
-            // City Map page
-            createCityMapPage(doc, data, images, logoPath);
 
+            drawFooters(doc, coverPage);
+            if (archival) {
+                writeArchivalMetadata(doc);
+            }
             doc.end();
 
             stream.on('finish', () => {
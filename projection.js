@@ -0,0 +1,109 @@
+// Multi-year cash-flow and equity projection built on a calculator's year-one results
+
+const { simulateLoanYear, DEFAULT_TERM_YEARS } = require('./mortgage');
+
+const DEFAULT_PROJECTION_YEARS = 25;
+const MAX_PROJECTION_YEARS = 40;
+
+// Refinance events arrive as an array or a JSON string: [{ year, ltv, rate, term }]
+function parseRefinanceEvents(value) {
+    let events = value;
+    if (typeof events === 'string') {
+        try {
+            events = JSON.parse(events);
+        } catch (e) {
+            return [];
+        }
+    }
+    if (!Array.isArray(events)) return [];
+    return events
+        .map(event => ({
+            year: parseInt(event && event.year, 10),
+            ltv: parseFloat(event && event.ltv),
+            rate: parseFloat(event && event.rate),
+            term: parseFloat(event && event.term)
+        }))
+        // A refinance happens at the start of a year, so year 1 has nothing to refinance yet
+        .filter(event => event.year >= 2 && event.ltv > 0)
+        .sort((a, b) => a.year - b.year);
+}
+
+// Growth and refinance assumptions for a projection
+function parseProjectionOptions(data) {
+    const years = parseInt(data.projection_years, 10) || DEFAULT_PROJECTION_YEARS;
+    return {
+        years: Math.min(Math.max(years, 1), MAX_PROJECTION_YEARS),
+        rentGrowth: parseFloat(data.rent_growth) || 0,
+        capitalGrowth: parseFloat(data.capital_growth) || 0,
+        costInflation: parseFloat(data.cost_inflation) || 0,
+        refinanceEvents: parseRefinanceEvents(data.refinance_events)
+    };
+}
+
+// Year-by-year rent, expenses, cash flow, loan balance, property value and equity.
+// Rent and running costs grow from year one's figures; property value grows from the
+// purchase (or after-refurb) value, and the loan follows its own amortisation.
+function buildProjection(results, data) {
+    const options = parseProjectionOptions(data);
+    const annualMortgagePayment = results.annualMortgagePayment || 0;
+    const baseIncome = results.annualRent || results.annualIncome || 0;
+    const baseRunningCosts = (results.totalAnnualExpenses || 0) - annualMortgagePayment;
+    const baseValue = results.afterRefurbValue || results.purchasePrice || 0;
+
+    let loanBalance = results.refinanceLoan || results.mortgageAmount || 0;
+    let mortgageRate = results.mortgageRate || 0;
+    let remainingMonths = (results.mortgageTerm || DEFAULT_TERM_YEARS) * 12;
+    const mortgageType = results.mortgageType || 'interest-only';
+
+    const rows = [];
+    let propertyValue = baseValue;
+    let cumulativeCashFlow = 0;
+
+    for (let year = 1; year <= options.years; year++) {
+        let refinanceCash = 0;
+        const event = options.refinanceEvents.find(e => e.year === year);
+        if (event && propertyValue > 0) {
+            // New loan is sized on the value at the end of the previous year
+            const newLoan = propertyValue * (event.ltv / 100);
+            refinanceCash = newLoan - loanBalance;
+            loanBalance = newLoan;
+            if (event.rate > 0) mortgageRate = event.rate;
+            remainingMonths = (event.term > 0 ? event.term : (results.mortgageTerm || DEFAULT_TERM_YEARS)) * 12;
+        }
+
+        const income = baseIncome * Math.pow(1 + options.rentGrowth / 100, year - 1);
+        const runningCosts = baseRunningCosts * Math.pow(1 + options.costInflation / 100, year - 1);
+        const loanYear = simulateLoanYear(loanBalance, mortgageRate, mortgageType, remainingMonths);
+        loanBalance = loanYear.closingBalance;
+        remainingMonths = Math.max(0, remainingMonths - 12);
+        propertyValue = baseValue * Math.pow(1 + options.capitalGrowth / 100, year);
+
+        const expenses = runningCosts + loanYear.payment;
+        const cashFlow = income - expenses;
+        cumulativeCashFlow += cashFlow + refinanceCash;
+
+        rows.push({
+            year,
+            rent: income,
+            runningCosts,
+            mortgagePayment: loanYear.payment,
+            mortgageInterest: loanYear.interest,
+            expenses,
+            cashFlow,
+            refinanceCash,
+            cumulativeCashFlow,
+            loanBalance,
+            propertyValue,
+            equity: propertyValue - loanBalance
+        });
+    }
+
+    return { ...options, rows };
+}
+
+module.exports = {
+    buildProjection,
+    parseProjectionOptions,
+    parseRefinanceEvents,
+    DEFAULT_PROJECTION_YEARS
+};
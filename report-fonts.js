@@ -0,0 +1,195 @@
+// Report fonts: the families a theme can draw in, and a Unicode fallback for missing glyphs.
+//
+// A family is a regular, bold and italic face. Three come from the PDF standard fonts (Helvetica,
+// Times, Courier), which only cover WinAnsi (Western European) characters. Others are TrueType or
+// OpenType files:
+//   bundled    <Family>-Regular / -Bold / -Italic .ttf or .otf in FONTS_DIR, e.g. Inter-Regular.ttf
+//   uploaded   per request in fonts: { "Brand Sans": { regular, bold, italic } }, each face a
+//              base64 string or data URL
+// A missing bold or italic face is drawn with the regular one.
+//
+// withGlyphFallback draws any string the current font cannot fully draw in the fallback family
+// (NotoSans, shipped in ./fonts under the SIL Open Font License), so a stray 'ł' or '₹' in an address
+// never comes out as a blank box. A NotoSans in FONTS_DIR replaces the shipped one.
+
+const fs = require('fs');
+const path = require('path');
+const { FONTS_DIR, SHIPPED_FONTS_DIR } = require('./i18n');
+
+const STANDARD_FAMILIES = {
+    Helvetica: { regular: 'Helvetica', bold: 'Helvetica-Bold', italic: 'Helvetica-Oblique' },
+    Times: { regular: 'Times-Roman', bold: 'Times-Bold', italic: 'Times-Italic' },
+    Courier: { regular: 'Courier', bold: 'Courier-Bold', italic: 'Courier-Oblique' }
+};
+
+const DEFAULT_FAMILY = 'Helvetica';
+
+// Bundled family used for glyphs the report's own fonts lack
+const FALLBACK_FAMILY = 'NotoSans';
+
+const FONT_FILE = /^(.+)-(Regular|Bold|Italic)\.(ttf|otf)$/i;
+
+// First bytes of a TrueType or OpenType file (collections and web fonts are not accepted)
+const FONT_SIGNATURES = ['00010000', '74727565', '4f54544f'];
+
+function isBlank(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+// Regular, bold and italic with the regular face standing in for any that are missing
+function completeFamily(faces) {
+    return { regular: faces.regular, bold: faces.bold || faces.regular, italic: faces.italic || faces.regular };
+}
+
+// Families found in FONTS_DIR, keyed by the part of the file name before the style
+function bundledFamilies(dir = FONTS_DIR) {
+    let files;
+    try {
+        files = fs.readdirSync(dir);
+    } catch (e) {
+        return {};
+    }
+    const faces = {};
+    files.forEach(file => {
+        const match = file.match(FONT_FILE);
+        if (!match) return;
+        const [, family, style] = match;
+        faces[family] = { ...faces[family], [style.toLowerCase()]: path.join(dir, file) };
+    });
+    return Object.fromEntries(Object.entries(faces)
+        .filter(([, family]) => family.regular)
+        .map(([name, family]) => [name, completeFamily(family)]));
+}
+
+// A base64 font file (optionally a data URL) as a Buffer, or null when it is not a TTF/OTF file
+function decodeFont(value) {
+    if (Buffer.isBuffer(value)) return FONT_SIGNATURES.includes(value.toString('hex', 0, 4)) ? value : null;
+    if (typeof value !== 'string') return null;
+    const buffer = Buffer.from(value.replace(/^data:[^,]*;base64,/, ''), 'base64');
+    return FONT_SIGNATURES.includes(buffer.toString('hex', 0, 4)) ? buffer : null;
+}
+
+// fonts may arrive as an object or a JSON string: { families, errors: [{ field, message }] }
+function uploadedFamilies(value) {
+    if (isBlank(value)) return { families: {}, errors: [] };
+    let uploads = value;
+    if (typeof uploads === 'string') {
+        try {
+            uploads = JSON.parse(uploads);
+        } catch (e) {
+            uploads = null;
+        }
+    }
+    if (!uploads || typeof uploads !== 'object' || Array.isArray(uploads)) {
+        return { families: {}, errors: [{ field: 'fonts', message: 'fonts must be an object of font families' }] };
+    }
+
+    const families = {};
+    const errors = [];
+    Object.entries(uploads).forEach(([name, faces]) => {
+        const family = {};
+        ['regular', 'bold', 'italic'].forEach(style => {
+            if (!faces || isBlank(faces[style])) return;
+            const buffer = decodeFont(faces[style]);
+            if (buffer) {
+                family[style] = buffer;
+            } else {
+                errors.push({ field: `fonts.${name}.${style}`, message: `fonts.${name}.${style} is not a TrueType or OpenType font file` });
+            }
+        });
+        if (family.regular) {
+            families[name] = completeFamily(family);
+        } else if (!faces || isBlank(faces.regular)) {
+            errors.push({ field: `fonts.${name}.regular`, message: `fonts.${name} needs a regular face` });
+        }
+    });
+    return { families, errors };
+}
+
+// Every family a report can use: standard, shipped, bundled, then this request's uploads
+function resolveFontFamilies(uploads) {
+    const uploaded = uploadedFamilies(uploads);
+    return {
+        // The shipped fonts are found even when FONTS_DIR points elsewhere
+        families: { ...STANDARD_FAMILIES, ...bundledFamilies(SHIPPED_FONTS_DIR), ...bundledFamilies(), ...uploaded.families },
+        errors: uploaded.errors
+    };
+}
+
+// A family by name, ignoring case; 'Times New Roman' and 'Times-Roman' find Times
+function findFamily(families, name) {
+    if (isBlank(name)) return null;
+    const wanted = String(name).trim().toLowerCase();
+    const names = Object.keys(families);
+    const found = names.find(family => family.toLowerCase() === wanted)
+        || names.find(family => STANDARD_FAMILIES[family] && family.toLowerCase() === wanted.split(/[\s-]/)[0]);
+    return found ? families[found] : null;
+}
+
+// PDF/A embeds every font it draws with, and the standard families have no font files to embed, so
+// an archival report draws them in the fallback family; null when that is not installed
+function embeddableFamily(families, family) {
+    return Object.values(STANDARD_FAMILIES).includes(family) ? families[FALLBACK_FAMILY] || null : family;
+}
+
+// Whether a pdfkit font has a glyph for every visible character of text
+function fontCovers(pdfFont, text) {
+    const font = pdfFont && pdfFont.font;
+    if (!font) return true;
+    for (const character of text) {
+        if (/\s/.test(character)) continue;
+        const codePoint = character.codePointAt(0);
+        // Embedded fonts are fontkit fonts; the standard ones are WinAnsi-encoded AFM fonts
+        const covered = typeof font.hasGlyphForCodePoint === 'function'
+            ? font.hasGlyphForCodePoint(codePoint)
+            : codePoint <= 0xffff && font.characterToGlyph(codePoint) !== '.notdef';
+        if (!covered) return false;
+    }
+    return true;
+}
+
+// Draw and measure every string the current font cannot fully draw in its fallback font instead.
+// fallbacks maps each registered font name to the registered fallback face of the same weight.
+function withGlyphFallback(doc, fallbacks) {
+    const { font, text, widthOfString, heightOfString } = doc;
+    let current = null;
+
+    doc.font = function (src, ...rest) {
+        current = typeof src === 'string' ? src : null;
+        return font.call(this, src, ...rest);
+    };
+
+    function inFallback(value, draw) {
+        const fallback = fallbacks[current];
+        if (!fallback || value === undefined || value === null || fontCovers(doc._font, String(value))) return draw();
+        const active = current;
+        font.call(doc, fallback);
+        try {
+            return draw();
+        } finally {
+            font.call(doc, active);
+        }
+    }
+
+    doc.text = function (value, ...rest) {
+        return inFallback(value, () => text.call(this, value, ...rest));
+    };
+    doc.widthOfString = function (value, ...rest) {
+        return inFallback(value, () => widthOfString.call(this, value, ...rest));
+    };
+    doc.heightOfString = function (value, ...rest) {
+        return inFallback(value, () => heightOfString.call(this, value, ...rest));
+    };
+    return doc;
+}
+
+module.exports = {
+    resolveFontFamilies,
+    findFamily,
+    embeddableFamily,
+    fontCovers,
+    withGlyphFallback,
+    STANDARD_FAMILIES,
+    DEFAULT_FAMILY,
+    FALLBACK_FAMILY
+};
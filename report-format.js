@@ -0,0 +1,133 @@
+// Report format: the currency, locale and date style a report is read and printed in.
+//
+//   currency            ISO 4217 code, default GBP
+//   locale              BCP 47 tag, default en-GB - digit grouping, decimal point and month names
+//   date_format         'ordinal' (19th October 2026, the default), 'long', 'short', 'iso'
+//                       or a pattern such as 'DD/MM/YYYY' or 'D MMMM YYYY'
+//   secondary_currency  ISO code of a second currency shown next to the headline figures
+//   exchange_rate       units of secondary_currency per unit of currency
+//
+// An unknown currency or locale falls back to the default rather than failing the report.
+
+const { parseAmount, formatMoney, DEFAULT_CURRENCY, DEFAULT_LOCALE } = require('./money');
+
+const DEFAULT_DATE_FORMAT = 'ordinal';
+
+function isBlank(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+// An ISO currency code Intl can print, or null
+function parseCurrencyCode(value) {
+    if (isBlank(value)) return null;
+    const code = String(value).trim().toUpperCase();
+    if (!/^[A-Z]{3}$/.test(code)) return null;
+    try {
+        new Intl.NumberFormat(DEFAULT_LOCALE, { style: 'currency', currency: code });
+        return code;
+    } catch (e) {
+        return null;
+    }
+}
+
+function parseLocale(value) {
+    if (isBlank(value)) return DEFAULT_LOCALE;
+    try {
+        const [supported] = Intl.NumberFormat.supportedLocalesOf(String(value).trim().replace('_', '-'));
+        return supported || DEFAULT_LOCALE;
+    } catch (e) {
+        return DEFAULT_LOCALE;
+    }
+}
+
+// Format options from a report payload
+function parseReportFormat(data) {
+    const currency = parseCurrencyCode(data.currency) || DEFAULT_CURRENCY;
+    const locale = parseLocale(data.locale);
+    const dateFormat = isBlank(data.date_format) ? DEFAULT_DATE_FORMAT : String(data.date_format).trim();
+
+    // The second currency is only shown when there is a rate to convert with
+    const secondaryCurrency = parseCurrencyCode(data.secondary_currency);
+    const exchangeRate = parseAmount(data.exchange_rate, locale);
+    const secondary = secondaryCurrency && secondaryCurrency !== currency && exchangeRate > 0
+        ? { currency: secondaryCurrency, locale, exchangeRate }
+        : null;
+
+    return { currency, locale, dateFormat, secondary };
+}
+
+// An amount in the report currency converted and printed in the secondary currency, or null
+function formatSecondaryMoney(value, format) {
+    if (!format.secondary) return null;
+    return formatMoney((value || 0) * format.secondary.exchangeRate, format.secondary);
+}
+
+// 'USD at 1 EUR = 1.0850 USD'
+function describeExchangeRate(format) {
+    if (!format.secondary) return null;
+    return `${format.secondary.currency} at 1 ${format.currency} = ${format.secondary.exchangeRate.toFixed(4)} ${format.secondary.currency}`;
+}
+
+function ordinalSuffix(day) {
+    if (day % 10 === 1 && day % 100 !== 11) return 'st';
+    if (day % 10 === 2 && day % 100 !== 12) return 'nd';
+    if (day % 10 === 3 && day % 100 !== 13) return 'rd';
+    return 'th';
+}
+
+function monthName(date, locale, style) {
+    return new Intl.DateTimeFormat(locale, { month: style }).format(date);
+}
+
+function pad(value, length = 2) {
+    return String(value).padStart(length, '0');
+}
+
+// Pattern tokens, longest first so MMMM is not read as MM twice
+const DATE_TOKENS = {
+    YYYY: (date) => String(date.getFullYear()),
+    YY: (date) => pad(date.getFullYear() % 100),
+    MMMM: (date, locale) => monthName(date, locale, 'long'),
+    MMM: (date, locale) => monthName(date, locale, 'short'),
+    MM: (date) => pad(date.getMonth() + 1),
+    M: (date) => String(date.getMonth() + 1),
+    Do: (date) => `${date.getDate()}${ordinalSuffix(date.getDate())}`,
+    DD: (date) => pad(date.getDate()),
+    D: (date) => String(date.getDate())
+};
+const DATE_TOKEN_PATTERN = new RegExp(Object.keys(DATE_TOKENS).join('|'), 'g');
+
+// A date in the report's date_format. Ordinals are English, so other languages get the long style.
+function formatReportDate(date, format) {
+    const locale = format.locale || DEFAULT_LOCALE;
+    const dateFormat = format.dateFormat || DEFAULT_DATE_FORMAT;
+    const english = locale.toLowerCase().startsWith('en');
+
+    if (dateFormat === 'ordinal' && english) {
+        return `${date.getDate()}${ordinalSuffix(date.getDate())} ${monthName(date, 'en-GB', 'long')} ${date.getFullYear()}`;
+    }
+    if (dateFormat === 'ordinal' || dateFormat === 'long') {
+        return new Intl.DateTimeFormat(locale, { dateStyle: 'long' }).format(date);
+    }
+    if (dateFormat === 'short') {
+        return new Intl.DateTimeFormat(locale, { dateStyle: 'short' }).format(date);
+    }
+    if (dateFormat === 'iso') {
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+    return dateFormat.replace(DATE_TOKEN_PATTERN, token => DATE_TOKENS[token](date, locale));
+}
+
+// A count ('1,250' / '1.250') grouped the report locale's way
+function formatReportNumber(value, format) {
+    return new Intl.NumberFormat(format.locale || DEFAULT_LOCALE, { maximumFractionDigits: 0 }).format(Math.round(value || 0));
+}
+
+module.exports = {
+    parseReportFormat,
+    formatSecondaryMoney,
+    describeExchangeRate,
+    formatReportDate,
+    formatReportNumber,
+    DEFAULT_DATE_FORMAT
+};
@@ -0,0 +1,223 @@
+// Report metadata: the PDF's document info, so viewers and document management systems show and
+// index a report by its property instead of as "Untitled", and PDF/A archival output.
+//
+//   author       Author of the PDF (default none)
+//   subject      Subject (default 'Property investment report' in the report language)
+//   keywords     list or comma-separated string (default the city, postcode and calculators)
+//   creator      the application that made the report (default PDF-Generator-Backend)
+//   report_date  ISO date (2026-10-19 or 2026-10-19T09:30:00Z) the report was created, printed on the
+//                cover and stored as the CreationDate (default now)
+//   pdfa         true for a PDF/A-2b file: every font embedded, an sRGB output intent and XMP
+//                metadata matching the document info
+//
+// The Title is the address and postcode. PDF/A cannot use the standard PDF fonts (they have no font
+// files to embed), so an archival report draws Helvetica, Times and Courier in the fallback family
+// (the shipped NotoSans); without it the theme must name bundled or uploaded fonts.
+
+const { resolveLanguage, installedFonts } = require('./i18n');
+const { parseFlag } = require('./calculator-logic');
+const { resolveTheme } = require('./report-theme');
+const { findFamily, embeddableFamily, STANDARD_FAMILIES, DEFAULT_FAMILY, FALLBACK_FAMILY } = require('./report-fonts');
+
+const DEFAULT_CREATOR = 'PDF-Generator-Backend';
+
+// PDF/A-2, conformance level B (the look of the pages is preserved)
+const PDFA_PART = 2;
+const PDFA_CONFORMANCE = 'B';
+const OUTPUT_CONDITION = 'sRGB IEC61966-2.1';
+
+function isBlank(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+// A date or date and time in ISO 8601, or null
+function parseReportDate(value) {
+    if (isBlank(value)) return null;
+    const text = String(value).trim();
+    if (!/^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.test(text)) return null;
+    // A bare date is midnight where the report is made (Date reads it as UTC, a day early west of Greenwich)
+    const [year, month, day] = text.slice(0, 10).split('-').map(Number);
+    const date = text.length === 10 ? new Date(year, month - 1, day) : new Date(text);
+    if (Number.isNaN(date.getTime()) || month < 1 || month > 12 || day < 1 || day > new Date(year, month, 0).getDate()) return null;
+    return date;
+}
+
+function parseKeywords(value) {
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map(keyword => String(keyword).trim()).filter(keyword => keyword);
+}
+
+// The PDF info dictionary for a report. defaults holds the translated subject and the default
+// keywords, which the generator builds from the report's language and calculators.
+function documentInfo(data, defaults = {}) {
+    const info = {
+        Title: [data.address, data.postal_code].filter(part => !isBlank(part)).map(part => String(part).trim()).join(', '),
+        Subject: isBlank(data.subject) ? defaults.subject : String(data.subject).trim(),
+        Keywords: parseKeywords(isBlank(data.keywords) ? defaults.keywords || [] : data.keywords).join(', '),
+        Creator: isBlank(data.creator) ? DEFAULT_CREATOR : String(data.creator).trim(),
+        CreationDate: parseReportDate(data.report_date) || new Date()
+    };
+    if (!isBlank(data.author)) info.Author = String(data.author).trim();
+    return Object.fromEntries(Object.entries(info).filter(([, value]) => !isBlank(value)));
+}
+
+// Validation errors for the metadata fields: [{ field, message }]. families are the font families
+// the report can use (see resolveFontFamilies).
+function metadataErrors(data, families) {
+    const errors = [];
+    if (!isBlank(data.report_date) && !parseReportDate(data.report_date)) {
+        errors.push({ field: 'report_date', message: `report_date "${data.report_date}" is not an ISO date such as 2026-10-19` });
+    }
+    // Chinese and Arabic reports draw in their language's font files instead of the theme's
+    if (parseFlag(data.pdfa) && !installedFonts(resolveLanguage(data.language))) {
+        const theme = resolveTheme(data.theme);
+        const unembeddable = [theme.headingFont, theme.bodyFont]
+            .map(name => findFamily(families, name) || STANDARD_FAMILIES[DEFAULT_FAMILY])
+            .some(family => !embeddableFamily(families, family));
+        if (unembeddable) {
+            errors.push({ field: 'pdfa', message: `PDF/A reports embed their fonts: install ${FALLBACK_FAMILY}-Regular.ttf in the fonts directory or use a bundled or uploaded heading_font and body_font` });
+        }
+    }
+    return errors;
+}
+
+function escapeXml(value) {
+    return String(value).replace(/[<>&"']/g, character => `&#${character.charCodeAt(0)};`);
+}
+
+// ISO 8601 without milliseconds, the form XMP dates take
+function xmpDate(date) {
+    return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+// XMP metadata packet: the PDF/A identification and the same values as the info dictionary
+function xmpPacket(info) {
+    const property = (name, value) => (isBlank(value) ? '' : `   <${name}>${value}</${name}>\n`);
+    const alt = value => `<rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(value)}</rdf:li></rdf:Alt>`;
+    return '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>\n'
+        + '<x:xmpmeta xmlns:x="adobe:ns:meta/">\n'
+        + ' <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">\n'
+        + '  <rdf:Description rdf:about=""\n'
+        + '    xmlns:pdfaid="http://www.aiim.org/pdfa/ns/id/"\n'
+        + '    xmlns:dc="http://purl.org/dc/elements/1.1/"\n'
+        + '    xmlns:pdf="http://ns.adobe.com/pdf/1.3/"\n'
+        + '    xmlns:xmp="http://ns.adobe.com/xap/1.0/">\n'
+        + property('pdfaid:part', PDFA_PART)
+        + property('pdfaid:conformance', PDFA_CONFORMANCE)
+        + property('dc:format', 'application/pdf')
+        + property('dc:title', info.Title && alt(info.Title))
+        + property('dc:creator', info.Author && `<rdf:Seq><rdf:li>${escapeXml(info.Author)}</rdf:li></rdf:Seq>`)
+        + property('dc:description', info.Subject && alt(info.Subject))
+        + property('pdf:Keywords', info.Keywords && escapeXml(info.Keywords))
+        + property('pdf:Producer', escapeXml(info.Producer))
+        + property('xmp:CreatorTool', info.Creator && escapeXml(info.Creator))
+        + property('xmp:CreateDate', xmpDate(info.CreationDate))
+        + '  </rdf:Description>\n'
+        + ' </rdf:RDF>\n'
+        + '</x:xmpmeta>\n'
+        + '<?xpacket end="w"?>';
+}
+
+// A minimal ICC v2 display profile for sRGB (D50-adapted primaries and the sRGB tone curve), the
+// colour space every colour in the report is drawn in
+function srgbProfile() {
+    const s15Fixed16 = value => {
+        const buffer = Buffer.alloc(4);
+        buffer.writeInt32BE(Math.round(value * 65536));
+        return buffer;
+    };
+    const xyz = (x, y, z) => Buffer.concat([Buffer.from('XYZ \0\0\0\0', 'latin1'), s15Fixed16(x), s15Fixed16(y), s15Fixed16(z)]);
+    const ascii = text => Buffer.from(`${text}\0`, 'latin1');
+
+    const description = ascii('sRGB IEC61966-2.1');
+    const descriptionCount = Buffer.alloc(4);
+    descriptionCount.writeUInt32BE(description.length);
+    const desc = Buffer.concat([Buffer.from('desc\0\0\0\0', 'latin1'), descriptionCount, description, Buffer.alloc(8 + 3 + 67)]);
+
+    const points = 1024;
+    const curve = Buffer.alloc(12 + points * 2);
+    curve.write('curv', 0, 'latin1');
+    curve.writeUInt32BE(points, 8);
+    for (let i = 0; i < points; i++) {
+        const v = i / (points - 1);
+        const linear = v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+        curve.writeUInt16BE(Math.round(linear * 65535), 12 + i * 2);
+    }
+
+    const tags = [
+        ['desc', desc],
+        ['cprt', Buffer.concat([Buffer.from('text\0\0\0\0', 'latin1'), ascii('No copyright, use freely')])],
+        ['wtpt', xyz(0.9642, 1.0, 0.8249)],
+        ['rXYZ', xyz(0.4361, 0.2225, 0.0139)],
+        ['gXYZ', xyz(0.3851, 0.7169, 0.0971)],
+        ['bXYZ', xyz(0.1431, 0.0606, 0.7141)],
+        ['rTRC', curve],
+        ['gTRC', curve],
+        ['bTRC', curve]
+    ];
+
+    // Tag data follows the header and tag table, each on a four-byte boundary; the curves share one copy
+    const table = Buffer.alloc(4 + tags.length * 12);
+    table.writeUInt32BE(tags.length);
+    const blocks = [];
+    const offsets = new Map();
+    let offset = 128 + table.length;
+    tags.forEach(([signature, data], index) => {
+        if (!offsets.has(data)) {
+            offsets.set(data, offset);
+            const padded = Buffer.concat([data, Buffer.alloc((4 - (data.length % 4)) % 4)]);
+            blocks.push(padded);
+            offset += padded.length;
+        }
+        table.write(signature, 4 + index * 12, 'latin1');
+        table.writeUInt32BE(offsets.get(data), 8 + index * 12);
+        table.writeUInt32BE(data.length, 12 + index * 12);
+    });
+
+    const header = Buffer.alloc(128);
+    header.writeUInt32BE(offset, 0);
+    header.writeUInt32BE(0x02100000, 8);
+    header.write('mntrRGB XYZ ', 12, 'latin1');
+    header.writeUInt16BE(2000, 24);
+    header.writeUInt16BE(1, 26);
+    header.writeUInt16BE(1, 28);
+    header.write('acsp', 36, 'latin1');
+    s15Fixed16(0.9642).copy(header, 68);
+    s15Fixed16(1.0).copy(header, 72);
+    s15Fixed16(0.8249).copy(header, 76);
+    return Buffer.concat([header, table, ...blocks]);
+}
+
+// Make a pdfkit document PDF/A-2b: XMP metadata from its info dictionary and an sRGB output intent.
+// Call before doc.end(); the document must have been created with pdfVersion '1.7' and draw only in
+// embedded fonts.
+function writeArchivalMetadata(doc) {
+    const xmp = Buffer.from(xmpPacket(doc.info), 'utf8');
+    const metadata = doc.ref({ Type: 'Metadata', Subtype: 'XML' });
+    // Left uncompressed so archive tools can read it without parsing the PDF
+    metadata.compress = false;
+    metadata.end(xmp);
+
+    const profile = doc.ref({ N: 3 });
+    profile.end(srgbProfile());
+
+    const outputIntent = doc.ref({
+        Type: 'OutputIntent',
+        S: 'GTS_PDFA1',
+        OutputConditionIdentifier: new String(OUTPUT_CONDITION),
+        Info: new String(OUTPUT_CONDITION),
+        DestOutputProfile: profile
+    });
+    outputIntent.end();
+
+    // pdfkit has no API for these catalog entries
+    doc._root.data.Metadata = metadata;
+    doc._root.data.OutputIntents = [outputIntent];
+}
+
+module.exports = {
+    documentInfo,
+    metadataErrors,
+    parseReportDate,
+    writeArchivalMetadata
+};
@@ -0,0 +1,74 @@
+// Report sections: which pages a report has and in what order.
+//
+// sections is an array (or comma-separated string) of section names, e.g.
+// ["cover", "investment", "city_map"]. Without it every section is drawn in the default order.
+// A section with nothing to show (no floor plans, no gallery images, no EPC or broadband details)
+// is left out rather than drawn as placeholders or a blank page.
+
+const { REPORT_PAGE_FIELDS, hasAnyField } = require('./input-schema');
+
+function imageList(images, section) {
+    return Array.isArray(images[section]) ? images[section] : [];
+}
+
+// The gallery falls back to the cover images when no property images are given
+function galleryImages(images) {
+    return images.property || images.cover || [];
+}
+
+// Section names in the default order, each with whether a report has anything to put in it
+const SECTIONS = {
+    cover: () => true,
+    investment: () => true,
+    key_information: data => hasAnyField(data, REPORT_PAGE_FIELDS.key_information),
+    other_key_information: data => hasAnyField(data, REPORT_PAGE_FIELDS.other_key_information),
+    floor_plans: (data, images) => imageList(images, 'floor_plans').length > 0,
+    property_images: (data, images) => galleryImages(images).length > 0,
+    city_map: (data, images) => hasAnyField(data, REPORT_PAGE_FIELDS.city_map)
+        || imageList(images, 'directions').length > 0
+        || imageList(images, 'city').length > 0
+};
+
+const DEFAULT_SECTIONS = Object.keys(SECTIONS);
+
+// 'Floor Plans' and 'floor-plans' both read as floor_plans
+function normaliseSectionName(value) {
+    return String(value).trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+// { sections, errors }: the known sections asked for, in order and without repeats
+function parseSections(value) {
+    let requested = value;
+    if (typeof requested === 'string') {
+        requested = requested.split(',').map(name => name.trim()).filter(name => name);
+    }
+    if (requested === undefined || requested === null || (Array.isArray(requested) && requested.length === 0)) {
+        return { sections: DEFAULT_SECTIONS, errors: [] };
+    }
+    if (!Array.isArray(requested)) {
+        return { sections: DEFAULT_SECTIONS, errors: [{ field: 'sections', message: 'sections must be a list of section names' }] };
+    }
+
+    const sections = [];
+    const errors = [];
+    requested.map(normaliseSectionName).forEach((name, index) => {
+        if (!SECTIONS[name]) {
+            errors.push({ field: 'sections', message: `Unknown section "${requested[index]}"; sections are ${DEFAULT_SECTIONS.join(', ')}` });
+        } else if (!sections.includes(name)) {
+            sections.push(name);
+        }
+    });
+    return { sections, errors };
+}
+
+// The sections a report draws: those asked for that have something to show
+function reportSections(data, images = {}) {
+    return parseSections(data.sections).sections.filter(name => SECTIONS[name](data, images));
+}
+
+module.exports = {
+    parseSections,
+    reportSections,
+    galleryImages,
+    DEFAULT_SECTIONS
+};
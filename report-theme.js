@@ -0,0 +1,113 @@
+// Report theme: the brand a report is drawn in, so partner agencies can resell it as their own.
+//
+//   primary_color      charts and the city map outline (default navy #1e3a8a)
+//   accent_color       headline boxes, section bars and the cover footer (default gold #f59e0b)
+//   accent_text_color  text drawn on the accent colour (default white)
+//   heading_color      page and section titles (default black)
+//   text_color         body text (default black)
+//   muted_color        subtitles and notes (default grey #666666)
+//   tagline_color      the tagline under the logo (default slate #334155)
+//   heading_font       font family of titles, drawn bold (default Helvetica)
+//   body_font          font family of everything else (default Helvetica); notes use its italic
+//   tagline            text under the logo; default 'Elevating Your Property Experience' in the
+//                      report language, '' for none
+//   footer_text        a line printed at the foot of every page (default none)
+//
+// Colours are hex ('#1e3a8a' or '#fa0'). Fonts name a family from report-fonts.js: Helvetica,
+// Times, Courier, one bundled in FONTS_DIR or one uploaded with the request. An invalid value falls
+// back to the default rather than failing the report; themeErrors lists them for validation.
+
+const { findFamily, DEFAULT_FAMILY } = require('./report-fonts');
+
+const DEFAULT_THEME = {
+    primaryColor: '#1e3a8a',
+    accentColor: '#f59e0b',
+    accentTextColor: '#FFFFFF',
+    headingColor: '#000000',
+    textColor: '#000000',
+    mutedColor: '#666666',
+    taglineColor: '#334155',
+    headingFont: DEFAULT_FAMILY,
+    bodyFont: DEFAULT_FAMILY,
+    tagline: null,
+    footerText: ''
+};
+
+const COLOR_FIELDS = {
+    primary_color: 'primaryColor',
+    accent_color: 'accentColor',
+    accent_text_color: 'accentTextColor',
+    heading_color: 'headingColor',
+    text_color: 'textColor',
+    muted_color: 'mutedColor',
+    tagline_color: 'taglineColor'
+};
+
+const FONT_FIELDS = {
+    heading_font: 'headingFont',
+    body_font: 'bodyFont'
+};
+
+function isBlank(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+function parseColor(value) {
+    const color = String(value).trim();
+    return /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(color) ? color : null;
+}
+
+// theme may arrive as an object or a JSON string; null when it is neither
+function parseThemeObject(value) {
+    if (isBlank(value)) return {};
+    let theme = value;
+    if (typeof theme === 'string') {
+        try {
+            theme = JSON.parse(theme);
+        } catch (e) {
+            return null;
+        }
+    }
+    return theme && typeof theme === 'object' && !Array.isArray(theme) ? theme : null;
+}
+
+// The theme a report is drawn in: the payload's values over the default look
+function resolveTheme(value) {
+    const input = parseThemeObject(value) || {};
+    const theme = { ...DEFAULT_THEME };
+    Object.entries(COLOR_FIELDS).forEach(([field, key]) => {
+        theme[key] = parseColor(input[field]) || theme[key];
+    });
+    // Font names are looked up when the report is drawn, once its uploaded fonts are known
+    Object.entries(FONT_FIELDS).forEach(([field, key]) => {
+        if (!isBlank(input[field])) theme[key] = String(input[field]).trim();
+    });
+    if (input.tagline !== undefined && input.tagline !== null) theme.tagline = String(input.tagline).trim();
+    if (!isBlank(input.footer_text)) theme.footerText = String(input.footer_text).trim();
+    return theme;
+}
+
+// Validation errors for a theme payload: [{ field, message }]. families are the font families the
+// report can use (see resolveFontFamilies).
+function themeErrors(value, families) {
+    const input = parseThemeObject(value);
+    if (!input) return [{ field: 'theme', message: 'theme must be an object' }];
+    const errors = [];
+    Object.keys(COLOR_FIELDS).forEach(field => {
+        if (!isBlank(input[field]) && !parseColor(input[field])) {
+            errors.push({ field: `theme.${field}`, message: `theme.${field} "${input[field]}" is not a hex colour such as #1e3a8a` });
+        }
+    });
+    Object.keys(FONT_FIELDS).forEach(field => {
+        if (!isBlank(input[field]) && !findFamily(families, input[field])) {
+            errors.push({ field: `theme.${field}`, message: `theme.${field} "${input[field]}" is not one of ${Object.keys(families).join(', ')}` });
+        }
+    });
+    return errors;
+}
+
+module.exports = {
+    resolveTheme,
+    themeErrors,
+    DEFAULT_THEME
+};
@@ -0,0 +1,161 @@
+// Time-value return metrics: IRR, NPV, cash-on-cash, payback and annualised return
+
+const DEFAULT_HOLDING_YEARS = 10;
+// Calculators that buy, build or refurbish and sell rather than hold and let
+const TRADING_CALCULATORS = ['flip', 'development'];
+const DEFAULT_DISCOUNT_RATE = 8;
+// Agent and legal fees when the property is sold at the end of the hold
+const DEFAULT_EXIT_COSTS_PERCENT = 2;
+
+// Net present value of evenly spaced cash flows, the first one at time zero
+function npv(ratePercent, cashFlows, periodsPerYear = 1) {
+    const rate = ratePercent / 100;
+    return cashFlows.reduce((total, flow, period) => total + flow / Math.pow(1 + rate, period / periodsPerYear), 0);
+}
+
+// Internal rate of return (% a year) found by bisection; null when the flows never change sign
+function irr(cashFlows, periodsPerYear = 1) {
+    let low = -99.99;
+    let high = 1000;
+    let npvLow = npv(low, cashFlows, periodsPerYear);
+    const npvHigh = npv(high, cashFlows, periodsPerYear);
+    if (!isFinite(npvLow) || !isFinite(npvHigh) || npvLow * npvHigh > 0) return null;
+
+    for (let i = 0; i < 200; i++) {
+        const mid = (low + high) / 2;
+        const npvMid = npv(mid, cashFlows, periodsPerYear);
+        if (Math.abs(npvMid) < 0.005) return mid;
+        if (npvLow * npvMid < 0) {
+            high = mid;
+        } else {
+            low = mid;
+            npvLow = npvMid;
+        }
+    }
+    return (low + high) / 2;
+}
+
+// Years until operating cash (plus any refinance release) repays the cash put in; null when it never
+// does within the flows or when nothing was put in
+function paybackPeriod(initialInvestment, annualFlows) {
+    if (initialInvestment <= 0) return null;
+    let cumulative = 0;
+    for (let i = 0; i < annualFlows.length; i++) {
+        const flow = annualFlows[i];
+        if (flow > 0 && cumulative + flow >= initialInvestment) {
+            return i + (initialInvestment - cumulative) / flow;
+        }
+        cumulative += flow;
+    }
+    return null;
+}
+
+// Single purchase, single sale: everything hinges on the holding period in months
+function flipMetrics(results, discountRate) {
+    // A bridging loan means only part of the project cost is the buyer's cash
+    const investment = results.cashTiedUp || results.totalInvestment || 0;
+    const months = results.holdingPeriod || 0;
+    const proceeds = investment + (results.netProfit || 0);
+    if (investment <= 0 || months <= 0) {
+        return { discountRate, irr: null, npv: null, cashOnCash: null, paybackYears: null, annualisedReturn: null };
+    }
+
+    const totalReturn = proceeds / investment;
+    const annualisedReturn = totalReturn > 0 ? (Math.pow(totalReturn, 12 / months) - 1) * 100 : -100;
+    return {
+        holdingMonths: months,
+        discountRate,
+        irr: annualisedReturn,
+        npv: -investment + proceeds / Math.pow(1 + discountRate / 100, months / 12),
+        cashOnCash: null,
+        paybackYears: months / 12,
+        annualisedReturn
+    };
+}
+
+// Buy-and-hold: annual cash flows from the projection plus an exit sale at the end of the hold
+function holdMetrics(results, data, discountRate) {
+    const rows = (results.projection && results.projection.rows) || [];
+    const requestedYears = parseInt(data.holding_years, 10) || DEFAULT_HOLDING_YEARS;
+    // Rent-to-rent deals have no projection, and their metrics fall back on year one's profit
+    const holdingYears = rows.length > 0 ? Math.min(requestedYears, rows.length) : requestedYears;
+    const exitCostsPercent = data.exit_costs_percent !== undefined && data.exit_costs_percent !== ''
+        ? parseFloat(data.exit_costs_percent) || 0
+        : DEFAULT_EXIT_COSTS_PERCENT;
+    const initialInvestment = results.totalInvestment || results.netInvestment || 0;
+
+    const heldRows = rows.slice(0, holdingYears);
+    const annualFlows = heldRows.map(r => r.cashFlow + r.refinanceCash);
+    const lastRow = heldRows[heldRows.length - 1];
+    // Rent-to-rent deals own no property, so there is nothing to sell
+    const exitValue = lastRow && lastRow.propertyValue > 0
+        ? lastRow.propertyValue * (1 - exitCostsPercent / 100) - lastRow.loanBalance
+        : 0;
+
+    const cashFlows = [-initialInvestment, ...annualFlows];
+    if (cashFlows.length > 1) cashFlows[cashFlows.length - 1] += exitValue;
+
+    const firstYearFlow = heldRows.length > 0 ? heldRows[0].cashFlow : (results.annualProfit || 0);
+    return {
+        holdingYears,
+        discountRate,
+        exitCostsPercent,
+        exitValue,
+        initialInvestment,
+        // With no cash in (rent-to-rent) there is nothing to discount against or pay back
+        irr: initialInvestment > 0 ? irr(cashFlows) : null,
+        npv: initialInvestment > 0 ? npv(discountRate, cashFlows) : null,
+        cashOnCash: initialInvestment > 0 ? (firstYearFlow / initialInvestment) * 100 : null,
+        paybackYears: paybackPeriod(initialInvestment, annualFlows),
+        annualisedReturn: null
+    };
+}
+
+// Lease option: the option fee up front, the term's cash flow, then the equity in hand at exercise
+function leaseOptionMetrics(results, discountRate) {
+    const investment = results.totalInvestment || 0;
+    const years = Math.max(1, Math.round(results.optionTerm || 0));
+    const annualFlows = new Array(years).fill(results.annualProfit || 0);
+    const cashFlows = [-investment, ...annualFlows];
+    cashFlows[cashFlows.length - 1] += Math.max(0, results.projectedEquity || 0);
+
+    return {
+        holdingYears: years,
+        discountRate,
+        exitValue: Math.max(0, results.projectedEquity || 0),
+        initialInvestment: investment,
+        irr: investment > 0 ? irr(cashFlows) : null,
+        npv: investment > 0 ? npv(discountRate, cashFlows) : null,
+        cashOnCash: investment > 0 ? ((results.annualProfit || 0) / investment) * 100 : null,
+        paybackYears: paybackPeriod(investment, annualFlows),
+        annualisedReturn: null
+    };
+}
+
+function isTradingCalculator(calculatorType) {
+    return TRADING_CALCULATORS.includes(calculatorType);
+}
+
+// Return metrics for any calculator's results
+function calculateReturnMetrics(calculatorType, results, data) {
+    const discountRate = data.discount_rate !== undefined && data.discount_rate !== ''
+        ? parseFloat(data.discount_rate) || 0
+        : DEFAULT_DISCOUNT_RATE;
+    if (isTradingCalculator(calculatorType)) {
+        return flipMetrics(results, discountRate);
+    }
+    if (calculatorType === 'lease-option') {
+        return leaseOptionMetrics(results, discountRate);
+    }
+    return holdMetrics(results, data, discountRate);
+}
+
+module.exports = {
+    calculateReturnMetrics,
+    isTradingCalculator,
+    irr,
+    npv,
+    paybackPeriod,
+    DEFAULT_HOLDING_YEARS,
+    DEFAULT_DISCOUNT_RATE
+};
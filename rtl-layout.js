@@ -0,0 +1,76 @@
+// Right-to-left reports (Arabic): mirrored pages and text in the order fontkit draws it.
+//
+// The page functions lay everything out left to right. mirrorLayout wraps the drawing calls they
+// use so every x is reflected across the page: the left margin becomes the right margin, a table's
+// first column its last, and left-aligned text right-aligned.
+//
+// fontkit lays a string out right to left when its first letter is Arabic and reverses the whole
+// run, so Latin words and numbers inside it would come out backwards. visualText reverses them
+// first, and swaps the brackets around them to face the right way once the run is reversed.
+// pdfkit normally lays text out a word at a time, which would keep the words in left-to-right
+// order; an explicit features list makes it lay out each line as one run.
+
+// Arabic letters (Arabic-Indic digits read left to right, like any other number)
+const ARABIC_LETTER = /[ء-يٮ-ۓۺ-ۿݐ-ݿﭐ-﷿ﹰ-ﻼ]/;
+
+// A left-to-right stretch: words and numbers with the signs, separators and spaces between them
+const LTR_RUN = /[\p{Sc}+\-−]*[A-Za-z0-9À-ɏ٠-٩۰-۹](?:[A-Za-z0-9À-ɏ٠-٩۰-۹٫٬ .,:/'@&%٪²\p{Sc}+\-−]*[A-Za-z0-9À-ɏ٠-٩۰-۹%٪²\p{Sc}])?/gu;
+
+const MIRRORED = { '(': ')', ')': '(', '[': ']', ']': '[', '<': '>', '>': '<', '«': '»', '»': '«' };
+
+function mirrorBrackets(text) {
+    return text.replace(/[()[\]<>«»]/g, bracket => MIRRORED[bracket]);
+}
+
+// Text with Arabic in it, rearranged so fontkit's reversal leaves every part reading the right way
+function visualText(value) {
+    const text = String(value);
+    if (!ARABIC_LETTER.test(text)) return text;
+    let result = '';
+    let last = 0;
+    for (const match of text.matchAll(LTR_RUN)) {
+        result += mirrorBrackets(text.slice(last, match.index)) + [...match[0]].reverse().join('');
+        last = match.index + match[0].length;
+    }
+    return result + mirrorBrackets(text.slice(last));
+}
+
+// Draw every later call on doc mirrored left to right. Only the calls the page functions use are
+// wrapped: text, rect, moveTo, lineTo and image.
+function mirrorLayout(doc) {
+    const { text, rect, moveTo, lineTo, image, widthOfString } = doc;
+    const flip = x => doc.page.width - x;
+    const swapAlign = { left: 'right', right: 'left', center: 'center', justify: 'justify' };
+
+    doc.rect = function (x, y, width, height) {
+        return rect.call(this, flip(x) - width, y, width, height);
+    };
+    doc.moveTo = function (x, y) {
+        return moveTo.call(this, flip(x), y);
+    };
+    doc.lineTo = function (x, y) {
+        return lineTo.call(this, flip(x), y);
+    };
+    doc.image = function (src, x, y, options = {}) {
+        const width = options.width || (options.fit && options.fit[0]) || (options.cover && options.cover[0]);
+        if (typeof x !== 'number' || !width) return image.call(this, src, x, y, options);
+        return image.call(this, src, flip(x) - width, y, options);
+    };
+    doc.text = function (value, x, y, textOptions = {}) {
+        const string = visualText(value);
+        const options = ARABIC_LETTER.test(string) ? { features: [], ...textOptions } : textOptions;
+        if (typeof x !== 'number') return text.call(this, string, x, y, options);
+        // A single unwrapped line is moved by its own width; anything else fills its box from the right
+        if (!options.width && options.lineBreak === false) {
+            return text.call(this, string, flip(x) - widthOfString.call(this, string, options), y, options);
+        }
+        const width = options.width || flip(x) - this.page.margins.right;
+        return text.call(this, string, flip(x) - width, y, { ...options, width, align: swapAlign[options.align || 'left'] });
+    };
+    return doc;
+}
+
+module.exports = {
+    mirrorLayout,
+    visualText
+};
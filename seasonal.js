@@ -0,0 +1,94 @@
+// Seasonal pricing for short lets: a rate and occupancy per calendar month
+
+const { parseAmount, DEFAULT_LOCALE } = require('./money');
+
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+const DAYS_PER_YEAR = 365;
+
+// 1-12 or a month name ('jan', 'January') to a 0-based month index
+function parseMonth(value) {
+    const number = parseInt(value, 10);
+    if (number >= 1 && number <= 12) return number - 1;
+    const index = MONTH_LABELS.findIndex(label => String(value || '').trim().toLowerCase().startsWith(label.toLowerCase()));
+    return index >= 0 ? index : null;
+}
+
+// seasonal_rates arrive as an array or a JSON string, one entry per month or per season:
+// [{ "month": "aug", "rate": 1400, "occupancy": 95 }, { "name": "Winter", "months": [11, 12, 1, 2], "rate": 500, "occupancy": 35 }]
+function seasonalEntries(value) {
+    let entries = value;
+    if (typeof entries === 'string') {
+        try {
+            entries = JSON.parse(entries);
+        } catch (e) {
+            return [];
+        }
+    }
+    return Array.isArray(entries) ? entries.filter(entry => entry && typeof entry === 'object') : [];
+}
+
+// A rate or occupancy typed as text is read in locale; a blank one is null
+function parseSeasonalRates(value, locale = DEFAULT_LOCALE) {
+    return seasonalEntries(value)
+        .map(entry => ({
+            name: entry.name ? String(entry.name) : null,
+            months: (Array.isArray(entry.months) ? entry.months : [entry.month]).map(parseMonth).filter(month => month !== null),
+            rate: parseAmount(entry.rate, locale),
+            occupancy: parseAmount(entry.occupancy, locale)
+        }))
+        .filter(entry => entry.months.length > 0);
+}
+
+// Every seasonal rate multiplied by factor (used by the sensitivity and goal-seek engines)
+function scaleSeasonalRates(value, factor, locale = DEFAULT_LOCALE) {
+    return seasonalEntries(value).map(entry => {
+        const rate = parseAmount(entry.rate, locale);
+        return rate === null ? entry : { ...entry, rate: rate * factor };
+    });
+}
+
+// Month-by-month income. unitsPerYear is what the rate is charged per (52 weeks or 365 nights);
+// months no season covers use the flat rate and occupancy. lettableFraction scales every month for void_months.
+function buildMonthlyIncome({ seasonalRates, rate, occupancy, unitsPerYear, lettableFraction, locale }) {
+    const seasons = parseSeasonalRates(seasonalRates, locale);
+    return MONTH_LABELS.map((label, month) => {
+        // Later entries win, so a single-month override can follow a season
+        const season = seasons.filter(entry => entry.months.includes(month)).pop();
+        const monthRate = season && season.rate !== null ? season.rate : rate;
+        const monthOccupancy = season && season.occupancy !== null ? season.occupancy : occupancy;
+        const availableUnits = unitsPerYear * (DAYS_IN_MONTH[month] / DAYS_PER_YEAR);
+        const occupiedUnits = availableUnits * (monthOccupancy / 100) * lettableFraction;
+        return {
+            month: label,
+            season: season ? season.name : null,
+            rate: monthRate,
+            occupancy: monthOccupancy,
+            availableUnits,
+            occupiedUnits,
+            revenue: monthRate * occupiedUnits
+        };
+    });
+}
+
+// Year totals for a monthly income breakdown
+function summariseMonthlyIncome(months) {
+    const occupiedUnits = months.reduce((sum, month) => sum + month.occupiedUnits, 0);
+    const availableUnits = months.reduce((sum, month) => sum + month.availableUnits, 0);
+    const revenue = months.reduce((sum, month) => sum + month.revenue, 0);
+    return {
+        occupiedUnits,
+        revenue,
+        // Occupancy weighted by the nights or weeks available, rate by the nights or weeks actually let
+        averageOccupancy: availableUnits > 0 ? (months.reduce((sum, month) => sum + month.availableUnits * month.occupancy, 0) / availableUnits) : 0,
+        averageRate: occupiedUnits > 0 ? revenue / occupiedUnits : 0
+    };
+}
+
+module.exports = {
+    buildMonthlyIncome,
+    summariseMonthlyIncome,
+    parseSeasonalRates,
+    scaleSeasonalRates,
+    MONTH_LABELS
+};
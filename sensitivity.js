@@ -0,0 +1,195 @@
+// Sensitivity / stress-test engine: re-runs a calculator over two input ranges
+
+const { calculateInvestment, buildCalculatorInput, readLocalisedNumbers, parseCurrency, isTradingCalculator } = require('./calculator-logic');
+const { scaleRoomRents } = require('./hmo');
+const { applyDefaults } = require('./input-schema');
+const { scaleSeasonalRates } = require('./seasonal');
+const { parseReportFormat } = require('./report-format');
+
+// Whichever rent field a calculator uses gets scaled by the rent variable
+const RENT_FIELDS = ['monthly_rent', 'weekly_rent', 'rent_per_room', 'daily_rate'];
+
+// Likewise the sale value, the works budget and the rent paid to the owner
+const SALE_FIELDS = ['sale_price', 'gdv_per_unit'];
+const BUILD_COST_FIELDS = ['refurb_cost', 'build_cost_per_sqm'];
+const RENT_PAID_FIELDS = ['monthly_rent_paid', 'monthly_payment'];
+
+// Default axes are the inputs each calculator's result actually turns on: a flip or development has
+// no mortgage or rent, and a rent-to-rent deal or lease option owns no property to borrow against
+const DEFAULT_AXES = {
+    'holiday-let': { rows: 'mortgage_rate', columns: 'occupancy' },
+    'flip': { rows: 'sale_price', columns: 'build_cost' },
+    'development': { rows: 'sale_price', columns: 'build_cost' },
+    'rent-to-hmo': { rows: 'rent_paid', columns: 'occupancy' },
+    'rent-to-serviced': { rows: 'rent_paid', columns: 'occupancy' },
+    'lease-option': { rows: 'rent_paid', columns: 'void_months' }
+};
+const MORTGAGE_AXES = { rows: 'mortgage_rate', columns: 'void_months' };
+
+// Default RAG thresholds: red below zero, green at or above these, amber in between
+const DEFAULT_THRESHOLDS = {
+    monthlyProfit: 100,
+    roi: 5
+};
+
+function scaleCurrencyField(data, field, percentChange) {
+    if (data[field] === undefined || data[field] === null || data[field] === '') return data;
+    return { ...data, [field]: parseCurrency(data[field]) * (1 + percentChange / 100) };
+}
+
+function scaleCurrencyFields(data, fields, percentChange) {
+    return fields.reduce((acc, field) => scaleCurrencyField(acc, field, percentChange), data);
+}
+
+const formatPercentChange = value => `${value > 0 ? '+' : ''}${value}%`;
+
+const VARIABLES = {
+    mortgage_rate: {
+        label: 'Mortgage Rate',
+        formatValue: value => `${value}%`,
+        defaultValues: data => {
+            const base = parseFloat(applyDefaults(data.calculator_type, data).data.mortgage_rate) || 0;
+            return [-1, 0, 1, 2, 3].map(step => Math.max(0, Math.round((base + step) * 10) / 10));
+        },
+        apply: (data, value) => ({ ...data, mortgage_rate: value })
+    },
+    rent: {
+        label: 'Rent Change',
+        formatValue: formatPercentChange,
+        defaultValues: () => [-20, -10, 0, 10],
+        apply: (data, value) => {
+            const scaled = { ...scaleCurrencyFields(data, RENT_FIELDS, value) };
+            // HMO room schedules and seasonal pricing carry their own rents
+            const { locale } = parseReportFormat(data);
+            if (data.rooms) scaled.rooms = scaleRoomRents(data.rooms, 1 + value / 100, locale);
+            if (data.seasonal_rates) scaled.seasonal_rates = scaleSeasonalRates(data.seasonal_rates, 1 + value / 100, locale);
+            return scaled;
+        }
+    },
+    void_months: {
+        label: 'Void Months',
+        formatValue: value => `${value} mo`,
+        defaultValues: () => [0, 1, 2, 3],
+        apply: (data, value) => ({ ...data, void_months: value })
+    },
+    purchase_price: {
+        label: 'Price Change',
+        formatValue: formatPercentChange,
+        defaultValues: () => [-10, -5, 0, 5, 10],
+        apply: (data, value) => scaleCurrencyField(data, 'purchase_price', value)
+    },
+    sale_price: {
+        label: 'Sale Price Change',
+        formatValue: formatPercentChange,
+        defaultValues: () => [-10, -5, 0, 5, 10],
+        apply: (data, value) => scaleCurrencyFields(data, SALE_FIELDS, value)
+    },
+    build_cost: {
+        label: 'Build Cost Change',
+        formatValue: formatPercentChange,
+        defaultValues: () => [-10, 0, 10, 20],
+        apply: (data, value) => scaleCurrencyFields(data, BUILD_COST_FIELDS, value)
+    },
+    rent_paid: {
+        label: 'Rent Paid Change',
+        formatValue: formatPercentChange,
+        defaultValues: () => [-10, 0, 10, 20],
+        apply: (data, value) => scaleCurrencyFields(data, RENT_PAID_FIELDS, value)
+    },
+    occupancy: {
+        label: 'Occupancy',
+        formatValue: value => `${value}%`,
+        defaultValues: data => {
+            const base = parseFloat(applyDefaults(data.calculator_type, data).data.occupancy_rate) || 0;
+            const values = [-20, -10, 0, 10].map(step => Math.min(100, Math.max(0, base + step)));
+            return values.filter((value, index) => values.indexOf(value) === index);
+        },
+        apply: (data, value) => ({ ...data, occupancy_rate: value })
+    }
+};
+
+// stress_test may arrive as an object or a JSON string
+function parseStressTestConfig(value) {
+    if (!value) return {};
+    if (typeof value === 'string') {
+        try {
+            return JSON.parse(value) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+    return typeof value === 'object' ? value : {};
+}
+
+function resolveAxis(data, key, values, fallbackKey) {
+    const variableKey = VARIABLES[key] ? key : fallbackKey;
+    const variable = VARIABLES[variableKey];
+    const axisValues = Array.isArray(values) && values.length > 0
+        ? values.map(v => parseFloat(v)).filter(v => !isNaN(v))
+        : variable.defaultValues(data);
+    return {
+        variable: variableKey,
+        label: variable.label,
+        values: axisValues,
+        labels: axisValues.map(variable.formatValue)
+    };
+}
+
+function rate(value, greenThreshold) {
+    if (value < 0) return 'red';
+    return value >= greenThreshold ? 'green' : 'amber';
+}
+
+// Two-axis grid of monthly profit and ROI for one calculator.
+// data is a calculator input (report fields already merged with its calculator_<type> block).
+function buildStressTest(rawData, configValue) {
+    const data = readLocalisedNumbers(rawData);
+    const config = parseStressTestConfig(configValue !== undefined ? configValue : data.stress_test);
+    const thresholds = {
+        monthlyProfit: parseFloat(config.monthly_profit_threshold) || DEFAULT_THRESHOLDS.monthlyProfit,
+        roi: parseFloat(config.roi_threshold) || DEFAULT_THRESHOLDS.roi
+    };
+    const axes = DEFAULT_AXES[data.calculator_type] || MORTGAGE_AXES;
+    const rows = resolveAxis(data, config.rows, config.row_values, axes.rows);
+    const columns = resolveAxis(data, config.columns, config.column_values, axes.columns);
+
+    const cells = rows.values.map(rowValue => columns.values.map(columnValue => {
+        const scenario = VARIABLES[columns.variable].apply(VARIABLES[rows.variable].apply(data, rowValue), columnValue);
+        const results = calculateInvestment(scenario);
+        // Flips and developments have no monthly income, so judge them on net profit spread over the hold
+        const monthlyProfit = isTradingCalculator(data.calculator_type)
+            ? (results.netProfit || 0) / (results.holdingPeriod || 1)
+            : results.monthlyProfit;
+        return {
+            monthlyProfit,
+            annualProfit: isTradingCalculator(data.calculator_type) ? results.netProfit : results.annualProfit,
+            roi: results.roi,
+            rating: {
+                monthlyProfit: rate(monthlyProfit, thresholds.monthlyProfit),
+                roi: rate(results.roi, thresholds.roi)
+            }
+        };
+    }));
+
+    const base = calculateInvestment(data);
+    return {
+        calculatorType: data.calculator_type,
+        rows,
+        columns,
+        thresholds,
+        base: { monthlyProfit: base.monthlyProfit, roi: base.roi },
+        cells
+    };
+}
+
+// Stress-test matrix for every selected calculator in a report payload
+function buildStressTests(data, calculatorTypes) {
+    return calculatorTypes.map(calculatorType => buildStressTest(buildCalculatorInput(data, calculatorType)));
+}
+
+module.exports = {
+    buildStressTest,
+    buildStressTests,
+    VARIABLES,
+    DEFAULT_AXES
+};
@@ -7,11 +7,17 @@ const https = require('https');
 const http = require('http');
 // Use local copy inside backend folder for Render deploys
 const { generatePDF } = require('./pdf-generator');
+const { calculateInvestment, getSelectedCalculators, buildCalculatorInput, prepareCalculatorInput } = require('./calculator-logic');
+const { collectInputWarnings } = require('./input-warnings');
+const { validateReport } = require('./validation');
+const { buildStressTests } = require('./sensitivity');
+const { buildOfferGuidanceForReport } = require('./goal-seek');
+const { compareMortgageProductsForReport } = require('./mortgage-products');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
 
-app.use(cors({ origin: '*'}));
+app.use(cors({ origin: '*', exposedHeaders: ['X-Input-Warnings', 'X-Input-Defaults'] }));
 app.use(express.json({ limit: '50mb' }));
 
 function writeBase64Image(base64, prefix = 'img') {
@@ -196,9 +202,92 @@ app.get('/proxy-image', async (req, res) => {
   }
 });
 
+// Calculator results as JSON (same payload as /generate, no PDF) - the numbers the PDF prints
+app.post('/calculate', (req, res) => {
+  try {
+    const { data = {} } = req.body || {};
+    const calculations = getSelectedCalculators(data).map(calculatorType => {
+      const input = buildCalculatorInput(data, calculatorType);
+      return {
+        calculator_type: calculatorType,
+        results: calculateInvestment(input),
+        warnings: collectInputWarnings(calculatorType, input),
+        defaults: prepareCalculatorInput(input).defaults
+      };
+    });
+    res.json({ calculations });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message || 'Failed to calculate' });
+  }
+});
+
+// Stress-test matrices as JSON (same payload as /generate, no PDF)
+app.post('/stress-test', (req, res) => {
+  try {
+    const { data = {} } = req.body || {};
+    const calculators = getSelectedCalculators(data);
+    res.json({ stress_tests: buildStressTests(data, calculators) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message || 'Failed to build stress test' });
+  }
+});
+
+// Goal-seek offer guidance as JSON (same payload as /generate, no PDF)
+app.post('/goal-seek', (req, res) => {
+  try {
+    const { data = {} } = req.body || {};
+    const calculators = getSelectedCalculators(data);
+    res.json({ offer_guidance: buildOfferGuidanceForReport(data, calculators) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message || 'Failed to build offer guidance' });
+  }
+});
+
+// Mortgage product comparison as JSON (same payload as /generate, no PDF)
+app.post('/mortgage-products', (req, res) => {
+  try {
+    const { data = {} } = req.body || {};
+    const calculators = getSelectedCalculators(data);
+    res.json({ mortgage_comparison: compareMortgageProductsForReport(data, calculators) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message || 'Failed to compare mortgage products' });
+  }
+});
+
+// Field-level errors, warnings and applied defaults for a /generate payload, without the PDF
+app.post('/validate', (req, res) => {
+  try {
+    const { data = {} } = req.body || {};
+    const { valid, errors, warnings, defaults } = validateReport(data);
+    res.json({ valid, errors, warnings, defaults });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message || 'Failed to validate' });
+  }
+});
+
+// JSON in a response header, with anything outside ASCII escaped
+function headerJson(value) {
+  return JSON.stringify(value).replace(/[^\x20-\x7e]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
+
 app.post('/generate', async (req, res) => {
   try {
-    const { data = {}, images = {}, logo_base64 } = req.body || {};
+    const { data: formData = {}, images = {}, logo_base64, theme, fonts } = req.body || {};
+    // The theme and uploaded fonts may sit beside data (white-label callers) or inside it
+    const rawData = { ...formData };
+    if (theme !== undefined) rawData.theme = theme;
+    if (fonts !== undefined) rawData.fonts = fonts;
+    const validation = validateReport(rawData);
+    if (!validation.valid) {
+      const { errors, warnings, defaults } = validation;
+      return res.status(400).json({ error: 'Invalid report data', errors, warnings, defaults });
+    }
+    const data = validation.data;
     
     // Debug logging
     console.log('Backend - received selected_calculators:', data.selected_calculators);
@@ -248,6 +337,8 @@ app.post('/generate', async (req, res) => {
 
     // Stream file and then cleanup
     res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('X-Input-Warnings', headerJson(validation.warnings));
+    res.setHeader('X-Input-Defaults', headerJson(validation.defaults));
     const safeName = (data.address || 'Property Report').replace(/[^a-z0-9 \-_]/gi, '');
     res.setHeader('Content-Disposition', `attachment; filename="${safeName}.pdf"`);
     const stream = fs.createReadStream(outPath);
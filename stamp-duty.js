@@ -0,0 +1,136 @@
+// Stamp duty engine: SDLT (England & NI), LBTT (Scotland) and LTT (Wales)
+// Band tables reflect the residential rates in force from 1 April 2025.
+
+// Surcharges only apply to dwellings at or above this price
+const ADDITIONAL_DWELLING_THRESHOLD = 40000;
+
+// England & Northern Ireland - Stamp Duty Land Tax
+const SDLT_BANDS = [
+    { upTo: 125000, rate: 0 },
+    { upTo: 250000, rate: 2 },
+    { upTo: 925000, rate: 5 },
+    { upTo: 1500000, rate: 10 },
+    { upTo: Infinity, rate: 12 }
+];
+const SDLT_FIRST_TIME_BUYER_BANDS = [
+    { upTo: 300000, rate: 0 },
+    { upTo: 500000, rate: 5 }
+];
+const SDLT_FIRST_TIME_BUYER_MAX_PRICE = 500000;
+const SDLT_ADDITIONAL_DWELLING_SURCHARGE = 5;
+const SDLT_NON_RESIDENT_SURCHARGE = 2;
+
+// Scotland - Land and Buildings Transaction Tax
+const LBTT_BANDS = [
+    { upTo: 145000, rate: 0 },
+    { upTo: 250000, rate: 2 },
+    { upTo: 325000, rate: 5 },
+    { upTo: 750000, rate: 10 },
+    { upTo: Infinity, rate: 12 }
+];
+// First-time buyer relief raises the nil-rate band to £175,000
+const LBTT_FIRST_TIME_BUYER_BANDS = [
+    { upTo: 175000, rate: 0 },
+    { upTo: 250000, rate: 2 },
+    { upTo: 325000, rate: 5 },
+    { upTo: 750000, rate: 10 },
+    { upTo: Infinity, rate: 12 }
+];
+// Additional Dwelling Supplement is charged on the whole price
+const LBTT_ADDITIONAL_DWELLING_SUPPLEMENT = 8;
+
+// Wales - Land Transaction Tax (no first-time buyer relief or non-resident surcharge)
+const LTT_BANDS = [
+    { upTo: 225000, rate: 0 },
+    { upTo: 400000, rate: 6 },
+    { upTo: 750000, rate: 7.5 },
+    { upTo: 1500000, rate: 10 },
+    { upTo: Infinity, rate: 12 }
+];
+// Higher residential rates replace the main table for additional dwellings
+const LTT_HIGHER_RATE_BANDS = [
+    { upTo: 180000, rate: 5 },
+    { upTo: 250000, rate: 8.5 },
+    { upTo: 400000, rate: 10 },
+    { upTo: 750000, rate: 12.5 },
+    { upTo: 1500000, rate: 15 },
+    { upTo: Infinity, rate: 17 }
+];
+
+const REGIMES = {
+    england: { code: 'SDLT', name: 'Stamp Duty Land Tax (England & NI)' },
+    scotland: { code: 'LBTT', name: 'Land and Buildings Transaction Tax (Scotland)' },
+    wales: { code: 'LTT', name: 'Land Transaction Tax (Wales)' }
+};
+
+// Map the region values the front end sends onto a regime key
+function normaliseRegion(value) {
+    const region = String(value || '').trim().toLowerCase().replace(/[\s_]+/g, '-');
+    if (region === 'scotland') return 'scotland';
+    if (region === 'wales') return 'wales';
+    return 'england';
+}
+
+// Tax on a price sliced across marginal bands, with an optional flat surcharge added to every band
+function applyBands(price, bands, surchargeRate = 0) {
+    let tax = 0;
+    let lowerLimit = 0;
+    for (const band of bands) {
+        if (price <= lowerLimit) break;
+        const taxable = Math.min(price, band.upTo) - lowerLimit;
+        tax += taxable * ((band.rate + surchargeRate) / 100);
+        lowerLimit = band.upTo;
+    }
+    return tax;
+}
+
+// Calculate stamp duty for a purchase price under the chosen regime
+function calculateStampDuty(purchasePrice, options = {}) {
+    const region = normaliseRegion(options.region);
+    const regime = REGIMES[region];
+    const price = Math.max(0, purchasePrice || 0);
+    const surchargeable = price >= ADDITIONAL_DWELLING_THRESHOLD;
+    const additionalProperty = !!options.additionalProperty && surchargeable;
+    // First-time buyers cannot own another dwelling
+    const firstTimeBuyer = !!options.firstTimeBuyer && !options.additionalProperty;
+    const nonResident = !!options.nonResident && surchargeable;
+
+    let amount = 0;
+    let firstTimeBuyerRelief = false;
+    let nonResidentSurcharge = false;
+
+    if (region === 'scotland') {
+        firstTimeBuyerRelief = firstTimeBuyer;
+        amount = applyBands(price, firstTimeBuyerRelief ? LBTT_FIRST_TIME_BUYER_BANDS : LBTT_BANDS);
+        if (additionalProperty) {
+            amount += price * (LBTT_ADDITIONAL_DWELLING_SUPPLEMENT / 100);
+        }
+    } else if (region === 'wales') {
+        amount = applyBands(price, additionalProperty ? LTT_HIGHER_RATE_BANDS : LTT_BANDS);
+    } else {
+        let surchargeRate = 0;
+        if (additionalProperty) surchargeRate += SDLT_ADDITIONAL_DWELLING_SURCHARGE;
+        if (nonResident) {
+            surchargeRate += SDLT_NON_RESIDENT_SURCHARGE;
+            nonResidentSurcharge = true;
+        }
+        firstTimeBuyerRelief = firstTimeBuyer && price <= SDLT_FIRST_TIME_BUYER_MAX_PRICE;
+        amount = applyBands(price, firstTimeBuyerRelief ? SDLT_FIRST_TIME_BUYER_BANDS : SDLT_BANDS, surchargeRate);
+    }
+
+    return {
+        // Tax is payable in whole pounds, rounded down
+        amount: Math.floor(amount),
+        regime: regime.code,
+        regimeName: regime.name,
+        region,
+        additionalProperty,
+        firstTimeBuyerRelief,
+        nonResidentSurcharge
+    };
+}
+
+module.exports = {
+    calculateStampDuty,
+    REGIMES
+};
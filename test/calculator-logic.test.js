@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { calculateInvestment } = require('../calculator-logic');
+
+test('a flip is taxed once on its profit, with no monthly share', () => {
+    const results = calculateInvestment({
+        calculator_type: 'flip', purchase_price: 200000, refurb_cost: 30000, sale_price: 300000, tax_band: 'higher'
+    });
+    assert.ok(results.annualTax > 0);
+    assert.strictEqual(results.postTaxAnnualProfit, Math.round((results.netProfit - results.annualTax) * 100) / 100);
+    assert.strictEqual(results.postTaxMonthlyProfit, null);
+});
+
+test('a first-time buyer pays no additional dwelling surcharge and gets relief', () => {
+    const firstTimeBuyer = calculateInvestment({ calculator_type: 'standard-btl', purchase_price: 300000, monthly_rent: 1400, first_time_buyer: true });
+    assert.strictEqual(firstTimeBuyer.stampDutyDetails.additionalProperty, false);
+    assert.strictEqual(firstTimeBuyer.stampDutyDetails.firstTimeBuyerRelief, true);
+    const investor = calculateInvestment({ calculator_type: 'standard-btl', purchase_price: 300000, monthly_rent: 1400 });
+    assert.ok(firstTimeBuyer.stampDuty < investor.stampDuty);
+});
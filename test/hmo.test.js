@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseRooms, scaleRoomRents, calculateHMOCosts } = require('../hmo');
+
+test('room schedules are read in the report locale', () => {
+    const [room] = parseRooms([{ rent: '1.250,50 €', size: '12,5', en_suite: 'yes', void_weeks: '' }], 4, 'es-ES');
+    assert.deepStrictEqual(room, { name: 'Room 1', rent: 1250.5, size: 12.5, enSuite: true, voidWeeks: 4 });
+    assert.strictEqual(scaleRoomRents([{ rent: '1.000' }], 1.1, 'es-ES')[0].rent, 1100);
+});
+
+test('HMO costs are read in the report locale', () => {
+    const costs = calculateHMOCosts({ locale: 'es-ES', hmo_licence_fee: '1.000', hmo_licence_years: 5 });
+    assert.strictEqual(costs.licenceFee, 1000);
+    assert.strictEqual(costs.annualLicenceCost, 200);
+});
+
+test('a licence term that is not positive uses the default', () => {
+    ['-5', 0, '', 'abc'].forEach(hmo_licence_years => {
+        const costs = calculateHMOCosts({ hmo_licence_fee: 1000, hmo_licence_years });
+        assert.strictEqual(costs.licenceYears, 5);
+        assert.strictEqual(costs.annualLicenceCost, 200);
+    });
+    assert.strictEqual(calculateHMOCosts({ hmo_licence_fee: 1000, hmo_licence_years: ' 10 ' }).annualLicenceCost, 100);
+});
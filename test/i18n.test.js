@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTranslator, installedFonts, languageWarnings, resolveReportLanguage } = require('../i18n');
+
+const catalogues = {
+    en: require('../locales/en'),
+    'zh-HK': require('../locales/zh-HK'),
+    ar: require('../locales/ar')
+};
+const placeholders = message => (message.match(/\{\w+\}/g) || []).sort();
+
+test('every catalogue has every English message with the same placeholders', () => {
+    ['zh-HK', 'ar'].forEach(language => {
+        Object.entries(catalogues.en).forEach(([key, message]) => {
+            const translated = catalogues[language][key];
+            assert.strictEqual(typeof translated, 'string', `${language} has no ${key}`);
+            assert.deepStrictEqual(placeholders(translated), placeholders(message), `${language} ${key}`);
+        });
+    });
+});
+
+test('messages are translated and interpolated', () => {
+    assert.strictEqual(createTranslator('ar')('footer.pageNumber', { page: 2, total: 9 }), catalogues.ar['footer.pageNumber'].replace('{page}', 2).replace('{total}', 9));
+    assert.doesNotMatch(createTranslator('ar')('footer.pageNumber', { page: 2, total: 9 }), /\{/);
+    assert.notStrictEqual(createTranslator('zh-HK')('page.contents'), createTranslator('en')('page.contents'));
+    assert.strictEqual(createTranslator('fr')('page.contents'), catalogues.en['page.contents']);
+});
+
+test('Chinese and Arabic reports draw in their shipped fonts', () => {
+    ['zh-HK', 'ar'].forEach(language => assert.ok(installedFonts(language), `${language} fonts are not installed`));
+    const arabic = resolveReportLanguage({ language: 'ar-AE' });
+    assert.strictEqual(arabic.language, 'ar');
+    assert.strictEqual(arabic.direction, 'rtl');
+    assert.strictEqual(resolveReportLanguage({ language: 'zh-TW' }).language, 'zh-HK');
+});
+
+test('a language the report is not drawn in is a warning', () => {
+    ['en-US', 'zh-HK', 'ar', ''].forEach(language => assert.deepStrictEqual(languageWarnings({ language }), []));
+    assert.deepStrictEqual(languageWarnings({ language: 'fr' }).map(warning => warning.field), ['language']);
+});
@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { collectInputWarnings } = require('../input-warnings');
+
+const fields = warnings => warnings.map(warning => warning.field);
+
+test('a blank number_of_rooms takes its default instead of a warning', () => {
+    const warnings = collectInputWarnings('rent-to-hmo', { monthly_rent_paid: 1500, rent_per_room: 550 });
+    assert.deepStrictEqual(fields(warnings), []);
+});
+
+test('weekly_rent is not required when seasonal_rates are given', () => {
+    const seasonal = collectInputWarnings('holiday-let', { purchase_price: 250000, seasonal_rates: [{ months: [7, 8], rate: 1500 }] });
+    assert.ok(!fields(seasonal).includes('weekly_rent'));
+    const flat = collectInputWarnings('holiday-let', { purchase_price: 250000 });
+    assert.ok(fields(flat).includes('weekly_rent'));
+});
+
+test('values are checked against the calculator schema', () => {
+    const warnings = collectInputWarnings('standard-btl', { purchase_price: 'abc', monthly_rent: 1000, deposit_percent: 120, void_months: 13 });
+    assert.deepStrictEqual(fields(warnings), ['purchase_price', 'deposit_percent', 'void_months']);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { formatCompactMoney, roundMoney, toPence, roundPounds } = require('../money');
+
+test('compact amounts keep a decimal below ten thousand so axis labels stay distinct', () => {
+    const labels = [0, 500, 1000, 1500, 2000, 2500].map(value => formatCompactMoney(value));
+    assert.deepStrictEqual(labels, ['£0', '£500', '£1k', '£1.5k', '£2k', '£2.5k']);
+    assert.strictEqual(formatCompactMoney(-1500), '-£1.5k');
+    assert.strictEqual(formatCompactMoney(25000), '£25k');
+    assert.strictEqual(formatCompactMoney(999.6), '£1k');
+    assert.strictEqual(formatCompactMoney(9960), '£10k');
+    assert.strictEqual(formatCompactMoney(999999), '£1m');
+    assert.strictEqual(formatCompactMoney(-999999), '-£1m');
+    assert.strictEqual(formatCompactMoney(1500000), '£1.5m');
+    assert.strictEqual(formatCompactMoney(9999999), '£10m');
+    assert.strictEqual(formatCompactMoney(12345678), '£12m');
+    assert.strictEqual(formatCompactMoney(1500, { currency: 'EUR', locale: 'es-ES' }), '1,5k\u00a0€');
+});
+
+test('half a penny rounds away from zero, after float noise, at any size', () => {
+    assert.strictEqual(roundMoney(1.005), 1.01);
+    assert.strictEqual(roundMoney(1.0049), 1);
+    assert.strictEqual(roundMoney(-1.005), -1.01);
+    assert.strictEqual(roundMoney(0.285), 0.29);
+    assert.strictEqual(roundMoney(5000000.0035), 5000000);
+    assert.strictEqual(roundMoney(5000000.005), 5000000.01);
+    assert.strictEqual(roundMoney(5000000.0049), 5000000);
+    assert.strictEqual(roundMoney(-5000000.005), -5000000.01);
+    assert.strictEqual(toPence(12345678.904), 1234567890);
+    assert.strictEqual(toPence(12345678.905), 1234567891);
+    assert.strictEqual(toPence(12345678.9049), 1234567890);
+});
+
+test('printed amounts round half a pound away from zero', () => {
+    assert.strictEqual(roundPounds(2.5), 3);
+    assert.strictEqual(roundPounds(-2.5), -3);
+    assert.strictEqual(roundPounds(2.49), 2);
+    assert.strictEqual(roundPounds(7500000.5), 7500001);
+});
@@ -0,0 +1,10 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseMortgageProducts } = require('../mortgage-products');
+
+test('product numbers are read in the report locale', () => {
+    const [product] = parseMortgageProducts([{ rate: '4,79', reversion_rate: '8,24 %', max_ltv: '75' }], 'es-ES');
+    assert.strictEqual(product.rate, 4.79);
+    assert.strictEqual(product.reversionRate, 8.24);
+    assert.strictEqual(product.maxLtv, 75);
+});
@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const { resolveFontFamilies, fontCovers, FALLBACK_FAMILY } = require('../report-fonts');
+
+test('the Unicode fallback family ships with the server', () => {
+    const fallback = resolveFontFamilies().families[FALLBACK_FAMILY];
+    assert.ok(fallback, `${FALLBACK_FAMILY} is not installed`);
+    ['regular', 'bold', 'italic'].forEach(style => {
+        assert.strictEqual(path.dirname(fallback[style]), path.join(__dirname, '..', 'fonts'));
+    });
+
+    const doc = new PDFDocument();
+    assert.ok(!fontCovers(doc.font('Helvetica')._font, 'Łódź ₹'));
+    assert.ok(fontCovers(doc.font(fallback.regular)._font, 'Łódź ₹'));
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { generatePDF } = require('../pdf-generator');
+const { validateReport } = require('../validation');
+
+const report = {
+    address: '12 Test Street',
+    postal_code: 'L1 1AA',
+    calculator_type: 'standard-btl',
+    purchase_price: 250000,
+    monthly_rent: 1400,
+    report_date: '2026-10-19',
+    pdfa: true
+};
+const images = { cover: [], property: [], floor_plans: [], directions: [], city: [] };
+
+test('a PDF/A report is valid with the default theme and fonts', () => {
+    assert.deepStrictEqual(validateReport(report).errors, []);
+});
+
+test('a PDF/A report embeds every font and carries its archival metadata', async () => {
+    const outputPath = path.join(os.tmpdir(), `pdfa-test-${process.pid}.pdf`);
+    try {
+        await generatePDF(report, images, outputPath, path.join(__dirname, '..', 'logo.png'));
+        const pdf = fs.readFileSync(outputPath, 'latin1');
+        assert.match(pdf, /^%PDF-1\.7/);
+        assert.match(pdf, /<pdfaid:part>2<\/pdfaid:part>/);
+        assert.match(pdf, /\/OutputIntents/);
+        // The standard fonts have no font file, so none may be drawn with
+        assert.doesNotMatch(pdf, /\/BaseFont \/(Helvetica|Times|Courier)/);
+        assert.match(pdf, /\/FontFile2/);
+    } finally {
+        fs.rmSync(outputPath, { force: true });
+    }
+});
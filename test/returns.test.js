@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { calculateInvestment } = require('../calculator-logic');
+const { paybackPeriod } = require('../returns');
+
+test('nothing invested has no payback', () => {
+    assert.strictEqual(paybackPeriod(0, [1000, 1000]), null);
+    assert.strictEqual(paybackPeriod(1500, [1000, 1000]), 1.5);
+});
+
+test('a rent-to-rent deal with no cash in has no payback or NPV', () => {
+    const results = calculateInvestment({ calculator_type: 'rent-to-hmo', monthly_rent_paid: 1500, rent_per_room: 550, number_of_rooms: 5 });
+    assert.strictEqual(results.returnMetrics.paybackYears, null);
+    assert.strictEqual(results.returnMetrics.npv, null);
+});
+
+test('rent-to-rent deals have no property projection', () => {
+    const hmo = calculateInvestment({ calculator_type: 'rent-to-hmo', monthly_rent_paid: 1500, rent_per_room: 550, number_of_rooms: 5 });
+    const serviced = calculateInvestment({ calculator_type: 'rent-to-serviced', monthly_rent_paid: 1200, daily_rate: 110 });
+    assert.strictEqual(hmo.projection, undefined);
+    assert.strictEqual(serviced.projection, undefined);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { mirrorLayout, visualText } = require('../rtl-layout');
+
+// Records the drawing calls mirrorLayout passes through
+function recordingDoc() {
+    const calls = [];
+    const record = name => function (...args) {
+        calls.push([name, ...args]);
+        return this;
+    };
+    return {
+        calls,
+        page: { width: 600, margins: { left: 50, right: 50 } },
+        rect: record('rect'),
+        moveTo: record('moveTo'),
+        lineTo: record('lineTo'),
+        image: record('image'),
+        text: record('text'),
+        widthOfString: () => 40
+    };
+}
+
+test('shapes and images are reflected across the page', () => {
+    const doc = mirrorLayout(recordingDoc());
+    doc.rect(50, 10, 100, 20).moveTo(50, 30).lineTo(550, 30).image('logo.png', 60, 5, { width: 80 });
+    assert.deepStrictEqual(doc.calls, [
+        ['rect', 450, 10, 100, 20],
+        ['moveTo', 550, 30],
+        ['lineTo', 50, 30],
+        ['image', 'logo.png', 460, 5, { width: 80 }]
+    ]);
+});
+
+test('text fills its box from the right and single lines move by their width', () => {
+    const doc = mirrorLayout(recordingDoc());
+    doc.text('Total', 50, 100, { width: 200 });
+    doc.text('Total', 50, 120, { lineBreak: false });
+    doc.text('Total', 50, 140, { width: 200, align: 'right' });
+    assert.deepStrictEqual(doc.calls, [
+        ['text', 'Total', 350, 100, { width: 200, align: 'right' }],
+        ['text', 'Total', 510, 120, { lineBreak: false }],
+        ['text', 'Total', 350, 140, { width: 200, align: 'left' }]
+    ]);
+});
+
+test('Latin runs and brackets inside Arabic survive the right-to-left reversal', () => {
+    assert.strictEqual(visualText('Price £250,000'), 'Price £250,000');
+    assert.strictEqual(visualText('السعر £250,000'), 'السعر 000,052£');
+    assert.strictEqual(visualText('العائد (5%)'), 'العائد )%5(');
+});
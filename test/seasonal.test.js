@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseSeasonalRates, scaleSeasonalRates } = require('../seasonal');
+
+test('seasonal rates are read in the report locale', () => {
+    const [season] = parseSeasonalRates([{ months: [7, 8], rate: '1.500,50 €', occupancy: '92,5%' }], 'es-ES');
+    assert.strictEqual(season.rate, 1500.5);
+    assert.strictEqual(season.occupancy, 92.5);
+    assert.deepStrictEqual(season.months, [6, 7]);
+});
+
+test('a season without a rate keeps the flat rate when scaled', () => {
+    const scaled = scaleSeasonalRates([{ month: 'aug', rate: '1.000' }, { month: 'dec', occupancy: 40 }], 1.1, 'es-ES');
+    assert.strictEqual(scaled[0].rate, 1100);
+    assert.strictEqual(scaled[1].rate, undefined);
+});
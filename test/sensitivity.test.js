@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildStressTest } = require('../sensitivity');
+
+// A representative input for every calculator, with the key figures each one needs
+const INPUTS = {
+    'standard-btl': { purchase_price: 250000, monthly_rent: 1400 },
+    'purchase': { purchase_price: 250000, monthly_rent: 1400 },
+    'brr': { purchase_price: 200000, refurb_cost: 30000, after_refurb_value: 300000, monthly_rent: 1500 },
+    'flip': { purchase_price: 200000, refurb_cost: 30000, sale_price: 300000 },
+    'holiday-let': { purchase_price: 250000, weekly_rent: 900 },
+    'rent-to-hmo': { monthly_rent_paid: 1500, number_of_rooms: 5, rent_per_room: 550 },
+    'rent-to-serviced': { monthly_rent_paid: 1200, daily_rate: 110 },
+    'development': { purchase_price: 300000, number_of_units: 4, gdv_per_unit: 250000, unit_size: 80, build_cost_per_sqm: 1800 },
+    'lease-option': { option_fee: 5000, monthly_payment: 800, monthly_rent: 1200, purchase_price: 200000 }
+};
+
+function distinct(values) {
+    return new Set(values.map(value => Math.round(value * 100))).size;
+}
+
+for (const [calculatorType, input] of Object.entries(INPUTS)) {
+    test(`default stress test for ${calculatorType} varies along both axes`, () => {
+        const matrix = buildStressTest({ ...input, calculator_type: calculatorType });
+        const profits = matrix.cells.map(row => row.map(cell => cell.monthlyProfit));
+        assert.ok(profits.every(row => distinct(row) > 1), `${matrix.columns.variable} changes nothing across a row`);
+        const columns = profits[0].map((value, column) => profits.map(row => row[column]));
+        assert.ok(columns.every(column => distinct(column) > 1), `${matrix.rows.variable} changes nothing down a column`);
+    });
+}
@@ -0,0 +1,15 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateReport } = require('../validation');
+
+const report = extra => ({ address: '12 Test Street', calculator_type: 'standard-btl', purchase_price: 300000, monthly_rent: 1400, ...extra });
+
+test('first_time_buyer on its own is valid', () => {
+    const result = validateReport(report({ first_time_buyer: true }));
+    assert.deepStrictEqual(result.errors, []);
+});
+
+test('first_time_buyer with additional_property is rejected', () => {
+    const result = validateReport(report({ first_time_buyer: 'yes', additional_property: 'yes' }));
+    assert.deepStrictEqual(result.errors.map(error => error.field), ['first_time_buyer']);
+});
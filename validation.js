@@ -0,0 +1,105 @@
+// Report validation for /generate: field-level errors that stop a report, warnings for values
+// that are allowed but look wrong, and the defaults filled in for blank fields.
+// Each entry is { field, message } plus calculator when it came from one calculator's input.
+
+const { REPORT_SCHEMA, calculatorSchema, schemaFields, isRequired, checkFieldValue, isBlank, applyReportDefaults } = require('./input-schema');
+const { getSelectedCalculators, buildCalculatorInput, prepareCalculatorInput, parseFlag } = require('./calculator-logic');
+const { KNOWN_CALCULATORS } = require('./input-warnings');
+const { themeErrors } = require('./report-theme');
+const { resolveFontFamilies } = require('./report-fonts');
+const { parseSections } = require('./report-sections');
+const { metadataErrors } = require('./report-metadata');
+const { parseAmount } = require('./money');
+const { parseReportFormat } = require('./report-format');
+const { languageWarnings } = require('./i18n');
+
+// A gross yield above this is more likely a typo (monthly rent in the annual box) than a deal
+const SUSPICIOUS_YIELD_PERCENT = 30;
+
+// Annual rent over the value it is measured against, for the calculators that have one
+const GROSS_YIELD = {
+    'standard-btl': { rent: 'monthly_rent', periods: 12, value: 'purchase_price' },
+    'purchase': { rent: 'monthly_rent', periods: 12, value: 'purchase_price' },
+    'brr': { rent: 'monthly_rent', periods: 12, value: 'after_refurb_value' },
+    'holiday-let': { rent: 'weekly_rent', periods: 52, value: 'purchase_price' }
+};
+
+// Check every field of a schema that applies to input, adding to errors and warnings
+function checkFields(schema, input, locale, errors, warnings, calculator) {
+    const tag = calculator ? { calculator } : {};
+    schemaFields(schema, input).forEach(([name, spec]) => {
+        if (isBlank(input[name])) {
+            if (isRequired(spec, input)) errors.push({ field: name, message: `${name} is required`, ...tag });
+            return;
+        }
+        const { error, warning } = checkFieldValue(name, spec, input[name], locale);
+        if (error) errors.push({ field: name, message: error, ...tag });
+        if (warning) warnings.push({ field: name, message: warning, ...tag });
+    });
+}
+
+function checkGrossYield(calculatorType, input, locale, warnings) {
+    const measure = GROSS_YIELD[calculatorType];
+    if (!measure) return;
+    const rent = parseAmount(input[measure.rent], locale);
+    const value = parseAmount(input[measure.value], locale);
+    if (rent === null || !(value > 0)) return;
+    const grossYield = (rent * measure.periods / value) * 100;
+    if (grossYield > SUSPICIOUS_YIELD_PERCENT) {
+        warnings.push({
+            field: measure.rent,
+            calculator: calculatorType,
+            message: `Gross yield of ${grossYield.toFixed(1)}% is over ${SUSPICIOUS_YIELD_PERCENT}%; check ${measure.rent} and ${measure.value}`
+        });
+    }
+}
+
+// A first-time buyer has no other home, so cannot be buying an additional dwelling
+function checkBuyerStatus(data, errors) {
+    if (parseFlag(data.first_time_buyer) && parseFlag(data.additional_property)) {
+        errors.push({
+            field: 'first_time_buyer',
+            message: 'first_time_buyer and additional_property cannot both be set: a first-time buyer has no other home, so leave additional_property blank or false'
+        });
+    }
+}
+
+// { valid, errors, warnings, defaults, data }: data is the report with its report-page defaults filled in
+// (calculator defaults are applied again each time a calculator runs, so they are only reported)
+function validateReport(data) {
+    const { locale } = parseReportFormat(data);
+    const errors = [];
+    const warnings = [];
+
+    checkFields(REPORT_SCHEMA, data, locale, errors, warnings);
+    const fonts = resolveFontFamilies(data.fonts);
+    errors.push(...fonts.errors, ...themeErrors(data.theme, fonts.families), ...parseSections(data.sections).errors, ...metadataErrors(data, fonts.families));
+    checkBuyerStatus(data, errors);
+    warnings.push(...languageWarnings(data));
+    const report = applyReportDefaults(data);
+    const defaults = [...report.defaults];
+
+    getSelectedCalculators(data).forEach(calculatorType => {
+        if (!KNOWN_CALCULATORS.includes(calculatorType)) {
+            errors.push({ field: 'selected_calculators', message: `Unknown calculator "${calculatorType}"` });
+            return;
+        }
+        const input = buildCalculatorInput(data, calculatorType);
+        checkFields(calculatorSchema(calculatorType), input, locale, errors, warnings, calculatorType);
+        checkGrossYield(calculatorType, input, locale, warnings);
+        prepareCalculatorInput(input).defaults.forEach(entry => defaults.push({ ...entry, calculator: calculatorType }));
+    });
+
+    return {
+        valid: errors.length === 0,
+        errors,
+        warnings,
+        defaults,
+        data: report.data
+    };
+}
+
+module.exports = {
+    validateReport,
+    SUSPICIOUS_YIELD_PERCENT
+};